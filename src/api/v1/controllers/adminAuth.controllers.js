@@ -1,10 +1,70 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import Moments from 'moment-timezone';
 import { validationResult } from 'express-validator';
-import { env } from '@/env.mjs';
 import prisma from '@/utils/db.mjs';
+import {
+    startSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    setSessionCookies,
+    clearSessionCookies,
+} from '@/services/sessions.js';
+import {
+    signMfaChallenge,
+    signMfaEnrollment,
+    verifyMfaChallenge,
+} from '@/services/authTokens.js';
+import {
+    createTotpSecret,
+    createRecoveryCodes,
+    verifyTotpCode,
+    verifySecondFactor,
+} from '@/services/totp.js';
+import { env } from '@/env.mjs';
 import { returnError } from '@/utils/returnError.js';
+import {
+    DEFAULT_ADMIN_ROLE,
+    resolvePermissions,
+} from '@/utils/permissions.js';
+
+/**
+ * @name sendAdminSession
+ * @description Start a session for an authenticated admin and send the tokens with the profile
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} admin - the full admin row
+ * @param {boolean} [staySigned]
+ * @param {object} [extra] - sent along with the session
+ */
+const sendAdminSession = async (req, res, admin, staySigned, extra = {}) => {
+    const session = await startSession(admin, {
+        type: 'admin',
+        staySigned,
+        req,
+    });
+
+    const {
+        password: Omit,
+        totpSecret,
+        totpRecoveryCodes,
+        ...userInfo
+    } = admin;
+
+    setSessionCookies(res, session)
+        .status(200)
+        .json({
+            user: {
+                ...userInfo,
+                permissions: resolvePermissions(admin),
+            },
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            ...extra,
+            ...(env.ADMIN_2FA_REQUIRED &&
+                !admin.totpEnabled && { twoFactorEnrollmentRequired: true }),
+        });
+};
 
 /**
  *@name register
@@ -25,7 +85,8 @@ export const register = async (req, res, next) => {
             firstname,
             lastname,
             privileges,
-            role,
+            role = DEFAULT_ADMIN_ROLE,
+            permissions = [],
             phoneNumber,
         } = req.body;
         const createdDate = Moments(new Date()).tz('Africa/Kampala');
@@ -39,6 +100,7 @@ export const register = async (req, res, next) => {
                 lastname,
                 privileges,
                 role,
+                permissions,
                 phoneNumber,
                 createdAt: createdDate,
             },
@@ -101,26 +163,216 @@ export const login = async (req, res, next) => {
             throw error;
         }
 
-        const token = jwt.sign(
-            {
-                email: existingUser.email,
-                id: existingUser.id,
+        // enrolled admins finish signing in with their authenticator code at /login/2fa
+        if (existingUser.totpEnabled) {
+            return res.status(200).json({
+                twoFactorRequired: true,
+                challengeToken: signMfaChallenge(existingUser, { staySigned }),
+                message: 'Enter the code from your authenticator app',
+            });
+        }
+
+        // when two-factor is required, admins without it can only enroll, the session starts at /2fa/enable
+        if (env.ADMIN_2FA_REQUIRED) {
+            return res.status(200).json({
+                twoFactorEnrollmentRequired: true,
+                enrollmentToken: signMfaEnrollment(existingUser, {
+                    staySigned,
+                }),
+                message:
+                    'Set up two-factor authentication to finish signing in',
+            });
+        }
+
+        await sendAdminSession(req, res, existingUser, staySigned);
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ *@name verifyLoginTwoFactor
+ *@description second step of an admin login, exchange the challenge and an authenticator or recovery code for a session
+ *@type {import('express').RequestHandler}
+ */
+export const verifyLoginTwoFactor = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        if (!challengeToken) returnError('Challenge token is required', 400);
+        if (!code && !recoveryCode)
+            returnError('Authenticator or recovery code is required', 400);
+
+        let challenge;
+        try {
+            challenge = verifyMfaChallenge(challengeToken);
+        } catch (error) {
+            returnError('Login expired, please sign in again', 401);
+        }
+
+        const admin = await prisma.admin.findUnique({
+            where: { id: challenge.sub },
+        });
+        if (!admin || admin.deactivated || !admin.totpEnabled) {
+            returnError('Login expired, please sign in again', 401);
+        }
+
+        const factor = await verifySecondFactor(admin, { code, recoveryCode });
+        if (!factor.isValid) returnError('Invalid two-factor code', 401);
+
+        await sendAdminSession(req, res, admin, challenge.staySigned);
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ *@name setupTwoFactor
+ *@description start two-factor enrollment, returns the secret and the otpauth uri for the QR code
+ *@type {import('express').RequestHandler}
+ */
+export const setupTwoFactor = async (req, res, next) => {
+    try {
+        const admin = await prisma.admin.findUnique({
+            where: { id: req.userId },
+        });
+        if (!admin || admin.deactivated) returnError('Admin not found', 404);
+        if (admin.totpEnabled)
+            returnError('Two-factor authentication is already enabled', 409);
+
+        const { secret, encryptedSecret, otpauthUri } = createTotpSecret(admin);
+
+        // stays pending until a code from the app is confirmed at /2fa/enable
+        await prisma.admin.update({
+            where: { id: admin.id },
+            data: { totpSecret: encryptedSecret },
+        });
+
+        return res.status(200).json({
+            secret,
+            otpauthUri,
+            message: 'Scan the QR code and confirm with a code from the app',
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ *@name enableTwoFactor
+ *@description confirm enrollment with a first code, returns the recovery codes once
+ *@type {import('express').RequestHandler}
+ */
+export const enableTwoFactor = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        if (!code) returnError('Authenticator code is required', 400);
+
+        const admin = await prisma.admin.findUnique({
+            where: { id: req.userId },
+        });
+        if (!admin || admin.deactivated) returnError('Admin not found', 404);
+        if (admin.totpEnabled)
+            returnError('Two-factor authentication is already enabled', 409);
+        if (!admin.totpSecret)
+            returnError('Start two-factor setup first', 400);
+
+        const isValid = await verifyTotpCode(admin.id, admin.totpSecret, code);
+        if (!isValid) returnError('Invalid two-factor code', 400);
+
+        const { codes, hashes } = createRecoveryCodes();
+        const enrolled = await prisma.admin.update({
+            where: { id: admin.id },
+            data: {
+                totpEnabled: true,
+                totpEnabledAt: new Date(),
+                totpRecoveryCodes: hashes,
             },
-            env.SECRETVA,
-            staySigned === false ? { expiresIn: '24h' } : { expiresIn: '30d' }
-        );
+        });
+
+        // enrolling with the token from `login` finishes signing in
+        if (req.auth.enrollment) {
+            return await sendAdminSession(
+                req,
+                res,
+                enrolled,
+                req.auth.staySigned,
+                { recoveryCodes: codes }
+            );
+        }
+
+        return res.status(200).json({
+            recoveryCodes: codes,
+            message:
+                'Two-factor authentication enabled, store the recovery codes somewhere safe',
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
 
-        let age = 1000 * 60 * 60 * 24 * 7;
+/**
+ *@name regenerateRecoveryCodes
+ *@description replace the admin's recovery codes, the old ones stop working
+ *@type {import('express').RequestHandler}
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const admin = await prisma.admin.findUnique({
+            where: { id: req.userId },
+        });
+        if (!admin?.totpEnabled)
+            returnError('Two-factor authentication is not enabled', 400);
 
-        const { password: Omit, ...userInfo } = existingUser;
+        const { codes, hashes } = createRecoveryCodes();
+        await prisma.admin.update({
+            where: { id: admin.id },
+            data: { totpRecoveryCodes: hashes },
+        });
 
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            maxAge: age,
-        })
+        return res.status(200).json({ recoveryCodes: codes });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ *@name disableTwoFactor
+ *@description turn two-factor off for the signed in admin
+ *@type {import('express').RequestHandler}
+ */
+export const disableTwoFactor = async (req, res, next) => {
+    try {
+        if (env.ADMIN_2FA_REQUIRED)
+            returnError('Two-factor authentication is required for admins', 403);
+
+        await prisma.admin.update({
+            where: { id: req.userId },
+            data: {
+                totpEnabled: false,
+                totpEnabledAt: null,
+                totpSecret: null,
+                totpRecoveryCodes: [],
+            },
+        });
+
+        return res
             .status(200)
-            .json({ user: userInfo, token: token });
+            .json({ message: 'Two-factor authentication disabled' });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -153,6 +405,8 @@ export const getProfile = async (req, res, next) => {
                 phoneNumber: true,
                 role: true,
                 privileges: true,
+                permissions: true,
+                totpEnabled: true,
                 createdAt: true,
             },
         });
@@ -161,7 +415,9 @@ export const getProfile = async (req, res, next) => {
             return res.status(404).json({ message: 'Admin not found' });
         }
 
-        return res.status(200).json({ admin });
+        return res.status(200).json({
+            admin: { ...admin, permissions: resolvePermissions(admin) },
+        });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -184,7 +440,35 @@ export const logout = async (req, res, next) => {
             return res
                 .status(401)
                 .json({ message: 'You can not perform this action' });
-        res.clearCookie('token').status(200).json({ message: 'Logged out' });
+        await revokeSession(req.auth?.sessionId);
+        clearSessionCookies(res).status(200).json({ message: 'Logged out' });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ *@name logoutAll
+ *@description log an admin out of every device
+ *@type {import('express').RequestHandler}
+ */
+export const logoutAll = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        if (!id || !req.userId)
+            return res.status(400).json({ message: 'Admin id not passed' });
+        if (req.userId !== id)
+            return res
+                .status(401)
+                .json({ message: 'You can not perform this action' });
+
+        const revoked = await revokeAllSessions('admin', id);
+        clearSessionCookies(res)
+            .status(200)
+            .json({ message: `Logged out of ${revoked} session(s)` });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -194,8 +478,34 @@ export const logout = async (req, res, next) => {
 };
 
 /**
- *@name updateProfile
- *@description update a admin profile
+ *@name refresh
+ *@description exchange an admin refresh token for a new access/refresh token pair
+ *@type {import('express').RequestHandler}
+ */
+export const refresh = async (req, res, next) => {
+    try {
+        const token = req.body?.refreshToken || req.cookies?.refreshToken;
+
+        const session = await refreshSession(token, 'admin');
+
+        setSessionCookies(res, session).status(200).json({
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+        });
+    } catch (error) {
+        if (error.statusCode === 401) {
+            clearSessionCookies(res);
+        }
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ *@name updatePassword
+ *@description set an admin's password, admins changing their own must send their current password
  *@type {import('express').RequestHandler}
  */
 export const updatePassword = async (req, res, next) => {
@@ -205,6 +515,24 @@ export const updatePassword = async (req, res, next) => {
         if (!id) returnError('Admin id not passed', 400);
         if (!req.body.password) returnError('New password required', 400);
 
+        const admin = await prisma.admin.findUnique({
+            where: { id },
+            select: { id: true, password: true },
+        });
+        if (!admin) returnError('Admin not found', 404);
+
+        if (id === req.userId) {
+            if (!req.body.currentPassword) {
+                returnError('Current password required', 400);
+            }
+
+            const matches = await bcrypt.compare(
+                req.body.currentPassword,
+                admin.password
+            );
+            if (!matches) returnError('Current password is incorrect', 403);
+        }
+
         const newHashedPassword = await bcrypt.hash(req.body.password, 10);
 
         await prisma.admin.update({
@@ -214,6 +542,9 @@ export const updatePassword = async (req, res, next) => {
             },
         });
 
+        // a new password signs the admin out everywhere
+        await revokeAllSessions('admin', id);
+
         return res.status(200).json({ message: 'Password updated' });
     } catch (error) {
         if (!error.statusCode) {
@@ -222,3 +553,52 @@ export const updatePassword = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ *@name updatePermissions
+ *@description assign a role and/or permissions to an admin
+ *@type {import('express').RequestHandler}
+ */
+export const updatePermissions = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            const error = errors.array().map((error) => error.msg)[0];
+            return res.status(422).json({ message: error });
+        }
+
+        const { id } = req.params;
+        const { permissions, role } = req.body;
+
+        if (!id) returnError('Admin id not passed', 400);
+        if (id === req.userId)
+            returnError('You can not change your own permissions', 403);
+
+        const existing = await prisma.admin.findUnique({ where: { id } });
+        if (!existing) returnError('Admin not found', 404);
+
+        const admin = await prisma.admin.update({
+            where: { id },
+            data: {
+                ...(permissions && { permissions: [...new Set(permissions)] }),
+                ...(role && { role }),
+            },
+            select: {
+                id: true,
+                email: true,
+                role: true,
+                permissions: true,
+            },
+        });
+
+        return res.status(200).json({
+            admin: { ...admin, permissions: resolvePermissions(admin) },
+            message: 'Permissions updated',
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
@@ -0,0 +1,111 @@
+import prisma from '@/utils/db.mjs';
+import { returnError } from '@/utils/returnError.js';
+import { PERMISSIONS, resolvePermissions } from '@/utils/permissions.js';
+import {
+    planBulkIngest,
+    needsPublishPermission,
+    queueBulkIngest,
+    bulkIngestReport,
+} from '@/services/bulkIngest.js';
+
+// what a client needs to fix the manifest, without the resolved paths
+const describePlan = (plan) => ({
+    folder: plan.folder,
+    manifest: plan.manifest,
+    items: plan.items.map(({ row, file, resourceType, input }) => ({
+        row,
+        file,
+        resourceType,
+        filmId: input.filmId ?? null,
+        seasonId: input.seasonId ?? null,
+        episodeId: input.episodeId ?? null,
+        creates: ['film', 'season', 'episode'].filter((type) => input[type]),
+    })),
+    errors: plan.errors,
+});
+
+/**
+ * @name validateBulkIngest
+ * @description Dry run of a bulk ingest, reports every problem in the manifest without creating anything
+ * @type {import('express').RequestHandler}
+ */
+export const validateBulkIngest = async (req, res, next) => {
+    try {
+        const plan = await planBulkIngest(req.data);
+
+        res.status(200).json({
+            valid: plan.errors.length === 0,
+            plan: describePlan(plan),
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name startBulkIngest
+ * @description Ingest a folder of masters: the whole manifest is validated first, then a `bulk-ingest` job creates
+ * the films, seasons and episodes and queues one `transcode-video` job per file. Follow it at GET /bulk-ingest/:batchId.
+ * @type {import('express').RequestHandler}
+ */
+export const startBulkIngest = async (req, res, next) => {
+    try {
+        const plan = await planBulkIngest(req.data);
+        if (plan.errors.length) {
+            return res.status(422).json({
+                message: 'The manifest has errors, nothing was ingested',
+                plan: describePlan(plan),
+            });
+        }
+
+        // the same rule as creating a film by hand, see guardPublishing in studioRouter
+        const granted = resolvePermissions(req.admin);
+        if (
+            needsPublishPermission(plan.items) &&
+            !granted.includes(PERMISSIONS.CONTENT_PUBLISH)
+        ) {
+            returnError(`Missing permission: ${PERMISSIONS.CONTENT_PUBLISH}`, 403);
+        }
+
+        const batch = await queueBulkIngest(plan, {
+            ownerId: req.auth.id,
+            clientId: req.data.clientId,
+        });
+
+        res.status(202).json({
+            message: 'Bulk ingest queued',
+            bulkIngest: batch,
+            report: await bulkIngestReport(batch),
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name getBulkIngest
+ * @description Consolidated progress of a bulk ingest, per item and overall
+ * @type {import('express').RequestHandler}
+ */
+export const getBulkIngest = async (req, res, next) => {
+    try {
+        const { batchId } = req.params;
+        if (!/^[a-f\d]{24}$/i.test(batchId ?? '')) returnError('Bulk ingest not found', 404);
+
+        const batch = await prisma.bulkIngest.findUnique({ where: { id: batchId } });
+        if (!batch) returnError('Bulk ingest not found', 404);
+
+        res.status(200).json({ report: await bulkIngestReport(batch) });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
@@ -9,6 +9,8 @@ import { checkPaymentStatus as checkMtnStatus } from '@/services/mtnpayments.js'
 import { addDays } from 'date-fns';
 import { resSelector } from '@/utils/resSelector.js';
 import { formatNumber } from '@/utils/formatNumber.js';
+import { withSrcsets } from '@/utils/srcset.js';
+import { paidPeriod } from '@/services/entitlements.js';
 
 /**
  * @name streamVideo
@@ -188,7 +190,7 @@ export const fetchFeaturedFilms = async (req, res, next) => {
             take: 10,
         });
 
-        res.status(200).json({ featured: featuredFilms ?? [] });
+        res.status(200).json({ featured: featuredFilms.map(withSrcsets) });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -313,7 +315,7 @@ export const fetchFilm = async (req, res, next) => {
             });
         }
 
-        res.status(200).json({ film });
+        res.status(200).json({ film: withSrcsets(film) });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -860,7 +862,7 @@ export const lookupFilms = async (req, res, next) => {
             return result;
         }, []);
 
-        res.status(200).json({ films: mergedFilmSeasons ?? [] });
+        res.status(200).json({ films: mergedFilmSeasons.map(withSrcsets) });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -1405,6 +1407,9 @@ export const checkPaymentStatus = async (req, res, next) => {
                         id: true,
                     },
                 },
+                subscription: {
+                    include: { plan: true },
+                },
             },
         });
 
@@ -1441,6 +1446,11 @@ export const checkPaymentStatus = async (req, res, next) => {
                                 const isDonation =
                                     existingTransaction.type === 'DONATION';
 
+                                // polling a settled transaction again must not pay for another period
+                                const isSubscription =
+                                    existingTransaction.status === 'PENDING' &&
+                                    existingTransaction.subscription;
+
                                 if (isPurchase) {
                                     dataParams.purchase = {
                                         update: {
@@ -1474,6 +1484,15 @@ export const checkPaymentStatus = async (req, res, next) => {
                                     };
                                 }
 
+                                // a confirmed payment is what activates a subscription
+                                if (isSubscription) {
+                                    dataParams.subscription = {
+                                        update: paidPeriod(
+                                            existingTransaction.subscription
+                                        ),
+                                    };
+                                }
+
                                 const updated = await prisma.transaction.update(
                                     {
                                         where: { id: existingTransaction.id },
@@ -1642,6 +1661,9 @@ export const checkPesapalPaymentStatus = async (req, res, next) => {
                         id: true,
                     },
                 },
+                subscription: {
+                    include: { plan: true },
+                },
             },
         });
 
@@ -1739,6 +1761,9 @@ export const checkPesapalPaymentStatus = async (req, res, next) => {
                                 const isDonation =
                                     existingTransaction.type === 'DONATION';
 
+                                const isSubscription =
+                                    existingTransaction.subscription;
+
                                 if (isPurchase) {
                                     dataParams.purchase = {
                                         update: {
@@ -1772,6 +1797,15 @@ export const checkPesapalPaymentStatus = async (req, res, next) => {
                                     };
                                 }
 
+                                // a confirmed payment is what activates a subscription
+                                if (isSubscription) {
+                                    dataParams.subscription = {
+                                        update: paidPeriod(
+                                            existingTransaction.subscription
+                                        ),
+                                    };
+                                }
+
                                 let updated = await prisma.transaction.update({
                                     where: { id: existingTransaction.id },
                                     data: dataParams,
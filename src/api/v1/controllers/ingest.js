@@ -0,0 +1,146 @@
+import prisma from '@/utils/db.mjs';
+import { returnError } from '@/utils/returnError.js';
+import { parseChecksum } from '@/utils/checksum.js';
+import {
+    describeSource,
+    sourceToString,
+    queueIngest,
+    dequeueIngest,
+    INGEST_TTL_MS,
+} from '@/services/ingest.js';
+import { admitUpload } from '@/services/diskGuard.js';
+
+/**
+ * @name findIngest
+ * @description Load an ingest owned by the signed in admin
+ * @param {import('express').Request} req
+ * @returns {Promise<import('@prisma/client').uploadSession>}
+ */
+const findIngest = async (req) => {
+    const { uploadId } = req.params;
+    if (!/^[a-f\d]{24}$/i.test(uploadId ?? '')) returnError('Ingest not found', 404);
+
+    const ingest = await prisma.uploadSession.findUnique({
+        where: { id: uploadId },
+    });
+    if (!ingest || ingest.protocol !== 'ingest') returnError('Ingest not found', 404);
+    if (ingest.ownerId !== req.auth.id) {
+        returnError('This ingest belongs to another admin', 403);
+    }
+
+    return ingest;
+};
+
+const withProgress = (ingest) => ({
+    ...ingest,
+    progress:
+        ingest.status === 'completed'
+            ? 100
+            : ingest.totalSize
+              ? Math.floor(((ingest.receivedSize ?? 0) / ingest.totalSize) * 100)
+              : null,
+});
+
+/**
+ * @name createIngest
+ * @description Fetch a film or episode master from an S3-compatible bucket or an http(s) url on the server
+ * and transcode it once it is down. Progress is sent on the `uploadProgress` socket event.
+ * @type {import('express').RequestHandler}
+ */
+export const createIngest = async (req, res, next) => {
+    try {
+        const { source, resourceType, resourceId, clientId, checksum, checksumAlgorithm } =
+            req.data;
+        const fileChecksum = parseChecksum(checksum, checksumAlgorithm);
+
+        const resource =
+            resourceType === 'film'
+                ? await prisma.film.findUnique({ where: { id: resourceId } })
+                : await prisma.episode.findUnique({ where: { id: resourceId } });
+        if (!resource) {
+            returnError("The resource you were looking for doesn't exist", 404);
+        }
+
+        const described = await describeSource(source);
+        const fileName = req.data.fileName ?? described.fileName;
+        if (!fileName || !fileName.includes('.')) {
+            returnError('fileName with an extension is required, the source has none', 400);
+        }
+        await admitUpload(req.auth.id, described.totalSize);
+
+        const ingest = await prisma.uploadSession.create({
+            data: {
+                protocol: 'ingest',
+                source: sourceToString(source),
+                ownerId: req.auth.id,
+                fileName,
+                totalSize: described.totalSize,
+                receivedSize: 0,
+                purpose: 'video',
+                resourceType,
+                resourceId,
+                clientId,
+                checksumAlgorithm: fileChecksum?.algorithm,
+                checksum: fileChecksum?.value,
+                expiresAt: new Date(Date.now() + INGEST_TTL_MS),
+            },
+        });
+
+        await queueIngest(ingest);
+
+        res.status(202).json({
+            message: 'Ingest queued',
+            ingest: withProgress(ingest),
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name getIngest
+ * @description Progress of an ingest, `processingJobId` is set once it is handed to transcoding
+ * @type {import('express').RequestHandler}
+ */
+export const getIngest = async (req, res, next) => {
+    try {
+        const ingest = await findIngest(req);
+        res.status(200).json({ ingest: withProgress(ingest) });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name cancelIngest
+ * @description Stop an ingest that is still downloading
+ * @type {import('express').RequestHandler}
+ */
+export const cancelIngest = async (req, res, next) => {
+    try {
+        const ingest = await findIngest(req);
+        if (ingest.status !== 'uploading') {
+            returnError(`Ingest is already ${ingest.status}`, 409);
+        }
+
+        // a running download notices the status and removes its file
+        await prisma.uploadSession.update({
+            where: { id: ingest.id },
+            data: { status: 'cancelled' },
+        });
+        await dequeueIngest(ingest.id);
+
+        res.status(200).json({ message: 'Ingest cancelled' });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
@@ -0,0 +1,35 @@
+import { collectGarbage } from '@/services/janitor.js';
+
+/**
+ * @name getJanitorReport
+ * @description Dry run of the janitor, lists what the next run would delete
+ * @type {import('express').RequestHandler}
+ */
+export const getJanitorReport = async (req, res, next) => {
+    try {
+        const report = await collectGarbage({ dryRun: true });
+        res.status(200).json({ report });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name runJanitor
+ * @description Run the janitor now instead of waiting for the schedule
+ * @type {import('express').RequestHandler}
+ */
+export const runJanitor = async (req, res, next) => {
+    try {
+        const report = await collectGarbage();
+        res.status(200).json({ message: 'Cleanup finished', report });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
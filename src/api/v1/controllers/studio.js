@@ -14,6 +14,21 @@ import fsExtra from 'fs-extra';
 import path from 'path';
 import { videoQueue, hlsUploadQueue, masterPlaylistQueue } from '@/services/queueWorkers.js';
 import { formatNumber } from '@/utils/formatNumber.js';
+import { parseChecksum, parseChecksumHeader } from '@/utils/checksum.js';
+import { queueVideoTranscode } from '@/services/videoJobs.js';
+import { inspectSource } from '@/services/mediaProbe.js';
+import { uploadPosterVariants, deletePosterVariants } from '@/services/posterVariants.js';
+import {
+    startReplacement,
+    failVersion,
+    listVersions,
+    rollbackVersion,
+    purgeVersion,
+    keyPrefixOf,
+} from '@/services/masterVersions.js';
+import { admitUpload, assertDiskSpace, assertTranscodeFits, getDiskUsage } from '@/services/diskGuard.js';
+import { regenerateMasterPlaylist } from '@/services/masterPlaylist.js';
+import { EFFICIENT_VIDEO_CODECS, RENDITION_LABELS, renditionKey } from '@/utils/renditions.js';
 import { DeleteObjectsCommand } from '@aws-sdk/client-s3';
 
 // Configure HTTPS agent for high concurrency S3 operations
@@ -370,6 +385,13 @@ export const uploadPoster = async (req, res, next) => {
         const bucketName =
             type === 'film' ? resourceId : `${resource.filmId}-${resourceId}`;
 
+        // fails with a 422 before anything is uploaded when the file isn't an image
+        const variants = await uploadPosterVariants({
+            bucketName,
+            name: poster.originalname,
+            buffer: poster.buffer,
+        });
+
         const bucketParams = {
             bucketName,
             key: poster.originalname,
@@ -394,6 +416,7 @@ export const uploadPoster = async (req, res, next) => {
             type: poster.mimetype,
             isCover: isCover === 'true' ? true : false,
             isBackdrop: isBackdrop === 'true' ? true : false,
+            variants,
         };
 
         if (type === 'film') {
@@ -404,8 +427,8 @@ export const uploadPoster = async (req, res, next) => {
             posterData.episodeId = resourceId;
         }
 
-        await prisma.poster.create({ data: posterData });
-        res.status(200).json({ message: 'Upload complete' });
+        const newPoster = await prisma.poster.create({ data: posterData });
+        res.status(200).json({ message: 'Upload complete', poster: newPoster });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -630,8 +653,15 @@ export const uploadEpisodePoster = async (req, res, next) => {
         if (!poster) returnError('No file uploaded', 400);
 
         // bucket name: filmid-seasonid/<postername>
+        const bucketName = `${episode.season.filmId}-${episode.seasonId}`;
+        const variants = await uploadPosterVariants({
+            bucketName,
+            name: poster.originalname,
+            buffer: poster.buffer,
+        });
+
         const bucketParams = {
-            bucketName: `${episode.season.filmId}-${episode.seasonId}`,
+            bucketName,
             key: poster.originalname,
             buffer: poster.buffer,
             contentType: poster.mimetype,
@@ -654,14 +684,15 @@ export const uploadEpisodePoster = async (req, res, next) => {
             type: poster.mimetype,
             isCover: isCover === 'true' ? true : false,
             isBackdrop: isBackdrop === 'true' ? true : false,
+            variants,
             episodeId,
         };
 
-        await prisma.poster.create({
+        const newPoster = await prisma.poster.create({
             data: posterData,
         });
 
-        res.status(200).json({ message: 'Upload complete' });
+        res.status(200).json({ message: 'Upload complete', poster: newPoster });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -952,6 +983,46 @@ export const combiningChunks = async (req, res, next) => {
 };
 
 
+/**
+ * @name readChunkChecksum
+ * @description The checksum of an uploaded chunk, from the `X-Chunk-Checksum: <algorithm> <value>` header
+ * or the `checksum` and `checksumAlgorithm` form fields
+ * @param {import('express').Request} req
+ * @returns {import('@/utils/checksum.js').Checksum | null}
+ */
+const readChunkChecksum = (req) =>
+    parseChecksumHeader(req.get('x-chunk-checksum')) ??
+    parseChecksum(req.body?.checksum, req.body?.checksumAlgorithm);
+
+/**
+ * @name readFileChecksum
+ * @description The whole-file checksum sent when completing an upload, falling back to the one
+ * given when the upload session was created
+ * @param {import('express').Request} req
+ * @param {import('@prisma/client').uploadSession | null} [uploadSession]
+ * @returns {import('@/utils/checksum.js').Checksum | null}
+ */
+const readFileChecksum = (req, uploadSession = null) =>
+    parseChecksum(req.body?.checksum, req.body?.checksumAlgorithm) ??
+    (uploadSession?.checksum
+        ? { algorithm: uploadSession.checksumAlgorithm, value: uploadSession.checksum }
+        : null);
+
+// uploads without a session may say how many chunks or bytes they sent, so a partial file is never assembled.
+// older studio clients send neither and are assembled from whatever arrived
+const readExpectedChunks = (req) =>
+    Object.fromEntries(
+        ['totalChunks', 'totalSize']
+            .filter((field) => req.body?.[field] !== undefined && req.body[field] !== '')
+            .map((field) => {
+                const value = Number(req.body[field]);
+                if (!Number.isSafeInteger(value) || value <= 0) {
+                    returnError(`${field} should be a positive whole number`, 400);
+                }
+                return [field, value];
+            })
+    );
+
 // Video Uploads
 // film (type: movie)
 /**
@@ -978,7 +1049,8 @@ export const uploadChunk = async (req, res, next) => {
         const chunkPath = await chunkService.saveChunk(
             filePath,
             fileName,
-            start
+            start,
+            readChunkChecksum(req)
         );
 
         res.status(200).json({
@@ -986,8 +1058,9 @@ export const uploadChunk = async (req, res, next) => {
             chunkPath,
         });
     } catch (error) {
-        // If there is an error, attempt to delete the chunk folder before sending the error
-        if (fileName) {
+        // If there is an error, attempt to delete the chunk folder before sending the error,
+        // a rejected chunk only needs to be resent
+        if (fileName && !error.statusCode) {
             try {
                 await chunkService.deleteChunksFolder(fileName);
             } catch (cleanupErr) {
@@ -1008,8 +1081,12 @@ export const uploadChunk = async (req, res, next) => {
  */
 export const checkUploadChunk = async (req, res, next) => {
     try {
-        const { fileName, start } = req.query;
-        const chunkExists = chunkService.checkChunk(fileName, start);
+        const { fileName, start, checksum, checksumAlgorithm } = req.query;
+        const chunkExists = await chunkService.checkChunk(
+            fileName,
+            start,
+            parseChecksum(checksum, checksumAlgorithm)
+        );
         res.status(200).json({ exists: chunkExists });
     } catch (error) {
         if (!error.statusCode) {
@@ -1019,101 +1096,416 @@ export const checkUploadChunk = async (req, res, next) => {
     }
 };
 
+// how long an upload session accepts chunks
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
 /**
- * @name uploadFilm2 film to bucket
- * @description function to upload film to bucket and get signed url
+ * @name findUploadSession
+ * @description Load a chunked upload session that belongs to the signed in admin and still accepts chunks
+ * @param {import('express').Request} req
+ * @param {string} uploadId
+ * @returns {Promise<import('@prisma/client').uploadSession>}
+ */
+const findUploadSession = async (req, uploadId) => {
+    if (!/^[a-f\d]{24}$/i.test(uploadId ?? '')) {
+        returnError('Upload session not found', 404);
+    }
+
+    const session = await prisma.uploadSession.findUnique({
+        where: { id: uploadId },
+    });
+    // tus uploads are driven through /tus
+    if (!session || session.protocol !== 'chunked') {
+        returnError('Upload session not found', 404);
+    }
+    if (session.ownerId !== req.auth.id) {
+        returnError('This upload session belongs to another admin', 403);
+    }
+    if (session.status !== 'uploading') {
+        returnError(`Upload session is ${session.status}`, 409);
+    }
+    if (session.expiresAt < new Date()) {
+        await prisma.uploadSession.update({
+            where: { id: session.id },
+            data: { status: 'expired' },
+        });
+        await chunkService.deleteSessionChunks(session.id);
+        returnError('Upload session expired, start a new upload', 410);
+    }
+
+    return session;
+};
+
+/**
+ * @name completeUploadSession
+ * @description Assemble a session's chunks, verify them against the whole-file checksum and mark the session completed
+ * @param {import('@prisma/client').uploadSession} session
+ * @param {import('@/utils/checksum.js').Checksum | null} checksum
+ * @returns {Promise<string>} the assembled file path
+ */
+const completeUploadSession = async (session, checksum) => {
+    // the chunks are copied into one file before they are removed
+    await assertDiskSpace(session.totalSize);
+    const filePath = await chunkService.combineSessionChunks(session, checksum);
+
+    await prisma.uploadSession.update({
+        where: { id: session.id },
+        data: { status: 'completed', completedAt: new Date(), filePath },
+    });
+
+    return filePath;
+};
+
+/**
+ * @name createUploadSession
+ * @description start a resumable upload, chunks are then sent to /uploads/:uploadId/chunks/:index
  * @type {import('express').RequestHandler}
  */
+export const createUploadSession = async (req, res, next) => {
+    try {
+        const {
+            fileName,
+            totalSize,
+            chunkSize,
+            checksum,
+            checksumAlgorithm,
+            purpose,
+            resourceType,
+            resourceId,
+        } = req.data;
+        const fileChecksum = parseChecksum(checksum, checksumAlgorithm);
 
+        let resource = null;
+        if (resourceType === 'film') {
+            resource = await prisma.film.findUnique({ where: { id: resourceId } });
+        }
+        if (resourceType === 'episode') {
+            resource = await prisma.episode.findUnique({ where: { id: resourceId } });
+        }
+        if (resourceType === 'season') {
+            resource = await prisma.season.findUnique({ where: { id: resourceId } });
+        }
+        if (!resource) {
+            returnError("The resource you were looking for doesn't exist", 404);
+        }
 
-export const uploadFilm2 = async (req, res, next) => {
+        // 507 when the disk is full, 413 when the admin is over their quota
+        await admitUpload(req.auth.id, totalSize);
+
+        const uploadSession = await prisma.uploadSession.create({
+            data: {
+                ownerId: req.auth.id,
+                fileName,
+                totalSize,
+                chunkSize,
+                totalChunks: Math.ceil(totalSize / chunkSize),
+                checksumAlgorithm: fileChecksum?.algorithm,
+                checksum: fileChecksum?.value,
+                purpose,
+                resourceType,
+                resourceId,
+                expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS),
+            },
+        });
+
+        res.status(201).json({
+            message: 'Upload session created',
+            uploadSession,
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name getUploadSession
+ * @description progress of an upload session, clients resume by sending the missing chunks
+ * @type {import('express').RequestHandler}
+ */
+export const getUploadSession = async (req, res, next) => {
     try {
-        const { clientId, fileName, type, resourceId } = req.body; // type: film or episode / resourceId: filmId or episodeId / if type is episode, seasonId is required
+        const uploadSession = await findUploadSession(req, req.params.uploadId);
+        const receivedChunks = await chunkService.listSessionChunks(uploadSession.id);
+        const missingChunks = await chunkService.missingSessionChunks(uploadSession);
 
-        if (!clientId) returnError('Client ID is required', 400);
-        if (!fileName) returnError('File name is required', 400);
-        if (!resourceId) {
-            returnError('Either Film ID or EpisodeID is required', 400);
+        res.status(200).json({
+            uploadSession,
+            receivedChunks,
+            missingChunks,
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
         }
+        next(error);
+    }
+};
 
-        // combine the chunks
-        const filePath = await chunkService.combineChunks(fileName);
+/**
+ * @name uploadSessionChunk
+ * @description store one chunk of an upload session, re-sending an index replaces it
+ * @type {import('express').RequestHandler}
+ */
+export const uploadSessionChunk = async (req, res, next) => {
+    try {
+        if (!req.file) returnError('Chunk file is required', 400);
 
-        let resource = null;
+        let uploadSession;
+        let checksum;
+        try {
+            uploadSession = await findUploadSession(req, req.params.uploadId);
+            checksum = readChunkChecksum(req);
+        } catch (error) {
+            await fs.promises.rm(req.file.path, { force: true });
+            throw error;
+        }
+
+        const index = Number(req.params.index);
+        await chunkService.saveSessionChunk(
+            req.file.path,
+            uploadSession,
+            index,
+            checksum
+        );
 
-        if (type === 'film') {
-            resource = await prisma.film.findUnique({
-                where: { id: resourceId },
-            });
+        const received = await chunkService.listSessionChunks(uploadSession.id);
+
+        res.status(200).json({
+            message: 'Chunk uploaded successfully',
+            index,
+            receivedChunks: received.length,
+            totalChunks: uploadSession.totalChunks,
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
         }
+        next(error);
+    }
+};
 
-        if (type === 'episode') {
-            resource = await prisma.episode.findUnique({
-                where: { id: resourceId },
-                include: { season: { select: { id: true, filmId: true } } },
-            });
+/**
+ * @name cancelUploadSession
+ * @description abandon an upload session and delete its chunks
+ * @type {import('express').RequestHandler}
+ */
+export const cancelUploadSession = async (req, res, next) => {
+    try {
+        const uploadSession = await findUploadSession(req, req.params.uploadId);
+
+        await chunkService.deleteSessionChunks(uploadSession.id);
+        await prisma.uploadSession.update({
+            where: { id: uploadSession.id },
+            data: { status: 'cancelled' },
+        });
+
+        res.status(200).json({ message: 'Upload cancelled' });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
         }
+        next(error);
+    }
+};
 
-        if (!resource) {
-            // if resource is not found clear the file from the temp folder
-            await fs.promises.rm(filePath);
-            returnError("The resource you were looking for doesn't exist", 404);
+/**
+ * @name uploadFilm2 film to bucket
+ * @description function to upload film to bucket and get signed url
+ * @type {import('express').RequestHandler}
+ */
+
+
+export const uploadFilm2 = async (req, res, next) => {
+    try {
+        const { clientId, uploadId } = req.body;
+        let { fileName, type, resourceId } = req.body; // type: film or episode / resourceId: filmId or episodeId / if type is episode, seasonId is required
+
+        // uploads started with POST /uploads carry their target, the body ones are for older clients
+        let uploadSession = null;
+        if (uploadId) {
+            uploadSession = await findUploadSession(req, uploadId);
+            if (uploadSession.purpose !== 'video') {
+                returnError('This upload session is not for a video', 400);
+            }
+            ({ fileName, resourceType: type, resourceId } = uploadSession);
         }
 
-        const bucketName =
-            type === 'film'
-                ? resourceId
-                : `${resource.season?.filmId}-${resource.seasonId}`;
+        if (!clientId) returnError('Client ID is required', 400);
+        if (!fileName) returnError('File name is required', 400);
+        if (!resourceId) {
+            returnError('Either Film ID or EpisodeID is required', 400);
+        }
 
-        const { filename } = new ChunkService().formatFileName(fileName);
+        // combine the chunks, a file that doesn't match its checksum never reaches the transcoder
+        const checksum = readFileChecksum(req, uploadSession);
+        const filePath = uploadSession
+            ? await completeUploadSession(uploadSession, checksum)
+            : await chunkService.combineChunks(fileName, checksum, readExpectedChunks(req));
 
-        // Add job to queue
-        const job = await videoQueue.add('transcode-video', {
+        const job = await queueVideoTranscode({
             type,
-            filePath,
             resourceId,
-            resource,
             fileName,
-            filename,
+            filePath,
             clientId,
-            bucketName,
-            outputDir: UPLOAD_DIR,
+            ownerId: req.auth.id,
         });
 
-        // Save job details to database
-        const jobData = {
-            jobId: job.id.toString(),
-            queueName: 'video-transcoding',
-            status: 'waiting',
+        res.status(200).json({
+            message:
+                'video upload received. Processing in the background will start shortly.',
+            jobQueued: true,
+            jobId: job.jobId,
+            processingJob: job.processingJob,
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
 
+        next(error);
+    }
+};
+
+
+// Master versions, see services/masterVersions.js
+
+const assertObjectId = (id, message) => {
+    if (!/^[a-f\d]{24}$/i.test(id ?? '')) returnError(message, 404);
+};
+
+/**
+ * @name replaceMaster
+ * @description Complete a video upload session as a new master for its film or episode. It is transcoded next to
+ * the live version, which keeps playing until the new one is fully uploaded and switched in.
+ * @type {import('express').RequestHandler}
+ */
+export const replaceMaster = async (req, res, next) => {
+    try {
+        const { uploadId, clientId, reason } = req.data;
+
+        const uploadSession = await findUploadSession(req, uploadId);
+        if (uploadSession.purpose !== 'video') {
+            returnError('This upload session is not for a video', 400);
+        }
+        const { fileName, resourceType, resourceId } = uploadSession;
+
+        // 409 while another replacement is transcoding, before the chunks are assembled
+        const masterVersion = await startReplacement({
+            resourceType,
             resourceId,
-            resourceType: type,
-            resourceName: type === 'film' ? resource.title : resource.title,
-            fileName,
-            canCancel: true,
-        };
+            ownerId: req.auth.id,
+            reason,
+        });
 
-        if (type === 'film') {
-            jobData.filmId = resourceId;
-        } else {
-            jobData.episodeId = resourceId;
+        let job;
+        try {
+            const checksum = readFileChecksum(req, uploadSession);
+            const filePath = await completeUploadSession(uploadSession, checksum);
+
+            job = await queueVideoTranscode({
+                type: resourceType,
+                resourceId,
+                fileName,
+                filePath,
+                clientId,
+                ownerId: req.auth.id,
+                masterVersion,
+            });
+        } catch (error) {
+            await failVersion(masterVersion.id, error.message);
+            throw error;
         }
 
-        await prisma.videoProcessingJob.create({
-            data: jobData,
+        const { filename } = chunkService.formatFileName(fileName);
+        const queued = await prisma.masterVersion.update({
+            where: { id: masterVersion.id },
+            data: { jobId: job.jobId, filename },
         });
 
+        res.status(202).json({
+            message: `Version ${queued.version} is transcoding, it goes live once every rendition is uploaded`,
+            masterVersion: queued,
+            jobId: job.jobId,
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name getMasterVersions
+ * @description Every master version of a film or episode, newest first
+ * @type {import('express').RequestHandler}
+ */
+export const getMasterVersions = async (req, res, next) => {
+    try {
+        const { resourceId } = req.params;
+        assertObjectId(resourceId, 'Film or episode not found');
+
+        res.status(200).json({ versions: await listVersions(resourceId) });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name rollbackMaster
+ * @description Make an archived master version live again, the newest one unless `versionId` is given
+ * @type {import('express').RequestHandler}
+ */
+export const rollbackMaster = async (req, res, next) => {
+    try {
+        const { resourceId } = req.params;
+        const { versionId } = req.data;
+        assertObjectId(resourceId, 'Film or episode not found');
+        if (versionId) assertObjectId(versionId, 'Version not found');
+
+        const masterVersion = await rollbackVersion(resourceId, versionId);
+
         res.status(200).json({
-            message:
-                'video upload received. Processing in the background will start shortly.',
-            jobQueued: true,
-            jobId: job.id.toString(),
+            message: `Version ${masterVersion.version} is live again`,
+            masterVersion,
         });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
         }
+        next(error);
+    }
+};
+
+/**
+ * @name purgeMasterVersion
+ * @description Delete an archived or failed master version's files and videos for good
+ * @type {import('express').RequestHandler}
+ */
+export const purgeMasterVersion = async (req, res, next) => {
+    try {
+        const { resourceId, versionId } = req.params;
+        assertObjectId(resourceId, 'Film or episode not found');
+        assertObjectId(versionId, 'Version not found');
+
+        const { version, deletedFiles } = await purgeVersion(resourceId, versionId);
 
+        res.status(200).json({
+            message: `Version ${version.version} purged`,
+            masterVersion: version,
+            deletedFiles,
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
         next(error);
     }
 };
@@ -1125,7 +1517,17 @@ export const uploadFilm2 = async (req, res, next) => {
  */
 export const uploadTrailer = async (req, res, next) => {
     try {
-        const { fileName, clientId, resourceId, type } = req.body;
+        const { clientId, uploadId } = req.body;
+        let { fileName, resourceId, type } = req.body;
+
+        let uploadSession = null;
+        if (uploadId) {
+            uploadSession = await findUploadSession(req, uploadId);
+            if (uploadSession.purpose !== 'trailer') {
+                returnError('This upload session is not for a trailer', 400);
+            }
+            ({ fileName, resourceType: type, resourceId } = uploadSession);
+        }
 
         if (!resourceId) {
             returnError('Resource ID is required', 400);
@@ -1149,7 +1551,10 @@ export const uploadTrailer = async (req, res, next) => {
             });
         }
 
-        const filePath = await chunkService.combineChunks(fileName);
+        const checksum = readFileChecksum(req, uploadSession);
+        const filePath = uploadSession
+            ? await completeUploadSession(uploadSession, checksum)
+            : await chunkService.combineChunks(fileName, checksum, readExpectedChunks(req));
 
         if (!resource) {
             // if resource is not found clear the file from the temp folder
@@ -1169,10 +1574,20 @@ export const uploadTrailer = async (req, res, next) => {
             returnError('A video with the same name already exists', 400);
         }
 
+        // reject audio-only, empty or undecodable files before they are queued
+        const sourceMetadata = await inspectSource(filePath);
+        try {
+            await assertTranscodeFits(sourceMetadata, 'process-trailer-hls');
+        } catch (error) {
+            await fs.promises.rm(filePath, { force: true });
+            throw error;
+        }
+
         const bucketName = type === 'film' ? resourceId : `${resource.filmId}-${resource.id}`;
 
         // Create a unique job ID for tracking
         const jobId = `trailer_${resourceId}_${Date.now()}`;
+        let processingJob = null;
 
         try {
             // Create a processing job record in the database
@@ -1186,7 +1601,9 @@ export const uploadTrailer = async (req, res, next) => {
                     status: 'waiting',
                     jobType: 'trailer_processing',
                     clientId: clientId,
+                    ownerId: req.auth.id,
                     bucketName: bucketName,
+                    sourceMetadata,
                     createdAt: new Date(),
                     updatedAt: new Date()
                 }
@@ -1217,7 +1634,7 @@ export const uploadTrailer = async (req, res, next) => {
             console.log(`✅ Trailer processing job queued: ${jobId}`);
 
             // Update job status to processing
-            await prisma.videoProcessingJob.update({
+            processingJob = await prisma.videoProcessingJob.update({
                 where: { jobId: jobId },
                 data: {
                     status: 'processing',
@@ -1261,7 +1678,8 @@ export const uploadTrailer = async (req, res, next) => {
         res.status(200).json({
             message: 'Trailer processing job queued successfully',
             jobId: jobId,
-            status: 'queued'
+            status: 'queued',
+            processingJob
         });
     } catch (error) {
         if (!error.statusCode) {
@@ -1410,13 +1828,16 @@ export const deletePoster = async (req, res, next) => {
                 key: poster.name,
                 bucketName: poster.film.id,
             });
+            await deletePosterVariants(poster.film.id, poster.variants);
         }
 
         if (poster.episode) {
+            const bucketName = `${poster.episode.season.filmId}-${poster.episode.seasonId}`;
             await deleteFromBucket({
                 key: poster.name,
-                bucketName: `${poster.episode.season.filmId}-${poster.episode.seasonId}`,
+                bucketName,
             });
+            await deletePosterVariants(bucketName, poster.variants);
         }
 
         await prisma.poster.delete({
@@ -1465,7 +1886,7 @@ export const deleteVideo = async (req, res, next) => {
         if (video.film) {
             // Extract base video name for HLS file deletion
             const baseVideoName = video.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-            const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, ''); // Remove resolution and master prefixes
+            const cleanBaseName = baseVideoName.replace(/^((ULD_|LD_|SD_|HD_|FHD_|UHD_)(hevc_|av1_)?|master_)/, ''); // Remove resolution, codec and master prefixes
 
             // means that the video is movie
             const resourceId = video.film.id;
@@ -2044,7 +2465,8 @@ export const updatePricing = async (req, res, next) => {
 
 /**
  * @name deleteVideos
- * @description function to get price by currency and type
+ * @description Delete videos and their files. Renditions deleted on their own are dropped from the master playlist,
+ * deleting the master or the last rendition removes the title's master and subtitles too.
  * @type {import('express').RequestHandler}
  */
 export const deleteVideos = async (req, res, next) => {
@@ -2077,6 +2499,25 @@ export const deleteVideos = async (req, res, next) => {
 
         if (!videos?.length) returnError('Videos not found', 404);
 
+        const resourceOf = (video) => video.filmId ?? video.episodeId;
+        const remainingRenditions = await prisma.video.findMany({
+            where: {
+                id: { notIn: videoIds },
+                isTrailer: false,
+                resolution: { not: 'MASTER' },
+                OR: [
+                    { filmId: { in: videos.map((video) => video.filmId).filter(Boolean) } },
+                    { episodeId: { in: videos.map((video) => video.episodeId).filter(Boolean) } },
+                ],
+            },
+            select: { filmId: true, episodeId: true },
+        });
+        // deleting renditions drops them from the master playlist, deleting the master or the last rendition removes the whole title
+        const keepsTitle = (video) =>
+            !video.isTrailer &&
+            !videos.some((other) => other.resolution === 'MASTER' && resourceOf(other) === resourceOf(video)) &&
+            remainingRenditions.some((other) => resourceOf(other) === resourceOf(video));
+
         console.log(`📋 Found ${videos.length} videos to delete`);
 
         for (let video of videos) {
@@ -2086,7 +2527,9 @@ export const deleteVideos = async (req, res, next) => {
 
             // Extract base video name for HLS file deletion
             const baseVideoName = video.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-            const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, ''); // Remove resolution and master prefixes
+            const cleanBaseName = baseVideoName.replace(/^((ULD_|LD_|SD_|HD_|FHD_|UHD_)(hevc_|av1_)?|master_)/, ''); // Remove resolution, codec and master prefixes
+            // replaced masters live under "v2/"… in the bucket, see services/masterVersions.js
+            const keyPrefix = await keyPrefixOf(video.masterVersionId);
 
             if (video.film) {
                 // means that the video is movie
@@ -2105,22 +2548,27 @@ export const deleteVideos = async (req, res, next) => {
                 // }
 
                 // Enhanced folder-based deletion for HLS and subtitle files
-                const foldersToDelete = [
+                const foldersToDelete = keepsTitle(video) ? [`${resourceId}/${keyPrefix}hls_${renditionKey(video.resolution, video.codec)}_${cleanBaseName}`] : [
                     // HLS folders for each resolution
-                    `${resourceId}/hls_SD_${cleanBaseName}`,
-                    `${resourceId}/hls_HD_${cleanBaseName}`,
-                    `${resourceId}/hls_FHD_${cleanBaseName}`,
-                    `${resourceId}/hls_UHD_${cleanBaseName}`,
-                    `${resourceId}/master_${cleanBaseName}.m3u8`,
+                    `${resourceId}/${keyPrefix}hls_ULD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_LD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_SD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_HD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_FHD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_UHD_${cleanBaseName}`,
+                    // HEVC and AV1 renditions, e.g. hls_HD_hevc_
+                    ...RENDITION_LABELS.flatMap((label) => EFFICIENT_VIDEO_CODECS.map((codec) => `${resourceId}/${keyPrefix}hls_${label}_${codec}_${cleanBaseName}`)),
+                    `${resourceId}/${keyPrefix}hls_audio_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}master_${cleanBaseName}.m3u8`,
 
                     // Subtitle folders
-                    `${resourceId}/subtitles/${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}subtitles/${cleanBaseName}`,
                 ];
 
                 // Individual files to delete (master playlist and original MP4)
-                const filesToDelete = [
+                const filesToDelete = keepsTitle(video) ? [] : [
                     // Master playlist
-                    `${resourceId}/master_${cleanBaseName}.m3u8`,
+                    `${resourceId}/${keyPrefix}master_${cleanBaseName}.m3u8`,
 
                     // Original MP4 (if exists)
                     `${resourceId}/original_${cleanBaseName}.mp4`,
@@ -2249,22 +2697,27 @@ export const deleteVideos = async (req, res, next) => {
                 // }
 
                 // Enhanced folder-based deletion for episodes
-                const episodeFoldersToDelete = [
+                const episodeFoldersToDelete = keepsTitle(video) ? [`${resourceId}/${keyPrefix}hls_${renditionKey(video.resolution, video.codec)}_${cleanBaseName}`] : [
                     // HLS folders for each resolution
-                    `${resourceId}/hls_SD_${cleanBaseName}`,
-                    `${resourceId}/hls_HD_${cleanBaseName}`,
-                    `${resourceId}/hls_FHD_${cleanBaseName}`,
-                    `${resourceId}/hls_UHD_${cleanBaseName}`,
-                    `${resourceId}/master_${cleanBaseName}.m3u8`,
+                    `${resourceId}/${keyPrefix}hls_ULD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_LD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_SD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_HD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_FHD_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}hls_UHD_${cleanBaseName}`,
+                    // HEVC and AV1 renditions, e.g. hls_HD_hevc_
+                    ...RENDITION_LABELS.flatMap((label) => EFFICIENT_VIDEO_CODECS.map((codec) => `${resourceId}/${keyPrefix}hls_${label}_${codec}_${cleanBaseName}`)),
+                    `${resourceId}/${keyPrefix}hls_audio_${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}master_${cleanBaseName}.m3u8`,
 
                     // Subtitle folders
-                    `${resourceId}/subtitles/${cleanBaseName}`,
+                    `${resourceId}/${keyPrefix}subtitles/${cleanBaseName}`,
                 ];
 
                 // Individual files to delete (master playlist and original MP4)
-                const episodeFilesToDelete = [
+                const episodeFilesToDelete = keepsTitle(video) ? [] : [
                     // Master playlist
-                    `${resourceId}/master_${cleanBaseName}.m3u8`,
+                    `${resourceId}/${keyPrefix}master_${cleanBaseName}.m3u8`,
 
                     // Original MP4 (if exists)
                     `${resourceId}/original_${cleanBaseName}.mp4`,
@@ -2376,41 +2829,50 @@ export const deleteVideos = async (req, res, next) => {
 
 
 
-        // Extract base video name for HLS file deletion
-        const baseVideoName = videos[0].name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-        const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, ''); // Remove resolution and master prefixes
+        // one video per title, the titles that keep renditions get a new master playlist below
+        const titles = [...new Map(videos.map((video) => [resourceOf(video), video])).values()];
+        let deletedSubtitles = 0;
 
-        //delete the master playlist from database
-        const findMasterPlaylist = await prisma.video.findFirst({
-            where: { name: `master_${cleanBaseName}.m3u8` },
-        });
+        for (const title of titles) {
+            if (keepsTitle(title)) continue;
 
-        if (findMasterPlaylist) {
-            // delete film from database
-            await prisma.video.delete({
-                where: { id: findMasterPlaylist.id },
-            });
-        } else { }
+            // Extract base video name for HLS file deletion
+            const baseVideoName = title.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
+            const cleanBaseName = baseVideoName.replace(/^((ULD_|LD_|SD_|HD_|FHD_|UHD_)(hevc_|av1_)?|master_)/, ''); // Remove resolution, codec and master prefixes
 
-        //delete the subtitle from database
-        let subtitleResourceId = null;
-        if (videos[0].film) {
-            subtitleResourceId = videos[0].film.id;
-        } else if (videos[0].episode) {
-            subtitleResourceId = videos[0].episode.id;
-        }
-        const findSubtitle = await prisma.subtitle.findMany({
-            where: { resourceId: subtitleResourceId, },
-        });
+            //delete the master playlist from database
+            const findMasterPlaylist = await prisma.video.findFirst({
+                where: { name: `master_${cleanBaseName}.m3u8` },
+            });
 
-        if (findSubtitle) {
-            // delete subtitle from database
-            await prisma.subtitle.deleteMany({
-                where: { id: { in: findSubtitle.map(subtitle => subtitle.id) } },
+            if (findMasterPlaylist) {
+                // delete film from database
+                await prisma.video.delete({
+                    where: { id: findMasterPlaylist.id },
+                });
+            } else { }
+
+            //delete the subtitle from database
+            let subtitleResourceId = null;
+            if (title.film) {
+                subtitleResourceId = title.film.id;
+            } else if (title.episode) {
+                subtitleResourceId = title.episode.id;
+            }
+            const findSubtitle = await prisma.subtitle.findMany({
+                where: { resourceId: subtitleResourceId, },
             });
+
+            if (findSubtitle) {
+                // delete subtitle from database
+                await prisma.subtitle.deleteMany({
+                    where: { id: { in: findSubtitle.map(subtitle => subtitle.id) } },
+                });
+                deletedSubtitles += findSubtitle.length;
+            }
         }
 
-        console.log(`✅ Successfully deleted ${findSubtitle.length} subtitles from database`);
+        console.log(`✅ Successfully deleted ${deletedSubtitles} subtitles from database`);
 
         // delete videos from database
         const deletedVideos = await prisma.video.deleteMany({
@@ -2419,6 +2881,16 @@ export const deleteVideos = async (req, res, next) => {
 
         console.log(`✅ Successfully deleted ${deletedVideos.count} videos from database`);
 
+        for (const title of titles) {
+            if (!keepsTitle(title)) continue;
+
+            try {
+                await regenerateMasterPlaylist(title.film ? 'film' : 'episode', resourceOf(title));
+            } catch (error) {
+                console.error(`❌ Could not rebuild the master playlist of ${resourceOf(title)}:`, error.message);
+            }
+        }
+
         res.status(200).json({
             message: `Videos, HLS folders, and subtitle folders deleted successfully from DigitalOcean Spaces. Deleted ${deletedVideos.count} videos.`,
             deletedCount: deletedVideos.count
@@ -2438,7 +2910,7 @@ export const deleteVideos = async (req, res, next) => {
 
 /**
  * @name getVideoProcessingJobs
- * @description Get all video processing jobs with their status
+ * @description Get all video processing jobs with their status, and the disk usage transcodes are admitted against
  * @type {import('express').RequestHandler}
  */
 export const getVideoProcessingJobs = async (req, res, next) => {
@@ -2488,6 +2960,7 @@ export const getVideoProcessingJobs = async (req, res, next) => {
         const queueStats = {
             total: jobs.length,
             waiting: jobs.filter(job => job.status === 'waiting').length,
+            delayed: jobs.filter(job => job.status === 'delayed').length,
             active: jobs.filter(job => job.status === 'active').length,
             completed: jobs.filter(job => job.status === 'completed').length,
             failed: jobs.filter(job => job.status === 'failed').length,
@@ -2497,6 +2970,7 @@ export const getVideoProcessingJobs = async (req, res, next) => {
         res.status(200).json({
             jobs,
             stats: queueStats,
+            disk: await getDiskUsage(),
         });
     } catch (error) {
         if (!error.statusCode) {
@@ -2766,7 +3240,8 @@ export const retryVideoProcessingJob = async (req, res, next) => {
        
         const { filename, ext } = new ChunkService().formatFileName(job.fileName);
         
-        const filePath = path.join(UPLOAD_DIR, `${filename}.${ext}`);
+        // files from upload sessions are stored under their own name, see ChunkService.combineSessionChunks
+        const filePath = job.filePath || path.join(UPLOAD_DIR, `${filename}.${ext}`);
         const newQueueJob = await videoQueue.add('transcode-video', {
             type: job.resourceType,
             filePath,
@@ -3313,7 +3788,7 @@ export const uploadSubtitle = async (req, res, next) => {
 
         const firstVideo = videos[0];
         const baseVideoName = firstVideo.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-        const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, ''); // Remove resolution and master prefixes
+        const cleanBaseName = baseVideoName.replace(/^((ULD_|LD_|SD_|HD_|FHD_|UHD_)(hevc_|av1_)?|master_)/, ''); // Remove resolution, codec and master prefixes
 
         console.log(`🎬 Original video name: ${cleanBaseName}`);
 
@@ -3702,6 +4177,7 @@ export const retryUploadJob = async (req, res, next) => {
             newQueueJob = await hlsUploadQueue.add('upload-hls-to-s3', {
                 hlsDir: job.hlsDir,
                 label: job.label,
+                codec: job.codec ?? undefined,
                 filename: job.filename,
                 resourceId: job.resourceId,
                 bucketName,
@@ -3750,6 +4226,7 @@ export const retryUploadJob = async (req, res, next) => {
                 uploadType: job.uploadType,
                 contentType: job.contentType,
                 label: job.label,
+                codec: job.codec,
                 hlsDir: job.hlsDir,
                 masterPlaylistPath: job.masterPlaylistPath,
                 subtitlePath: job.subtitlePath,
@@ -4260,3 +4737,68 @@ export const fixStuckUploadJobs = async (req, res, next) => {
         return returnError(res, 500, 'Failed to fix stuck upload jobs');
     }
 };
+
+/**
+ * @name getAuditLogs
+ * @description List audit log entries, newest first. Filters: action (exact, or a prefix ending in "."),
+ * actorId, actorType, targetType, targetId, from and to (dates), page and limit.
+ * @type {import('express').RequestHandler}
+ */
+export const getAuditLogs = async (req, res, next) => {
+    try {
+        const filters = ['action', 'actorId', 'actorType', 'targetType', 'targetId', 'from', 'to'];
+        // repeated or nested query values arrive as arrays and objects, which prisma would read as operators
+        const invalid = filters.find(
+            (name) => req.query[name] !== undefined && typeof req.query[name] !== 'string'
+        );
+        if (invalid) returnError(`${invalid} must be a single value`, 400);
+
+        const { action, actorId, actorType, targetType, targetId, from, to } =
+            req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const filter = {};
+        if (action) {
+            filter.action = action.endsWith('.')
+                ? { startsWith: action }
+                : action;
+        }
+        if (actorId) filter.actorId = actorId;
+        if (actorType) filter.actorType = actorType;
+        if (targetType) filter.targetType = targetType;
+        if (targetId) filter.targetId = targetId;
+        if (from || to) {
+            const range = { ...(from && { gte: new Date(from) }), ...(to && { lte: new Date(to) }) };
+            if (Object.values(range).some((date) => isNaN(date.getTime()))) {
+                returnError('from and to must be valid dates', 400);
+            }
+            filter.createdAt = range;
+        }
+
+        const [total, logs] = await Promise.all([
+            prisma.auditLog.count({ where: filter }),
+            prisma.auditLog.findMany({
+                where: filter,
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+        ]);
+
+        res.status(200).json({
+            logs,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
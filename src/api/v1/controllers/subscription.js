@@ -1,26 +1,17 @@
 import prisma from '@/utils/db.mjs';
 import { returnError } from '@/utils/returnError.js';
 import { subscriptionPlanSchema } from '../validationschemas/index.js';
+import { mtnPaymentRequest } from '@/services/mtnpayments.js';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
 import { z } from 'zod';
-import { DurationUnit } from '@prisma/client';
-import { addWeeks, addMonths, isValid } from 'date-fns';
 
-/**
- * @name calculateNextPaymentDate
- * @description Function to calculate the next payment date
- * @param {DurationUnit} duration
- * @param {Date} startDate
- * @returns
- */
-function calculateNextPaymentDate(duration, startDate) {
-   if (!isValid(startDate)) throw new Error('Invalid date');
-   if (duration === 'WEEK') {
-      return addWeeks(startDate, 1);
-   }
-   if (duration === 'MONTH') {
-      return addMonths(startDate, 1);
-   }
-}
+// the fields a user may change on their own subscription, status and payment dates only change with a payment
+const UPDATABLE_SUBSCRIPTION_FIELDS = ['saveDetails'];
+
+// MTN calls this with the order id appended, see checkPaymentStatus in filmControllers.js
+const MTN_STATUS_URL =
+   'https://api.nyatimotionpictures.com/api/v1/film/checkpaymentstatus';
 
 // Subscription CRUD
 /**
@@ -57,10 +48,18 @@ export const createSubscription = async (req, res, next) => {
          returnError('User already has a subscription', 400);
       }
 
-      // add the user to the subscription plan
+      const plan = await prisma.subscriptionPlan.findUnique({
+         where: { id: planId },
+      });
+
+      if (!plan) {
+         returnError('Subscription plan not found', 404);
+      }
+
+      // add the user to the subscription plan, it grants nothing until the payment callback activates it
       const newSubscription = await prisma.subscription.create({
          data: {
-            status: 'ACTIVE',
+            status: 'PENDING',
             saveDetails,
             user: {
                connect: {
@@ -102,7 +101,7 @@ export const createSubscription = async (req, res, next) => {
 
       res.status(200).json({
          subscription: newSubscription,
-         message: `Your ${newSubscription.planId} plan has been added successfully`,
+         message: `Your ${newSubscription.planId} plan has been added, it starts once your payment is confirmed`,
       });
    } catch (error) {
       if (!error.statusCode) {
@@ -113,6 +112,133 @@ export const createSubscription = async (req, res, next) => {
    }
 };
 
+/**
+ *@name paySubscription
+ *@description Start a payment for the user's subscription plan. The transaction is linked to the
+ * subscription, so the film payment status checks activate (or extend) it once the payment is confirmed.
+ *@type {import('express').RequestHandler}
+ */
+export const paySubscription = async (req, res, next) => {
+   try {
+      const { userId } = req.params;
+      const { type, option, paymentNumber, paymentMethodId } = req.data;
+
+      const subscription = await prisma.subscription.findUnique({
+         where: { userId },
+         include: { plan: true },
+      });
+
+      if (!subscription) {
+         returnError('You need to subscribe to a plan first', 400);
+      }
+
+      if (subscription.status === 'CANCELLED') {
+         returnError('This subscription has been cancelled', 400);
+      }
+
+      const { plan } = subscription;
+      const amount = plan.price.toString();
+      const phoneNumber = paymentNumber.replace('+', '');
+
+      let orderTrackingId = null;
+      let paymentMethodType = null;
+      let orderDetails = {};
+
+      switch (option) {
+         case 'mtnmomo': {
+            const { status, orderTrackingId: trackingId } =
+               await mtnPaymentRequest({
+                  token: req.mtn_access_token,
+                  amount,
+                  currency: plan.currency,
+                  phoneNumber,
+                  callbackURL: MTN_STATUS_URL,
+                  paymentMessage: `Subscription to the ${plan.name} plan`,
+                  payeeNote: '',
+               });
+
+            if (status !== 'Accepted' || !trackingId) {
+               returnError('Payment Processing failed', 400);
+            }
+
+            orderTrackingId = trackingId;
+            paymentMethodType = 'mtnmomo';
+            break;
+         }
+         case 'visa':
+         case 'airtelmoney': {
+            const PESA_URL = 'https://pay.pesapal.com/v3';
+            const submitOrderRequest = await axios.post(
+               `${PESA_URL}/api/Transactions/SubmitOrderRequest`,
+               {
+                  id: uuidv4(),
+                  amount,
+                  currency: plan.currency,
+                  description: `Subscription to the ${plan.name} plan`,
+                  callback_url:
+                     type === 'streamWeb'
+                        ? 'https://stream.nyatimotionpictures.com/pesapay/success'
+                        : 'https://nyatimotionpictures.com/donate/pesapay/success',
+                  cancellation_url:
+                     type === 'streamWeb'
+                        ? 'https://stream.nyatimotionpictures.com/pesapay/cancel'
+                        : 'https://nyatimotionpictures.com/donate/pesapay/cancel',
+                  notification_id: req.ipn_id,
+                  branch: '',
+                  billing_address: { phone_number: phoneNumber },
+               },
+               {
+                  headers: {
+                     'Content-Type': 'application/json',
+                     Accept: 'application/json',
+                     Authorization: req.bearertk,
+                  },
+               }
+            );
+
+            if (
+               submitOrderRequest.data?.error ||
+               !submitOrderRequest.data?.order_tracking_id
+            ) {
+               returnError('Payment Processing failed', 400);
+            }
+
+            orderTrackingId = submitOrderRequest.data.order_tracking_id;
+            paymentMethodType = 'PesaPal';
+            orderDetails = submitOrderRequest.data;
+            break;
+         }
+         default:
+            returnError('Invalid payment type', 400);
+      }
+
+      await prisma.transaction.create({
+         data: {
+            userId,
+            type: 'SUBSCRIPTION',
+            amount,
+            currency: plan.currency,
+            status: 'PENDING',
+            paymentMethodType,
+            orderTrackingId,
+            paymentMethodId: paymentMethodId ?? null,
+            subscriptionId: subscription.id,
+         },
+      });
+
+      res.status(200).json({
+         ...orderDetails,
+         message: 'Payment pending approval',
+         orderTrackingId,
+      });
+   } catch (error) {
+      if (!error.statusCode) {
+         error.statusCode = 500;
+      }
+      next(error);
+   }
+};
+
 /**
  *@name getUserSubscription
  *@description Fetch the user's subscription
@@ -154,17 +280,33 @@ export const getUserSubscription = async (req, res, next) => {
  *@name updateUserSubscription
  *@description Update the user's subscription
  *@type {import('express').RequestHandler}
- *@todo Add validation to the req.body with zod using the prisma schema
  */
 
 export const updateUserSubscription = async (req, res, next) => {
    try {
-      const data = req.body;
       const { userId } = req.params;
       if (!userId) {
          returnError('User userId not passed', 400);
       }
 
+      const data = Object.fromEntries(
+         UPDATABLE_SUBSCRIPTION_FIELDS.filter(
+            (field) => req.body?.[field] !== undefined
+         ).map((field) => [field, req.body[field]])
+      );
+      if (Object.keys(data).length === 0) {
+         returnError(
+            `Only ${UPDATABLE_SUBSCRIPTION_FIELDS.join(', ')} can be updated`,
+            400
+         );
+      }
+      if (
+         data.saveDetails !== undefined &&
+         typeof data.saveDetails !== 'boolean'
+      ) {
+         returnError('saveDetails must be true or false', 400);
+      }
+
       const updatedSubscription = await prisma.subscription.update({
          where: {
             userId,
@@ -236,13 +378,12 @@ export const assignSubscriptionPlan = async (req, res, next) => {
          returnError('User ID or Plan ID not passed', 400);
       }
 
-      // update the user's subscription
+      // update the user's subscription, its status is left to the payment callback
       const subscription = await prisma.subscription.update({
          where: {
             userId,
          },
          data: {
-            status: 'ACTIVE',
             plan: {
                connect: {
                   id: planId,
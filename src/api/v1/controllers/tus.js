@@ -0,0 +1,397 @@
+import fs from 'fs';
+import path from 'path';
+import prisma from '@/utils/db.mjs';
+import { returnError } from '@/utils/returnError.js';
+import {
+    parseChecksum,
+    parseChecksumHeader,
+    verifyFileChecksum,
+    CHECKSUM_ALGORITHMS,
+} from '@/utils/checksum.js';
+import { UPLOAD_DIR } from '@/services/multer.js';
+import ChunkService from '@/services/chunkService.js';
+import { redisConnection } from '@/services/redisClient.js';
+import { queueVideoTranscode } from '@/services/videoJobs.js';
+import { admitUpload } from '@/services/diskGuard.js';
+
+// tus 1.0.0 with the creation, termination and checksum extensions, see https://tus.io/protocols/resumable-upload
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'checksum'];
+const TUS_MAX_SIZE = 50 * 1024 ** 3;
+// how long an unfinished tus upload can be resumed
+const TUS_UPLOAD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const TUS_DIR = path.join(UPLOAD_DIR, 'tus');
+const uploadPath = (uploadId) => path.join(TUS_DIR, uploadId);
+
+/**
+ * @name parseUploadMetadata
+ * @description Decode the Upload-Metadata header, comma separated `key base64value` pairs
+ * @param {string | undefined} header
+ * @returns {Record<string, string>}
+ */
+const parseUploadMetadata = (header) => {
+    if (!header) return {};
+
+    return Object.fromEntries(
+        header
+            .split(',')
+            .map((pair) => pair.trim().split(' '))
+            .filter(([key]) => key)
+            .map(([key, value]) => [
+                key,
+                value ? Buffer.from(value, 'base64').toString('utf8') : '',
+            ])
+    );
+};
+
+/**
+ * @name findTusUpload
+ * @description Load a tus upload owned by the signed in admin
+ * @param {import('express').Request} req
+ * @returns {Promise<import('@prisma/client').uploadSession>}
+ */
+const findTusUpload = async (req) => {
+    const { uploadId } = req.params;
+    if (!/^[a-f\d]{24}$/i.test(uploadId ?? '')) returnError('Upload not found', 404);
+
+    const upload = await prisma.uploadSession.findUnique({
+        where: { id: uploadId },
+    });
+    if (!upload || upload.protocol !== 'tus') returnError('Upload not found', 404);
+    if (upload.ownerId !== req.auth.id) {
+        returnError('This upload belongs to another admin', 403);
+    }
+    if (['cancelled', 'expired'].includes(upload.status)) {
+        returnError('Upload is no longer available', 410);
+    }
+    if (upload.status === 'uploading' && upload.expiresAt < new Date()) {
+        await prisma.uploadSession.update({
+            where: { id: upload.id },
+            data: { status: 'expired' },
+        });
+        await fs.promises.rm(uploadPath(upload.id), { force: true });
+        returnError('Upload is no longer available', 410);
+    }
+
+    return upload;
+};
+
+const currentOffset = async (upload) => {
+    if (upload.status === 'completed') return upload.totalSize;
+    const { size } = await fs.promises.stat(uploadPath(upload.id));
+    return size;
+};
+
+/**
+ * @name appendRequestBody
+ * @description Stream a PATCH body onto the end of a file, refusing to grow it past `maxBytes`
+ * @param {import('express').Request} req
+ * @param {string} filePath
+ * @param {number} maxBytes
+ * @returns {Promise<number>} bytes written
+ */
+const appendRequestBody = (req, filePath, maxBytes) => {
+    return new Promise((resolve, reject) => {
+        let received = 0;
+        const writeStream = fs.createWriteStream(filePath, { flags: 'a' });
+
+        req.on('data', (data) => {
+            received += data.length;
+            if (received > maxBytes) {
+                req.unpipe(writeStream);
+                writeStream.destroy();
+                const error = new Error('Upload exceeds its Upload-Length');
+                error.statusCode = 413;
+                reject(error);
+            }
+        });
+        // an interrupted PATCH keeps what was written, the client resumes from the new offset
+        req.on('aborted', () => writeStream.end());
+        req.on('error', reject);
+        writeStream.on('error', reject);
+        writeStream.on('finish', () => resolve(received));
+
+        req.pipe(writeStream);
+    });
+};
+
+/**
+ * @name finishTusUpload
+ * @description Verify the whole file and hand it to the transcoding queue
+ * @param {import('@prisma/client').uploadSession} upload
+ * @returns {Promise<{ jobId: string }>}
+ */
+const finishTusUpload = async (upload) => {
+    const received = uploadPath(upload.id);
+
+    try {
+        await verifyFileChecksum(
+            received,
+            upload.checksum
+                ? { algorithm: upload.checksumAlgorithm, value: upload.checksum }
+                : null
+        );
+    } catch (error) {
+        await fs.promises.rm(received, { force: true });
+        await prisma.uploadSession.update({
+            where: { id: upload.id },
+            data: { status: 'cancelled' },
+        });
+        throw error;
+    }
+
+    const { filename, ext } = new ChunkService().formatFileName(upload.fileName);
+    const filePath = path.join(UPLOAD_DIR, `${filename}-${upload.id}.${ext}`);
+    await fs.promises.rename(received, filePath);
+
+    await prisma.uploadSession.update({
+        where: { id: upload.id },
+        data: { status: 'completed', completedAt: new Date(), filePath },
+    });
+
+    return queueVideoTranscode({
+        type: upload.resourceType,
+        resourceId: upload.resourceId,
+        fileName: upload.fileName,
+        filePath,
+        clientId: upload.clientId,
+        ownerId: upload.ownerId,
+    });
+};
+
+/**
+ * @name setTusCapabilities
+ * @description The server capabilities sent with every tus response
+ * @param {import('express').Response} res
+ */
+const setTusCapabilities = (res) => {
+    res.set({
+        'Tus-Resumable': TUS_VERSION,
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': TUS_EXTENSIONS.join(','),
+        'Tus-Max-Size': String(TUS_MAX_SIZE),
+        'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(','),
+    });
+};
+
+/**
+ * @name tusOptions
+ * @description tus discovery. OPTIONS carries no credentials and no Tus-Resumable, so app.mjs answers it
+ * ahead of the global cors handler and the studio auth.
+ * @type {import('express').RequestHandler}
+ */
+export const tusOptions = (req, res) => {
+    setTusCapabilities(res);
+    res.status(204).end();
+};
+
+/**
+ * @name tusHeaders
+ * @description Version negotiation and the server capabilities sent with every tus response
+ * @type {import('express').RequestHandler}
+ */
+export const tusHeaders = (req, res, next) => {
+    setTusCapabilities(res);
+
+    if (req.get('tus-resumable') !== TUS_VERSION) {
+        return res.status(412).end();
+    }
+    next();
+};
+
+/**
+ * @name createTusUpload
+ * @description tus creation. Upload-Metadata carries `filename`, `resourceType` (film or episode), `resourceId`,
+ * and optionally `clientId`, `checksum` and `checksumAlgorithm` for the whole file.
+ * @type {import('express').RequestHandler}
+ */
+export const createTusUpload = async (req, res, next) => {
+    try {
+        const totalSize = Number(req.get('upload-length'));
+        if (!Number.isSafeInteger(totalSize) || totalSize <= 0) {
+            returnError('Upload-Length is required and should be a positive number of bytes', 400);
+        }
+        if (totalSize > TUS_MAX_SIZE) returnError('Upload is too large', 413);
+
+        const metadata = parseUploadMetadata(req.get('upload-metadata'));
+        const { filename: fileName, resourceId, clientId } = metadata;
+        const resourceType = metadata.resourceType ?? 'film';
+
+        if (!fileName) returnError('filename metadata is required', 400);
+        if (!resourceId) returnError('resourceId metadata is required', 400);
+        if (!['film', 'episode'].includes(resourceType)) {
+            returnError('resourceType metadata should either be film or episode', 400);
+        }
+
+        const resource =
+            resourceType === 'film'
+                ? await prisma.film.findUnique({ where: { id: resourceId } })
+                : await prisma.episode.findUnique({ where: { id: resourceId } });
+        if (!resource) {
+            returnError("The resource you were looking for doesn't exist", 404);
+        }
+
+        const checksum = parseChecksum(metadata.checksum, metadata.checksumAlgorithm);
+        await admitUpload(req.auth.id, totalSize);
+
+        const upload = await prisma.uploadSession.create({
+            data: {
+                protocol: 'tus',
+                ownerId: req.auth.id,
+                fileName,
+                totalSize,
+                purpose: 'video',
+                resourceType,
+                resourceId,
+                clientId,
+                checksumAlgorithm: checksum?.algorithm,
+                checksum: checksum?.value,
+                expiresAt: new Date(Date.now() + TUS_UPLOAD_TTL_MS),
+            },
+        });
+
+        await fs.promises.mkdir(TUS_DIR, { recursive: true });
+        await fs.promises.writeFile(uploadPath(upload.id), '');
+
+        res.status(201)
+            .location(`${req.baseUrl}/${upload.id}`)
+            .json({ uploadSession: upload });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name getTusOffset
+ * @description tus HEAD, how much of the upload the server has
+ * @type {import('express').RequestHandler}
+ */
+export const getTusOffset = async (req, res, next) => {
+    try {
+        const upload = await findTusUpload(req);
+
+        res.set({
+            'Upload-Offset': String(await currentOffset(upload)),
+            'Upload-Length': String(upload.totalSize),
+            'Cache-Control': 'no-store',
+        })
+            .status(200)
+            .end();
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ * @name patchTusUpload
+ * @description tus PATCH, append bytes at Upload-Offset. With Upload-Checksum the bytes are only kept
+ * when they match. The last PATCH queues the file for transcoding.
+ * @type {import('express').RequestHandler}
+ */
+export const patchTusUpload = async (req, res, next) => {
+    const lockKey = `tus:lock:${req.params.uploadId}`;
+    let locked = false;
+
+    try {
+        if (req.get('content-type') !== 'application/offset+octet-stream') {
+            returnError('Content-Type should be application/offset+octet-stream', 415);
+        }
+
+        const upload = await findTusUpload(req);
+        if (upload.status !== 'uploading') returnError('Upload is already complete', 409);
+
+        // one PATCH at a time per upload
+        locked = (await redisConnection.set(lockKey, '1', { NX: true, EX: 60 * 60 })) === 'OK';
+        if (!locked) returnError('Upload is busy, try again shortly', 423);
+
+        const offset = await currentOffset(upload);
+        if (Number(req.get('upload-offset')) !== offset) {
+            returnError('Upload-Offset does not match the current offset', 409);
+        }
+
+        const checksum = parseChecksumHeader(req.get('upload-checksum'));
+        const remaining = upload.totalSize - offset;
+
+        if (checksum) {
+            // hold the chunk aside until it is verified
+            const partPath = `${uploadPath(upload.id)}.part`;
+            await fs.promises.rm(partPath, { force: true });
+
+            try {
+                await appendRequestBody(req, partPath, remaining);
+                await verifyFileChecksum(partPath, checksum, 'Chunk');
+            } catch (error) {
+                await fs.promises.rm(partPath, { force: true });
+                // 460 is the tus status for a checksum mismatch
+                if (error.statusCode === 422) error.statusCode = 460;
+                throw error;
+            }
+
+            await new Promise((resolve, reject) => {
+                fs.createReadStream(partPath)
+                    .on('error', reject)
+                    .pipe(fs.createWriteStream(uploadPath(upload.id), { flags: 'a' }))
+                    .on('finish', resolve)
+                    .on('error', reject);
+            });
+            await fs.promises.rm(partPath, { force: true });
+        } else {
+            try {
+                await appendRequestBody(req, uploadPath(upload.id), remaining);
+            } catch (error) {
+                // drop whatever got past the limit
+                await fs.promises.truncate(uploadPath(upload.id), offset);
+                throw error;
+            }
+        }
+
+        const newOffset = await currentOffset(upload);
+        res.set('Upload-Offset', String(newOffset));
+
+        if (newOffset === upload.totalSize) {
+            const { jobId } = await finishTusUpload(upload);
+            res.set('X-Processing-Job-Id', jobId);
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    } finally {
+        if (locked) await redisConnection.del(lockKey);
+    }
+};
+
+/**
+ * @name terminateTusUpload
+ * @description tus termination, drop an unfinished upload
+ * @type {import('express').RequestHandler}
+ */
+export const terminateTusUpload = async (req, res, next) => {
+    try {
+        const upload = await findTusUpload(req);
+        if (upload.status !== 'uploading') returnError('Upload is already complete', 409);
+
+        await fs.promises.rm(uploadPath(upload.id), { force: true });
+        await prisma.uploadSession.update({
+            where: { id: upload.id },
+            data: { status: 'cancelled' },
+        });
+
+        res.status(204).end();
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
@@ -2,6 +2,17 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { env } from '@/env.mjs';
 import prisma from '@/utils/db.mjs';
+import { signAuthToken } from '@/services/authTokens.js';
+import {
+    startSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    setSessionCookies,
+    clearSessionCookies,
+} from '@/services/sessions.js';
+import { recordDevice, listDevices, revokeDevice } from '@/services/devices.js';
+import { MAX_CODE_ATTEMPTS } from '@/services/authThrottle.js';
 // import { resend } from '@/services/resend.js';
 import { sendZohoMail } from '@/services/zohoMail.js';
 import { at, sendSMS } from '@/services/sms.js';
@@ -108,28 +119,25 @@ export const loginUser = async (req, res, next) => {
 
         if (!comparePassword) returnError('Invalid Credentials - Passkey', 400);
 
-        const token = jwt.sign(
-            {
-                email: existingUser.email,
-                id: existingUser.id,
-            },
-            env.SECRETVA,
-            staySigned === false ? { expiresIn: '24h' } : { expiresIn: '30d' }
-        );
+        const device = await recordDevice(existingUser.id, req, {
+            signIn: true,
+        });
+
+        const session = await startSession(existingUser, {
+            type: 'user',
+            staySigned,
+            req,
+            deviceId: device.id,
+        });
 
-        let age =
-            staySigned === false
-                ? 1000 * 60 * 60 * 24
-                : 1000 * 60 * 60 * 24 * 30; // 24 hours or 30 days
         const { password: Omit, ...userInfo } = existingUser;
 
-        res.cookie('token', token, {
-            httpOnly: true,
-            //secure: true,
-            maxAge: age,
-        })
-            .status(200)
-            .json({ user: userInfo, token: token });
+        setSessionCookies(res, session).status(200).json({
+            user: userInfo,
+            deviceId: device.id,
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+        });
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -154,7 +162,8 @@ export const logout = async (req, res, next) => {
             returnError('Unauthorized', 401);
         }
 
-        res.clearCookie('token');
+        await revokeSession(req.auth?.sessionId);
+        clearSessionCookies(res);
 
         return res.status(200).json({ message: 'Logged out' });
     } catch (error) {
@@ -165,6 +174,61 @@ export const logout = async (req, res, next) => {
     }
 };
 
+/**
+ *@name logoutAll
+ *@description log the user out of every device
+ *@type {import('express').RequestHandler}
+ */
+export const logoutAll = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        if (!id || !req.userId) {
+            returnError('User id not passed', 400);
+        }
+        if (req.userId !== id) {
+            returnError('Unauthorized', 401);
+        }
+
+        const revoked = await revokeAllSessions('user', id);
+        clearSessionCookies(res);
+
+        return res
+            .status(200)
+            .json({ message: `Logged out of ${revoked} session(s)` });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ *@name refreshToken
+ *@description exchange a refresh token for a new access/refresh token pair
+ *@type {import('express').RequestHandler}
+ */
+export const refreshToken = async (req, res, next) => {
+    try {
+        const token = req.body?.refreshToken || req.cookies?.refreshToken;
+
+        const session = await refreshSession(token, 'user');
+
+        setSessionCookies(res, session).status(200).json({
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+        });
+    } catch (error) {
+        if (error.statusCode === 401) {
+            clearSessionCookies(res);
+        }
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
 /**
  *@name updateUser
  *@description update a user by id
@@ -263,6 +327,11 @@ export const getUserProfile = async (req, res, next) => {
 
         if (!user) returnError('User not found', 404);
 
+        // device details (ips included) are only shown to the owner and to admins
+        if (req.userId === userId || req.auth?.type === 'admin') {
+            user.devices = await listDevices(userId);
+        }
+
         return res.status(200).json({ user });
     } catch (error) {
         if (!error.statusCode) {
@@ -272,6 +341,45 @@ export const getUserProfile = async (req, res, next) => {
     }
 };
 
+/**
+ *@name getDevices
+ *@description list the devices the signed in user has used
+ *@type {import('express').RequestHandler}
+ */
+export const getDevices = async (req, res, next) => {
+    try {
+        const devices = await listDevices(req.userId);
+
+        return res.status(200).json({ devices });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
+/**
+ *@name removeDevice
+ *@description revoke one of the signed in user's devices, signing it out
+ *@type {import('express').RequestHandler}
+ */
+export const removeDevice = async (req, res, next) => {
+    try {
+        const { deviceId } = req.params;
+        if (!deviceId) returnError('Device id not passed', 400);
+
+        await revokeDevice(req.userId, deviceId);
+
+        return res.status(200).json({ message: 'Device signed out' });
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
+
 /**
  *@name getUser
  *@description get a user by id
@@ -473,11 +581,10 @@ export const verifyOTP = async (req, res, next) => {
             returnError('An issue occured while verifying OTP', 404);
         }
 
+        // only the latest code counts, so wrong guesses can be tallied against it
         const otpFromDb = await prisma.otp.findFirst({
-            where: {
-                otp,
-                userId: user.id,
-            },
+            where: { userId: user.id },
+            orderBy: { createdAt: 'desc' },
         });
 
         if (!otpFromDb) {
@@ -487,6 +594,28 @@ export const verifyOTP = async (req, res, next) => {
             );
         }
 
+        if (otpFromDb.attempts >= MAX_CODE_ATTEMPTS) {
+            await prisma.otp.delete({ where: { id: otpFromDb.id } });
+            returnError('Too many incorrect attempts, request a new OTP', 429);
+        }
+
+        if (otpFromDb.otp !== otp) {
+            const { attempts } = await prisma.otp.update({
+                where: { id: otpFromDb.id },
+                data: { attempts: { increment: 1 } },
+            });
+
+            if (attempts >= MAX_CODE_ATTEMPTS) {
+                await prisma.otp.delete({ where: { id: otpFromDb.id } });
+                returnError('Too many incorrect attempts, request a new OTP', 429);
+            }
+
+            returnError(
+                'An issue occured while verifying OTP, try again!',
+                400
+            );
+        }
+
         // check if the otp is expired
         if (otpFromDb.expiresAt < new Date()) {
             returnError('The OTP has expired, request another one', 401);
@@ -508,14 +637,16 @@ export const verifyOTP = async (req, res, next) => {
                     },
                 });
 
-                const authToken = jwt.sign(
-                    {
-                        email: user.email,
-                        id: user.id,
-                    },
-                    env.SECRETVA,
-                    { expiresIn: '24h' }
-                );
+                const device = await recordDevice(user.id, req, {
+                    signIn: true,
+                });
+
+                const session = await startSession(user, {
+                    type: 'user',
+                    staySigned: false,
+                    req,
+                    deviceId: device.id,
+                });
 
                 await sendZohoMail({
                     to: user.email,
@@ -525,20 +656,17 @@ export const verifyOTP = async (req, res, next) => {
                         email: user.email,
                     }),
                 });
-                res.status(200).json({
-                    token: authToken,
+                setSessionCookies(res, session).status(200).json({
+                    token: session.accessToken,
+                    refreshToken: session.refreshToken,
                     message: 'OTP verified successfully',
                 });
                 break;
             case 'forgotpassword':
-                const token = jwt.sign(
-                    {
-                        email: user.email,
-                        id: user.id,
-                    },
-                    env.SECRETVA,
-                    { expiresIn: '15m' }
-                );
+                const token = signAuthToken(user, {
+                    type: 'user',
+                    expiresIn: '15m',
+                });
                 console.log('forgot verify', token)
 
                 res.status(200).json({
@@ -889,7 +1017,7 @@ export const sendPasswordResetEmail = async (req, res, next) => {
  */
 export const resetPassword = async (req, res, next) => {
     try {
-        const { token, newPassword } = req.body;
+        const { token, newPassword, email } = req.body;
         if (!token || !newPassword) returnError('Token and new password are required', 400);
 
         // Find the token
@@ -898,10 +1026,40 @@ export const resetPassword = async (req, res, next) => {
             include: { user: true },
         });
 
+        if (!record && typeof email === 'string') {
+            // count the wrong token against the account's outstanding one
+            const user = await prisma.user.findFirst({ where: { email } });
+            const pending = user
+                ? await prisma.passwordResetToken.findFirst({
+                      where: { userId: user.id },
+                  })
+                : null;
+
+            if (pending) {
+                const { attempts } = await prisma.passwordResetToken.update({
+                    where: { id: pending.id },
+                    data: { attempts: { increment: 1 } },
+                });
+                if (attempts >= MAX_CODE_ATTEMPTS) {
+                    await prisma.passwordResetToken.delete({
+                        where: { id: pending.id },
+                    });
+                }
+            }
+        }
+
         if (!record || record.expiresAt < new Date()) {
             returnError('Invalid or expired password reset token', 400);
         }
 
+        if (record.attempts >= MAX_CODE_ATTEMPTS) {
+            await prisma.passwordResetToken.delete({ where: { id: record.id } });
+            returnError(
+                'Too many failed attempts, request a new password reset email',
+                429
+            );
+        }
+
         // Hash the new password
         const hashedPassword = await bcrypt.hash(newPassword, 10);
 
@@ -911,6 +1069,9 @@ export const resetPassword = async (req, res, next) => {
             data: { password: hashedPassword },
         });
 
+        // a new password signs the user out everywhere
+        await revokeAllSessions('user', record.userId);
+
         // Send confirmation email
         await sendZohoMail({
             to: record.user.email,
@@ -0,0 +1,102 @@
+import prisma from '@/utils/db.mjs';
+import { recordAudit } from '@/services/audit.js';
+
+// request fields never copied into the log
+const REDACTED_FIELDS = ['password', 'newPassword', 'token', 'refreshToken'];
+
+const redact = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return input ?? null;
+    }
+    return Object.fromEntries(
+        Object.entries(input).filter(([key]) => !REDACTED_FIELDS.includes(key))
+    );
+};
+
+/**
+ * @name auditTrail
+ * @description Record a successful mutation in the audit log: who made it, on what, and the record
+ * before and after the handler ran. Must run after `verifyToken`.
+ * @param {string} action - e.g. "film.update"
+ * @param {Object} [options]
+ * @param {string} [options.model] - prisma model of the record being changed, e.g. "film"
+ * @param {(req: import('express').Request) => object | null} [options.where] - finds the record, omit for creates
+ * @param {(body: any) => object | null | undefined} [options.created] - picks the new record out of the response
+ * @param {boolean} [options.many] - bulk routes, `where` matches several records
+ * @param {(req: import('express').Request, res: import('express').Response) => boolean} [options.when] - for routes
+ * that only sometimes make the change, e.g. the tus PATCH that completes an upload
+ * @returns {import('express').RequestHandler}
+ */
+export const auditTrail = (
+    action,
+    { model, where, created, many = false, when } = {}
+) => {
+    const delegate = model && model[0].toLowerCase() + model.slice(1);
+
+    const load = async (req) => {
+        const filter = where?.(req);
+        if (!delegate || !filter) return null;
+        return many
+            ? prisma[delegate].findMany({ where: filter })
+            : prisma[delegate].findFirst({ where: filter });
+    };
+
+    return async (req, res, next) => {
+        try {
+            const before = await load(req);
+
+            let responseBody;
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                responseBody = body;
+                return json(body);
+            };
+
+            res.on('finish', async () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) return;
+                if (when && !when(req, res)) return;
+
+                try {
+                    const after =
+                        req.method === 'DELETE'
+                            ? null
+                            : (created?.(responseBody) ?? (await load(req)));
+
+                    await recordAudit(
+                        {
+                            action,
+                            actorType: req.auth?.type,
+                            actorId: req.auth?.id,
+                            targetType: model,
+                            targetId: many ? null : (before ?? after)?.id,
+                            before,
+                            after,
+                            metadata: {
+                                method: req.method,
+                                path: req.originalUrl,
+                                params: req.params,
+                                input: redact(req.data ?? req.body),
+                                ...(req.file && {
+                                    file: {
+                                        name: req.file.originalname,
+                                        size: req.file.size,
+                                    },
+                                }),
+                            },
+                        },
+                        req
+                    );
+                } catch (error) {
+                    console.error(`❌ Failed to audit ${action}:`, error.message);
+                }
+            });
+
+            next();
+        } catch (error) {
+            if (!error.statusCode) {
+                error.statusCode = 500;
+            }
+            next(error);
+        }
+    };
+};
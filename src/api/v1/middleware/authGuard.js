@@ -0,0 +1,58 @@
+import {
+    getActiveLock,
+    recordFailure,
+    clearFailures,
+    normalizeIdentifier,
+} from '@/services/authThrottle.js';
+
+// responses that mean the credentials or code were wrong
+const FAILURE_STATUSES = [400, 401, 403, 404, 422];
+
+/**
+ * @name authGuard
+ * @description Progressive lockout for credential and code endpoints, per account identifier and per ip.
+ * Runs before the body is validated, so `identify` reads the raw body.
+ * @param {string} scope - separate counters per endpoint, e.g. "login", "otp-verify"
+ * @param {(req: import('express').Request) => unknown} identify - the email/phone being tried
+ * @param {{ countSuccess?: boolean }} [options] - count successful requests too, for endpoints that send codes
+ * @returns {import('express').RequestHandler}
+ */
+export const authGuard = (scope, identify, { countSuccess = false } = {}) => {
+    return async (req, res, next) => {
+        try {
+            const identifier = normalizeIdentifier(identify(req));
+
+            const lock = await getActiveLock(scope, identifier, req.ip);
+            if (lock) {
+                const minutes = Math.ceil(lock.retryAfter / 60);
+                res.set('Retry-After', String(lock.retryAfter));
+                return res.status(429).json({
+                    message: `Too many attempts, please try again in ${minutes} minute${minutes > 1 ? 's' : ''}`,
+                });
+            }
+
+            res.on('finish', () => {
+                const failed = FAILURE_STATUSES.includes(res.statusCode);
+                const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+
+                let outcome = null;
+                if (failed || (succeeded && countSuccess)) {
+                    outcome = recordFailure(scope, identifier, req);
+                } else if (succeeded) {
+                    outcome = clearFailures(scope, identifier);
+                }
+
+                outcome?.catch((error) =>
+                    console.error(`❌ authGuard(${scope}) failed to record attempt:`, error.message)
+                );
+            });
+
+            next();
+        } catch (error) {
+            if (!error.statusCode) {
+                error.statusCode = 500;
+            }
+            next(error);
+        }
+    };
+};
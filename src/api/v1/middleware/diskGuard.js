@@ -0,0 +1,19 @@
+import { assertDiskSpace } from '@/services/diskGuard.js';
+
+/**
+ * @name requireDiskSpace
+ * @description Refuse a chunk or file with a 507 before it is written when the disk can't hold its
+ * `Content-Length` and still keep MIN_FREE_DISK_GB free. Runs before multer.
+ * @type {import('express').RequestHandler}
+ */
+export const requireDiskSpace = async (req, res, next) => {
+    try {
+        await assertDiskSpace(Number(req.get('content-length')) || 0);
+        next();
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
@@ -0,0 +1,131 @@
+import prisma from '@/utils/db.mjs';
+import { resolvePermissions } from '@/utils/permissions.js';
+
+/**
+ * @name requireRole
+ * @description Only let admins with one of the given roles through. Must run after `verifyToken`.
+ * Called without roles it accepts any admin.
+ * @param {...string} roles - accepted `admin.role` values
+ * @returns {import('express').RequestHandler}
+ */
+export const requireRole = (...roles) => {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({ message: 'Not Authenticated!' });
+        }
+
+        if (req.auth.type !== 'admin') {
+            return res
+                .status(403)
+                .json({ message: 'You can not perform this action' });
+        }
+
+        if (roles.length > 0 && !roles.includes(req.auth.role)) {
+            return res
+                .status(403)
+                .json({ message: 'You can not perform this action' });
+        }
+
+        next();
+    };
+};
+
+/**
+ * @name requireAdmin
+ * @description Only let admin tokens through. Must run after `verifyToken`.
+ * @type {import('express').RequestHandler}
+ */
+export const requireAdmin = requireRole();
+
+/**
+ * @name requireOwnerOrAdmin
+ * @description Only let the user whose id is in the route param, or an admin, through. Must run after `verifyToken`.
+ * @param {string} [param] - the route param holding the account's user id
+ * @returns {import('express').RequestHandler}
+ */
+export const requireOwnerOrAdmin = (param = 'userId') => {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({ message: 'Not Authenticated!' });
+        }
+
+        if (req.auth.type !== 'admin' && req.auth.id !== req.params[param]) {
+            return res
+                .status(403)
+                .json({ message: 'You can not perform this action' });
+        }
+
+        next();
+    };
+};
+
+/**
+ * @name requirePermission
+ * @description Only let admins holding at least one of the given permissions through.
+ * Permissions are read from the database so changes apply without a new token. Must run after `verifyToken`.
+ * @param {...string} permissions - see `PERMISSIONS` in utils/permissions.js
+ * @returns {import('express').RequestHandler}
+ */
+export const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.auth || req.auth.type !== 'admin') {
+                return res
+                    .status(403)
+                    .json({ message: 'You can not perform this action' });
+            }
+
+            if (!req.admin) {
+                req.admin = await prisma.admin.findUnique({
+                    where: { id: req.auth.id },
+                    select: {
+                        id: true,
+                        role: true,
+                        permissions: true,
+                        deactivated: true,
+                    },
+                });
+            }
+
+            if (!req.admin || req.admin.deactivated) {
+                return res
+                    .status(401)
+                    .json({ message: 'You are not authenticated' });
+            }
+
+            const granted = resolvePermissions(req.admin);
+            if (!permissions.some((permission) => granted.includes(permission))) {
+                return res.status(403).json({
+                    message: `Missing permission: ${permissions.join(' or ')}`,
+                });
+            }
+
+            next();
+        } catch (error) {
+            if (!error.statusCode) {
+                error.statusCode = 500;
+            }
+            next(error);
+        }
+    };
+};
+
+/**
+ * @name requireSelfOrPermission
+ * @description Let an admin act on their own account (the id in the route param), otherwise
+ * require at least one of the given permissions as `requirePermission` does. Must run after `verifyToken`.
+ * @param {string} param - the route param holding the admin id
+ * @param {...string} permissions - see `PERMISSIONS` in utils/permissions.js
+ * @returns {import('express').RequestHandler}
+ */
+export const requireSelfOrPermission = (param, ...permissions) => {
+    const checkPermission = requirePermission(...permissions);
+
+    return (req, res, next) => {
+        if (req.auth?.type === 'admin' && req.userId === req.params[param]) {
+            return next();
+        }
+
+        return checkPermission(req, res, next);
+    };
+};
@@ -0,0 +1,83 @@
+import { env } from '@/env.mjs';
+import prisma from '@/utils/db.mjs';
+import { verifySecondFactor } from '@/services/totp.js';
+import {
+    getActiveLock,
+    recordFailure,
+    clearFailures,
+} from '@/services/authThrottle.js';
+
+/**
+ * @name requireStepUp
+ * @description Ask enrolled admins for a fresh authenticator code (`X-2FA-Code`) or a recovery code
+ * (`X-2FA-Recovery-Code`) before destructive actions. Admins without two-factor are let through
+ * unless ADMIN_2FA_REQUIRED is set. Must run after `verifyToken` and `requireAdmin`.
+ * @type {import('express').RequestHandler}
+ */
+export const requireStepUp = async (req, res, next) => {
+    try {
+        if (!req.auth || req.auth.type !== 'admin') {
+            return res
+                .status(403)
+                .json({ message: 'You can not perform this action' });
+        }
+
+        const admin = await prisma.admin.findUnique({
+            where: { id: req.auth.id },
+            select: {
+                id: true,
+                totpEnabled: true,
+                totpSecret: true,
+                totpRecoveryCodes: true,
+            },
+        });
+
+        if (!admin) {
+            return res.status(401).json({ message: 'You are not authenticated' });
+        }
+
+        if (!admin.totpEnabled) {
+            if (env.ADMIN_2FA_REQUIRED) {
+                return res.status(403).json({
+                    message: 'Enable two-factor authentication to perform this action',
+                    twoFactorEnrollmentRequired: true,
+                });
+            }
+            return next();
+        }
+
+        const lock = await getActiveLock('step-up', admin.id, req.ip);
+        if (lock) {
+            res.set('Retry-After', String(lock.retryAfter));
+            return res
+                .status(429)
+                .json({ message: 'Too many attempts, please try again later' });
+        }
+
+        const code = req.get('x-2fa-code');
+        const recoveryCode = req.get('x-2fa-recovery-code');
+        if (!code && !recoveryCode) {
+            return res.status(401).json({
+                message: 'This action requires a two-factor code',
+                twoFactorRequired: true,
+            });
+        }
+
+        const factor = await verifySecondFactor(admin, { code, recoveryCode });
+        if (!factor.isValid) {
+            await recordFailure('step-up', admin.id, req);
+            return res.status(401).json({
+                message: 'Invalid two-factor code',
+                twoFactorRequired: true,
+            });
+        }
+
+        await clearFailures('step-up', admin.id);
+        next();
+    } catch (error) {
+        if (!error.statusCode) {
+            error.statusCode = 500;
+        }
+        next(error);
+    }
+};
@@ -1,5 +1,8 @@
-import jwt from 'jsonwebtoken';
-import { env } from '@/env.mjs';
+import {
+    verifyAuthToken,
+    verifyMfaEnrollment,
+} from '@/services/authTokens.js';
+import { isSessionActive } from '@/services/sessions.js';
 // import { returnError } from '@/utils/returnError.js';
 
 /**
@@ -21,21 +24,33 @@ export const verifyToken = async (req, res, next) => {
             throw err;
         }
 
-        jwt.verify(token, env.SECRETVA, async (err, payload) => {
-            if (err) {
-                if (err.name === 'TokenExpiredError') {
-                    return res.status(401).json({ message: 'Token expired' });
-                }
-
-                return res
-                    .status(401)
-                    .json({ message: 'You are not authenticated' });
-                // returnError("You're not authenticated", 401);
+        let payload;
+        try {
+            payload = verifyAuthToken(token);
+        } catch (err) {
+            if (err.name === 'TokenExpiredError') {
+                return res.status(401).json({ message: 'Token expired' });
             }
 
-            req.userId = payload.id;
-            next();
-        });
+            return res
+                .status(401)
+                .json({ message: 'You are not authenticated' });
+            // returnError("You're not authenticated", 401);
+        }
+
+        // tokens tied to a session stop working as soon as it is revoked
+        if (payload.sid && !(await isSessionActive(payload.sid))) {
+            return res.status(401).json({ message: 'Session revoked' });
+        }
+
+        req.userId = payload.id;
+        req.auth = {
+            id: payload.id,
+            type: payload.type,
+            role: payload.role,
+            sessionId: payload.sid,
+        };
+        next();
     } catch (error) {
         if (!error.statusCode) {
             error.statusCode = 500;
@@ -43,3 +58,33 @@ export const verifyToken = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * @name verifyTokenOrEnrollment
+ * @description `verifyToken` that also accepts the enrollment token `login` hands out when ADMIN_2FA_REQUIRED
+ * is set and the admin has no two-factor yet. Only for the two-factor enrollment routes.
+ * @type {import('express').RequestHandler}
+ */
+export const verifyTokenOrEnrollment = (req, res, next) => {
+    const token =
+        req.token ||
+        (req.headers.authorization && req.headers.authorization.split(' ')[1]);
+
+    let enrollment;
+    try {
+        enrollment = token && verifyMfaEnrollment(token);
+    } catch (error) {
+        enrollment = null;
+    }
+
+    if (!enrollment) return verifyToken(req, res, next);
+
+    req.userId = enrollment.sub;
+    req.auth = {
+        id: enrollment.sub,
+        type: 'admin',
+        enrollment: true,
+        staySigned: enrollment.staySigned,
+    };
+    next();
+};
@@ -3,11 +3,35 @@ import {
     getProfile,
     login,
     logout,
+    logoutAll,
+    refresh,
     register,
     updatePassword,
+    updatePermissions,
+    verifyLoginTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
 } from '../controllers/adminAuth.controllers.js';
 import { body } from 'express-validator';
-import { verifyToken } from '../middleware/verifyToken.js';
+import {
+    verifyToken,
+    verifyTokenOrEnrollment,
+} from '../middleware/verifyToken.js';
+import {
+    requireAdmin,
+    requirePermission,
+    requireSelfOrPermission,
+} from '../middleware/requireRole.js';
+import { authGuard } from '../middleware/authGuard.js';
+import { requireStepUp } from '../middleware/requireStepUp.js';
+import { readMfaChallengeSubject } from '@/services/authTokens.js';
+import {
+    ALL_PERMISSIONS,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+} from '@/utils/permissions.js';
 import prisma from '@/utils/db.mjs';
 
 const router = express.Router();
@@ -30,8 +54,12 @@ router.get('/', (req, res) => {
     res.status(200).json({ message: 'Admin Auth Route - healthy' });
 });
 
+// admin accounts are created by an admin who can manage users, never by self sign-up
 router.post(
     '/register',
+    verifyToken,
+    requireAdmin,
+    requirePermission(PERMISSIONS.USERS_MANAGE),
     [
         body('email')
             .isEmail()
@@ -42,6 +70,20 @@ router.post(
             .trim()
             .isLength({ min: 6 })
             .withMessage('Please check the passkey char length'),
+        body('role')
+            .optional()
+            .isIn(Object.keys(ROLE_PERMISSIONS))
+            .withMessage(
+                `Role should be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`
+            ),
+        body('permissions')
+            .optional()
+            .isArray()
+            .withMessage('Permissions should be a list')
+            .custom((value) => value.every((p) => ALL_PERMISSIONS.includes(p)))
+            .withMessage(
+                `Permissions should be one of: ${ALL_PERMISSIONS.join(', ')}`
+            ),
     ],
     register
 );
@@ -61,6 +103,7 @@ const customFunc = async (value) => {
 
 router.post(
     '/login',
+    authGuard('admin-login', (req) => req.body?.email),
     [
         body('email')
             .isEmail()
@@ -75,11 +118,79 @@ router.post(
     login
 );
 
-router.get('/me/:adminId', verifyToken, getProfile);
+router.post(
+    '/login/2fa',
+    authGuard('admin-2fa', (req) =>
+        readMfaChallengeSubject(req.body?.challengeToken)
+    ),
+    verifyLoginTwoFactor
+);
+
+// two-factor enrollment for the signed in admin, or with the enrollment token from login
+router.post(
+    '/2fa/setup',
+    verifyTokenOrEnrollment,
+    requireAdmin,
+    setupTwoFactor
+);
+router.post(
+    '/2fa/enable',
+    verifyTokenOrEnrollment,
+    requireAdmin,
+    enableTwoFactor
+);
+router.post(
+    '/2fa/recovery-codes',
+    verifyToken,
+    requireAdmin,
+    requireStepUp,
+    regenerateRecoveryCodes
+);
+router.post(
+    '/2fa/disable',
+    verifyToken,
+    requireAdmin,
+    requireStepUp,
+    disableTwoFactor
+);
+
+router.get('/me/:adminId', verifyToken, requireAdmin, getProfile);
 // check if cookie tokens are valid
-router.post('/logout/:id', verifyToken, logout);
+router.post('/logout/:id', verifyToken, requireAdmin, logout);
+router.post('/logout-all/:id', verifyToken, requireAdmin, logoutAll);
+router.post('/refresh', refresh);
 
 // PUT
-router.put('/password/:id', verifyToken, updatePassword);
+router.put(
+    '/password/:id',
+    verifyToken,
+    requireAdmin,
+    requireSelfOrPermission('id', PERMISSIONS.USERS_MANAGE),
+    requireStepUp,
+    updatePassword
+);
+router.put(
+    '/permissions/:id',
+    verifyToken,
+    requireAdmin,
+    requirePermission(PERMISSIONS.USERS_MANAGE),
+    [
+        body('permissions')
+            .optional()
+            .isArray()
+            .withMessage('Permissions should be a list')
+            .custom((value) => value.every((p) => ALL_PERMISSIONS.includes(p)))
+            .withMessage(
+                `Permissions should be one of: ${ALL_PERMISSIONS.join(', ')}`
+            ),
+        body('role')
+            .optional()
+            .isIn(Object.keys(ROLE_PERMISSIONS))
+            .withMessage(
+                `Role should be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`
+            ),
+    ],
+    updatePermissions
+);
 
 export default router;
@@ -514,7 +514,7 @@ router.get('/video/:resourceId/:videoId/:filename', async (req, res) => {
 
     // Extract base video name from the video
     const baseVideoName = video.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-    const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, ''); // Remove resolution and master prefixes
+    const cleanBaseName = baseVideoName.replace(/^(ULD_|LD_|SD_|HD_|FHD_|UHD_|master_)/, ''); // Remove resolution and master prefixes
     
     console.log(`🎬 Base video name: ${cleanBaseName}`);
     console.log(`🎬 Video resolution: ${video.resolution}`);
@@ -731,7 +731,7 @@ router.head('/video/:resourceId/:videoId/:filename', async (req, res) => {
 
     // Extract base video name from the video
     const baseVideoName = video.name.replace(/\.(m3u8|mp4)$/, '');
-    const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, '');
+    const cleanBaseName = baseVideoName.replace(/^(ULD_|LD_|SD_|HD_|FHD_|UHD_|master_)/, '');
     
     console.log(`🎬 Base video name extraction:`, {
       originalName: video.name,
@@ -911,7 +911,7 @@ router.get('/urls/:resourceId', async (req, res) => {
       // Extract base video name from the first regular video
       const firstVideo = regularVideos[0];
       const baseVideoName = firstVideo.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-      const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, '');
+      const cleanBaseName = baseVideoName.replace(/^(ULD_|LD_|SD_|HD_|FHD_|UHD_|master_)/, '');
 
       console.log(`🎬 Base video name for regular videos: ${cleanBaseName}`);
 
@@ -12,6 +12,8 @@ import rateLimit from 'express-rate-limit';
 import { s3RequestQueue, s3SubtitleRequestQueue, 
   getQueueMetrics, 
   checkQueueHealth  } from '@/services/request-queue.js';
+import { keyPrefixOf } from '@/services/masterVersions.js';
+import { renditionKey } from '@/utils/renditions.js';
 
 dotenv.config();
 
@@ -478,6 +480,8 @@ router.get('/video/:resourceId/:videoId/:filename', async (req, res) => {
       select: {
         name: true,
         resolution: true,
+        codec: true,
+        masterVersionId: true,
         season: {
           select: {
             id: true,
@@ -513,14 +517,21 @@ router.get('/video/:resourceId/:videoId/:filename', async (req, res) => {
       actualResourcePath = `${video.episode.season.filmId}-${video.episode.season.id}`;
     }
 
-    const baseName = video.name.replace(/\.(m3u8|mp4)$/, '').replace(/^(SD_|HD_|FHD_|UHD_|master_)/, '');
+    const baseName = video.name.replace(/\.(m3u8|mp4)$/, '').replace(/^((ULD_|LD_|SD_|HD_|FHD_|UHD_)(hevc_|av1_)?|master_)/, '');
+    // replaced masters live under "v2/"… in the bucket, see services/masterVersions.js
+    const keyPrefix = await keyPrefixOf(video.masterVersionId);
+    const renditionFolder = `${actualResourcePath}/${keyPrefix}hls_${renditionKey(video.resolution, video.codec)}_${baseName}`;
 
     if (filename.includes('.m3u8')) {
-      filePath = `${actualResourcePath}/hls_${video.resolution}_${baseName}/${filename}`;
+      filePath = `${renditionFolder}/${filename}`;
       contentType = 'application/vnd.apple.mpegurl';
     } else if (filename.includes('.ts')) {
-      filePath = `${actualResourcePath}/hls_${video.resolution}_${baseName}/${filename}`;
+      filePath = `${renditionFolder}/${filename}`;
       contentType = 'video/mp2t';
+    } else if (filename.endsWith('.m4s') || filename.endsWith('_init.mp4')) {
+      // HEVC and AV1 renditions are fMP4
+      filePath = `${renditionFolder}/${filename}`;
+      contentType = 'video/mp4';
     } else if (filename.includes('.mp4')) {
       filePath = `original_${baseName}.mp4`;
       contentType = 'video/mp4';
@@ -781,7 +792,7 @@ router.get('/urls/:resourceId', async (req, res) => {
       // Extract base video name from the first regular video
       const firstVideo = regularVideos[0];
       const baseVideoName = firstVideo.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-      const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, '');
+      const cleanBaseName = baseVideoName.replace(/^(ULD_|LD_|SD_|HD_|FHD_|UHD_|master_)/, '');
 
       console.log(`🎬 Base video name for regular videos: ${cleanBaseName}`);
 
@@ -1,6 +1,22 @@
 import express from 'express';
 import { getUsers } from '../controllers/userControllers.js';
 import { verifyToken } from '../middleware/verifyToken.js';
+import {
+    requireAdmin,
+    requirePermission,
+} from '../middleware/requireRole.js';
+import { requireStepUp } from '../middleware/requireStepUp.js';
+import { auditTrail } from '../middleware/auditTrail.js';
+import { requireDiskSpace } from '../middleware/diskGuard.js';
+import tusRouter from './tusRoutes.js';
+import { getJanitorReport, runJanitor } from '../controllers/janitor.js';
+import { createIngest, getIngest, cancelIngest } from '../controllers/ingest.js';
+import {
+    validateBulkIngest,
+    startBulkIngest,
+    getBulkIngest,
+} from '../controllers/bulkIngest.js';
+import { PERMISSIONS } from '@/utils/permissions.js';
 import {
     getDonations,
     getFilms,
@@ -61,6 +77,17 @@ import {
     uploadSubtitle,
     deleteSubtitle,
     updateSubtitle,
+    // Audit
+    getAuditLogs,
+    // Upload sessions
+    createUploadSession,
+    getUploadSession,
+    uploadSessionChunk,
+    cancelUploadSession,
+    replaceMaster,
+    getMasterVersions,
+    rollbackMaster,
+    purgeMasterVersion,
 } from '../controllers/studio.js';
 import { validateData } from '../middleware/validateBody.mjs';
 import {
@@ -76,8 +103,13 @@ import {
     updatePricingSchema,
     seasonUpdateSchema,
     deleteVideoSchema,
+    uploadSessionSchema,
+    ingestSchema,
+    bulkIngestSchema,
+    replaceMasterSchema,
+    rollbackMasterSchema,
 } from '../validationschemas/index.js';
-import { upload } from '@/services/multer.js';
+import { upload, chunkUpload } from '@/services/multer.js';
 import multer from 'multer';
 
 const checkPoster = multer({
@@ -93,6 +125,88 @@ const checkPoster = multer({
 });
 const router = express.Router();
 
+// the studio is admin only, viewer tokens are rejected on every route below
+router.use(verifyToken, requireAdmin);
+
+const canWrite = requirePermission(PERMISSIONS.CONTENT_WRITE);
+const canPublish = requirePermission(PERMISSIONS.CONTENT_PUBLISH);
+const canDelete = requirePermission(PERMISSIONS.CONTENT_DELETE);
+const canReadFinance = requirePermission(PERMISSIONS.FINANCE_READ);
+const canManageUsers = requirePermission(PERMISSIONS.USERS_MANAGE);
+const canManageJobs = requirePermission(PERMISSIONS.JOBS_MANAGE);
+const canReadAudit = requirePermission(PERMISSIONS.AUDIT_READ);
+// editors need to follow the progress of their own uploads
+const canViewJobs = requirePermission(
+    PERMISSIONS.JOBS_MANAGE,
+    PERMISSIONS.CONTENT_WRITE
+);
+
+// publishing or featuring a title needs content:publish on top of content:write
+const guardPublishing = (req, res, next) => {
+    const { visibility, featured } = req.body ?? {};
+    if ((visibility && visibility !== 'not published') || featured !== undefined) {
+        return canPublish(req, res, next);
+    }
+    next();
+};
+
+// every mutation below is written to the audit log, see middleware/auditTrail.js
+const byParam = (param) => (req) =>
+    req.params[param] ? { id: req.params[param] } : null;
+const auditFilm = (action) =>
+    auditTrail(`film.${action}`, {
+        model: 'film',
+        where: byParam('filmId'),
+        created: (body) => body?.film,
+    });
+const auditSeason = (action) =>
+    auditTrail(`season.${action}`, {
+        model: 'season',
+        where: byParam('seasonId'),
+        created: (body) => body?.season,
+    });
+const auditEpisode = (action) =>
+    auditTrail(`episode.${action}`, {
+        model: 'episode',
+        where: byParam('episodeId'),
+        created: (body) => body?.episode,
+    });
+const auditCategory = (action) =>
+    auditTrail(`category.${action}`, {
+        model: 'Category',
+        where: byParam('categoryId'),
+    });
+const auditPricing = (action) =>
+    auditTrail(`pricing.${action}`, { model: 'pricing', where: byParam('id') });
+const auditSubtitle = (action) =>
+    auditTrail(`subtitle.${action}`, {
+        model: 'subtitle',
+        where: byParam('subtitleId'),
+        created: (body) => body?.subtitle,
+    });
+const auditProcessingJob = (action) =>
+    auditTrail(`processing-job.${action}`, {
+        model: 'VideoProcessingJob',
+        where: byParam('jobId'),
+    });
+const auditUploadJob = (action) =>
+    auditTrail(`upload-job.${action}`, {
+        model: 'UploadJob',
+        where: byParam('jobId'),
+    });
+const auditPoster = (action) =>
+    auditTrail(`poster.${action}`, {
+        model: 'poster',
+        where: byParam('posterId'),
+        created: (body) => body?.poster,
+    });
+// a completed video or trailer upload is recorded as the processing job it queued
+const auditQueuedUpload = (action) =>
+    auditTrail(`${action}.upload`, {
+        model: 'VideoProcessingJob',
+        created: (body) => body?.processingJob,
+    });
+
 // Custom multer configuration for subtitle files
 const subtitleUpload = multer({
     storage: multer.memoryStorage(), // Use memory storage for testing
@@ -116,7 +230,7 @@ const subtitleUpload = multer({
 });
 
 // Test route to check if multer is working
-router.post('/test-upload', verifyToken, subtitleUpload.single('subtitleFile'), (req, res) => {
+router.post('/test-upload', canWrite, subtitleUpload.single('subtitleFile'), (req, res) => {
     console.log('📝 Test upload route called');
     console.log('📝 Request body:', req.body);
     console.log('📝 Request file:', req.file);
@@ -138,144 +252,319 @@ router.post('/test-upload', verifyToken, subtitleUpload.single('subtitleFile'),
 // GET Routes
 router.get('/films', getFilms);
 router.get('/films/:filmId', getFilm);
-router.get('/users', getUsers);
-router.get('/donations', verifyToken, getDonations);
-router.get('/purchasehistory', verifyToken, getPurchaseHistory);
-router.get('/categories', verifyToken, getCategories);
-router.get('/category/:categoryId', verifyToken, getCategory);
-router.get('/check-upload-chunk', verifyToken, checkUploadChunk);
+router.get('/users', canManageUsers, getUsers);
+router.get('/donations', canReadFinance, getDonations);
+router.get('/purchasehistory', canReadFinance, getPurchaseHistory);
+router.get('/categories', getCategories);
+router.get('/category/:categoryId', getCategory);
+router.get('/check-upload-chunk', canWrite, checkUploadChunk);
+router.get('/audit', canReadAudit, getAuditLogs);
 
 // JOSHUA'S ROUTES for video testing
-router.get('/check-upload-chunks', verifyToken, checkingChunks);
+router.get('/check-upload-chunks', canWrite, checkingChunks);
 
-router.post('/combine-chunks', verifyToken, combiningChunks);
-// router.post('/trailer-uploads', verifyToken, uploadingTrailer);
+router.post('/combine-chunks', canWrite, auditTrail('upload.combine'), combiningChunks);
+// router.post('/trailer-uploads', uploadingTrailer);
 
 // POST Routes
-router.post('/newfilm', verifyToken, validateData(filmSchema), createFilm);
-router.post('/upload-chunk', verifyToken, upload.single('chunk'), uploadChunk);
-router.post('/complete-upload', verifyToken, uploadFilm2);
-router.post('/trailer-upload', verifyToken, uploadTrailer); // requires resourseId { filmId or seasonId }, clientID (for socket.io), and fileName
+router.post(
+    '/newfilm',
+    canWrite,
+    guardPublishing,
+    validateData(filmSchema),
+    auditFilm('create'),
+    createFilm
+);
+// resumable uploads, chunks are addressed by session and index
+router.post(
+    '/uploads',
+    canWrite,
+    validateData(uploadSessionSchema),
+    auditTrail('upload-session.create', {
+        model: 'uploadSession',
+        created: (body) => body?.uploadSession,
+    }),
+    createUploadSession
+);
+router.get('/uploads/:uploadId', canWrite, getUploadSession);
+// chunks are too many to log one by one, completing the upload is audited
+router.put(
+    '/uploads/:uploadId/chunks/:index',
+    canWrite,
+    requireDiskSpace,
+    chunkUpload.single('chunk'),
+    uploadSessionChunk
+);
+router.delete(
+    '/uploads/:uploadId',
+    canWrite,
+    auditTrail('upload-session.cancel', {
+        model: 'uploadSession',
+        where: byParam('uploadId'),
+    }),
+    cancelUploadSession
+);
+// the same uploads over the tus protocol, for standard resumable clients
+router.use('/tus', canWrite, tusRouter);
+// masters fetched by the server from a bucket or url instead of uploaded from the browser
+router.post(
+    '/ingest',
+    canWrite,
+    validateData(ingestSchema),
+    auditTrail('ingest.create', {
+        model: 'uploadSession',
+        created: (body) => body?.ingest,
+    }),
+    createIngest
+);
+router.get('/ingest/:uploadId', canWrite, getIngest);
+router.delete(
+    '/ingest/:uploadId',
+    canWrite,
+    auditTrail('ingest.cancel', {
+        model: 'uploadSession',
+        where: byParam('uploadId'),
+    }),
+    cancelIngest
+);
+// catalogue migrations from a watch folder, see services/bulkIngest.js for the manifest format
+router.post(
+    '/bulk-ingest/validate',
+    canWrite,
+    validateData(bulkIngestSchema),
+    validateBulkIngest
+);
+router.post(
+    '/bulk-ingest',
+    canWrite,
+    validateData(bulkIngestSchema),
+    auditTrail('bulk-ingest.create', {
+        model: 'bulkIngest',
+        created: (body) => body?.bulkIngest,
+    }),
+    startBulkIngest
+);
+router.get('/bulk-ingest/:batchId', canWrite, getBulkIngest);
+// filename-keyed chunks, kept for clients that don't create an upload session yet
+router.post('/upload-chunk', canWrite, requireDiskSpace, upload.single('chunk'), uploadChunk);
+router.post('/complete-upload', canWrite, auditQueuedUpload('video'), uploadFilm2);
+// re-uploading a master without taking the film or episode offline, see services/masterVersions.js
+router.post(
+    '/masters/replace',
+    canWrite,
+    validateData(replaceMasterSchema),
+    auditTrail('master.replace', {
+        model: 'masterVersion',
+        created: (body) => body?.masterVersion,
+    }),
+    replaceMaster
+);
+router.get('/masters/:resourceId/versions', canWrite, getMasterVersions);
+router.post(
+    '/masters/:resourceId/rollback',
+    canPublish,
+    validateData(rollbackMasterSchema),
+    auditTrail('master.rollback', {
+        model: 'masterVersion',
+        where: (req) => ({ resourceId: req.params.resourceId, status: 'live' }),
+    }),
+    rollbackMaster
+);
+router.delete(
+    '/masters/:resourceId/versions/:versionId',
+    canDelete,
+    requireStepUp,
+    auditTrail('master.purge', {
+        model: 'masterVersion',
+        where: byParam('versionId'),
+    }),
+    purgeMasterVersion
+);
+router.post('/trailer-upload', canWrite, auditQueuedUpload('trailer'), uploadTrailer); // requires resourseId { filmId or seasonId }, clientID (for socket.io), and fileName
 router.post(
     '/posterupload/:resourceId',
-    verifyToken,
+    canWrite,
     checkPoster.single('poster'),
+    auditPoster('upload'),
     uploadPoster
 );
 router.post(
     '/newseason/:filmId',
-    verifyToken,
+    canWrite,
+    guardPublishing,
     validateData(seasonSchema),
+    auditSeason('create'),
     createSeason
 );
 router.post(
     '/newepisode/:seasonId',
-    verifyToken,
+    canWrite,
+    guardPublishing,
     validateData(episodeSchema),
+    auditEpisode('create'),
     createEpisode
 );
 router.post(
     '/uploadposter/:episodeId',
-    verifyToken,
+    canWrite,
     checkPoster.single('poster'),
+    auditPoster('upload'),
     uploadEpisodePoster
 );
 
 router.post(
     '/newcategory',
-    verifyToken,
+    canWrite,
     validateData(categorySchema),
+    auditCategory('create'),
     createCategory
 );
 router.post(
     '/pricing',
-    verifyToken,
+    canPublish,
     validateData(pricingSchema),
+    auditPricing('create'),
     createPricing
 );
 
 // PUT Routes
 router.put(
     '/films/:filmId',
-    verifyToken,
+    canWrite,
+    guardPublishing,
     validateData(updateFilmSchema),
+    auditFilm('update'),
     updateFilm
 );
 router.put(
     '/season/:seasonId',
-    verifyToken,
+    canWrite,
+    guardPublishing,
     validateData(seasonUpdateSchema),
+    auditSeason('update'),
     updateSeason
 );
 router.put(
     '/episode/:episodeId',
-    verifyToken,
+    canWrite,
+    guardPublishing,
     validateData(episodeSchema),
+    auditEpisode('update'),
     updateEpisode
 );
 router.put(
     '/category/update/:categoryId',
-    verifyToken,
+    canWrite,
     validateData(updateCategorySchema),
+    auditCategory('update'),
     updateCategory
 );
 router.put(
     '/category/addfilm/:categoryId',
-    verifyToken,
+    canWrite,
     validateData(addCategorySchema),
+    auditCategory('add-film'),
     addFilmToCategory
 );
 router.put(
     '/category/remove/:categoryId',
-    verifyToken,
+    canWrite,
     validateData(removeFilmFromCategorySchema),
+    auditCategory('remove-film'),
     removeFilmFromCategory
 );
 router.put(
     '/pricing/:id',
-    verifyToken,
+    canPublish,
     validateData(updatePricingSchema),
+    auditPricing('update'),
     updatePricing
 );
 
 // DELETE Routes
-router.delete('/films/:filmId', verifyToken, deleteFilm);
-router.delete('/season/:seasonId', verifyToken, deleteSeason);
-router.delete('/episode/:episodeId', verifyToken, deleteEpisode);
-router.delete('/video/:videoId', verifyToken, deleteVideo);
-router.delete('/poster/:posterId', verifyToken, deletePoster);
-router.delete('/category/:categoryId', verifyToken, deleteCategory);
+// destructive routes ask enrolled admins for a fresh two-factor code, see middleware/requireStepUp.js
+router.delete(
+    '/films/:filmId',
+    canDelete,
+    requireStepUp,
+    auditFilm('delete'),
+    deleteFilm
+);
+router.delete(
+    '/season/:seasonId',
+    canDelete,
+    requireStepUp,
+    auditSeason('delete'),
+    deleteSeason
+);
+router.delete(
+    '/episode/:episodeId',
+    canDelete,
+    requireStepUp,
+    auditEpisode('delete'),
+    deleteEpisode
+);
+router.delete(
+    '/video/:videoId',
+    canDelete,
+    requireStepUp,
+    auditTrail('video.delete', { model: 'video', where: byParam('videoId') }),
+    deleteVideo
+);
+router.delete(
+    '/poster/:posterId',
+    canDelete,
+    auditPoster('delete'),
+    deletePoster
+);
+router.delete(
+    '/category/:categoryId',
+    canDelete,
+    requireStepUp,
+    auditCategory('delete'),
+    deleteCategory
+);
 router.delete(
     '/videos',
-    verifyToken,
+    canDelete,
+    requireStepUp,
     validateData(deleteVideoSchema),
+    auditTrail('video.delete-many', {
+        model: 'video',
+        many: true,
+        where: (req) => ({ id: { in: req.data.videoIds.filter(Boolean) } }),
+    }),
     deleteVideos
 );
 
 // Video Processing Job Management Routes
-router.get('/processing-jobs', verifyToken, getVideoProcessingJobs);
-router.get('/processing-jobs/check-existing', verifyToken, checkExistingProcessingJob);
-router.get('/processing-jobs/:jobId', verifyToken, getVideoProcessingJob);
-router.post('/processing-jobs/:jobId/cancel', verifyToken, cancelVideoProcessingJob);
-router.post('/processing-jobs/:jobId/retry', verifyToken, retryVideoProcessingJob);
-router.post('/processing-jobs/:jobId/cleanup', verifyToken, cleanupFailedJob);
-router.post('/processing-jobs/:jobId/sync', verifyToken, syncJobStatus);
-router.post('/processing-jobs/fix-stuck', verifyToken, fixStuckJobs);
-router.delete('/processing-jobs/:jobId', verifyToken, deleteVideoProcessingJob);
-router.post('/processing-jobs/clear', verifyToken, clearCompletedJobs);
+router.get('/processing-jobs', canViewJobs, getVideoProcessingJobs);
+router.get('/processing-jobs/check-existing', canViewJobs, checkExistingProcessingJob);
+router.get('/processing-jobs/:jobId', canViewJobs, getVideoProcessingJob);
+router.post('/processing-jobs/:jobId/cancel', canManageJobs, auditProcessingJob('cancel'), cancelVideoProcessingJob);
+router.post('/processing-jobs/:jobId/retry', canManageJobs, auditProcessingJob('retry'), retryVideoProcessingJob);
+router.post('/processing-jobs/:jobId/cleanup', canManageJobs, auditProcessingJob('cleanup'), cleanupFailedJob);
+router.post('/processing-jobs/:jobId/sync', canManageJobs, auditProcessingJob('sync'), syncJobStatus);
+router.post('/processing-jobs/fix-stuck', canManageJobs, requireStepUp, auditTrail('processing-job.fix-stuck'), fixStuckJobs);
+router.delete('/processing-jobs/:jobId', canManageJobs, auditProcessingJob('delete'), deleteVideoProcessingJob);
+router.post('/processing-jobs/clear', canManageJobs, requireStepUp, auditTrail('processing-job.clear'), clearCompletedJobs);
 
 // Upload Job Management Routes
-router.get('/upload-jobs', verifyToken, getUploadJobs);
-router.post('/upload-jobs/:jobId/retry', verifyToken, retryUploadJob);
-router.post('/upload-jobs/:jobId/cancel', verifyToken, cancelUploadJob);
-router.delete('/upload-jobs/:jobId', verifyToken, deleteUploadJob);
-router.post('/upload-jobs/clear', verifyToken, clearUploadJobs);
-router.post('/upload-jobs/:jobId/cleanup', verifyToken, cleanupFailedUploadJob);
-router.post('/upload-jobs/:jobId/sync', verifyToken, syncUploadJobStatus);
-router.post('/upload-jobs/fix-stuck', verifyToken, fixStuckUploadJobs);
+router.get('/upload-jobs', canViewJobs, getUploadJobs);
+router.post('/upload-jobs/:jobId/retry', canManageJobs, auditUploadJob('retry'), retryUploadJob);
+router.post('/upload-jobs/:jobId/cancel', canManageJobs, auditUploadJob('cancel'), cancelUploadJob);
+router.delete('/upload-jobs/:jobId', canManageJobs, auditUploadJob('delete'), deleteUploadJob);
+router.post('/upload-jobs/clear', canManageJobs, requireStepUp, auditTrail('upload-job.clear'), clearUploadJobs);
+router.post('/upload-jobs/:jobId/cleanup', canManageJobs, auditUploadJob('cleanup'), cleanupFailedUploadJob);
+router.post('/upload-jobs/:jobId/sync', canManageJobs, auditUploadJob('sync'), syncUploadJobStatus);
+router.post('/upload-jobs/fix-stuck', canManageJobs, requireStepUp, auditTrail('upload-job.fix-stuck'), fixStuckUploadJobs);
+
+// Janitor, see services/janitor.js. GET is a dry run of what the scheduled run would delete
+router.get('/janitor', canManageJobs, getJanitorReport);
+router.post('/janitor/run', canManageJobs, requireStepUp, auditTrail('janitor.run'), runJanitor);
 
 // Subtitle Management Routes
-router.post('/upload-subtitle', verifyToken, subtitleUpload.single('subtitleFile'), (err, req, res, next) => {
+router.post('/upload-subtitle', canWrite, subtitleUpload.single('subtitleFile'), (err, req, res, next) => {
     console.log('📝 Multer error handler called');
     console.log('📝 Error:', err);
     console.log('📝 Request body:', req.body);
@@ -304,8 +593,8 @@ router.post('/upload-subtitle', verifyToken, subtitleUpload.single('subtitleFile
     }
     console.log('📝 No errors, proceeding to uploadSubtitle');
     next();
-}, uploadSubtitle);
-router.delete('/delete-subtitle/:subtitleId', verifyToken, deleteSubtitle);
-router.put('/update-subtitle/:subtitleId', verifyToken, updateSubtitle);
+}, auditSubtitle('create'), uploadSubtitle);
+router.delete('/delete-subtitle/:subtitleId', canDelete, auditSubtitle('delete'), deleteSubtitle);
+router.put('/update-subtitle/:subtitleId', canWrite, auditSubtitle('update'), updateSubtitle);
 
 export default router;
@@ -8,12 +8,35 @@ import {
    deleteSubscriptionPlan,
    updateUserSubscription,
    assignSubscriptionPlan,
+   paySubscription,
 } from '../controllers/subscription.js';
 import rateLimit from 'express-rate-limit';
 import { verifyToken } from '../middleware/verifyToken.js';
+import {
+   requireAdmin,
+   requireOwnerOrAdmin,
+} from '../middleware/requireRole.js';
+import { auditTrail } from '../middleware/auditTrail.js';
+import { validateData } from '../middleware/validateBody.mjs';
+import { generateMTNAuthTk } from '../middleware/generateMTNAuthTK.js';
+import { generateIPN_ID, generatePesaAuthTk } from '../middleware/pesapalmw.js';
+import { subscriptionPaymentSchema } from '../validationschemas/index.js';
 
 const router = express.Router();
 
+// mutations are written to the audit log, see middleware/auditTrail.js
+const auditPlan = (action) =>
+   auditTrail(`subscription-plan.${action}`, {
+      model: 'subscriptionPlan',
+      where: (req) => (req.params.planId ? { id: req.params.planId } : null),
+      created: (body) => body?.plan,
+   });
+const auditSubscription = (action) =>
+   auditTrail(`subscription.${action}`, {
+      model: 'subscription',
+      where: (req) => ({ userId: req.params.userId }),
+   });
+
 const otpLimiter = rateLimit({
    windowMs: 10 * 60 * 1000,
    max: 5,
@@ -21,19 +44,73 @@ const otpLimiter = rateLimit({
 });
 
 // POST
-router.post('/:userId/new', verifyToken, otpLimiter, createSubscription);
-router.post('/newplan', addSubscriptionPlan);
+router.post(
+   '/:userId/new',
+   verifyToken,
+   requireOwnerOrAdmin(),
+   otpLimiter,
+   auditSubscription('create'),
+   createSubscription
+);
+// the subscription is activated by the payment status checks on /film
+router.post(
+   '/:userId/pay',
+   verifyToken,
+   requireOwnerOrAdmin(),
+   otpLimiter,
+   validateData(subscriptionPaymentSchema),
+   generatePesaAuthTk,
+   generateIPN_ID,
+   generateMTNAuthTk,
+   paySubscription
+);
+router.post(
+   '/newplan',
+   verifyToken,
+   requireAdmin,
+   auditPlan('create'),
+   addSubscriptionPlan
+);
 
 // GET
 router.get('/:userId/plans', getSubscriptionPlans);
-router.get('/:userId', verifyToken, getUserSubscription);
+router.get(
+   '/:userId',
+   verifyToken,
+   requireOwnerOrAdmin(),
+   getUserSubscription
+);
 
 // PUT
-router.put('/:userId/update', verifyToken, updateUserSubscription);
-router.put('/plan/:planId', verifyToken, updateSubscriptionPlan);
-router.put('/:userId/assign/:planId', verifyToken, assignSubscriptionPlan);
+router.put(
+   '/:userId/update',
+   verifyToken,
+   requireOwnerOrAdmin(),
+   auditSubscription('update'),
+   updateUserSubscription
+);
+router.put(
+   '/plan/:planId',
+   verifyToken,
+   requireAdmin,
+   auditPlan('update'),
+   updateSubscriptionPlan
+);
+router.put(
+   '/:userId/assign/:planId',
+   verifyToken,
+   requireOwnerOrAdmin(),
+   auditSubscription('assign'),
+   assignSubscriptionPlan
+);
 
 // DELETE
-router.delete('/:planId/delete', verifyToken, deleteSubscriptionPlan);
+router.delete(
+   '/:planId/delete',
+   verifyToken,
+   requireAdmin,
+   auditPlan('delete'),
+   deleteSubscriptionPlan
+);
 
 export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import {
+    tusHeaders,
+    createTusUpload,
+    getTusOffset,
+    patchTusUpload,
+    terminateTusUpload,
+} from '../controllers/tus.js';
+import { auditTrail } from '../middleware/auditTrail.js';
+import { requireDiskSpace } from '../middleware/diskGuard.js';
+
+// tus 1.0 resumable uploads, mounted at /studio/tus behind the studio auth, OPTIONS is answered in app.mjs
+const router = express.Router();
+
+router.use(tusHeaders);
+
+router.post(
+    '/',
+    auditTrail('upload-session.create', {
+        model: 'uploadSession',
+        created: (body) => body?.uploadSession,
+    }),
+    createTusUpload
+);
+router.head('/:uploadId', getTusOffset);
+// PATCHes are chunks, only the one that completes the upload and queues its transcoding job is recorded
+router.patch(
+    '/:uploadId',
+    requireDiskSpace,
+    auditTrail('video.upload', {
+        model: 'uploadSession',
+        where: (req) => ({ id: req.params.uploadId }),
+        when: (req, res) => res.get('X-Processing-Job-Id') !== undefined,
+    }),
+    patchTusUpload
+);
+router.delete(
+    '/:uploadId',
+    auditTrail('upload-session.cancel', {
+        model: 'uploadSession',
+        where: (req) => ({ id: req.params.uploadId }),
+    }),
+    terminateTusUpload
+);
+
+export default router;
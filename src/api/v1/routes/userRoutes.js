@@ -7,7 +7,11 @@ import {
     getUsers,
     loginUser,
     logout,
+    logoutAll,
+    refreshToken,
     getUserProfile,
+    getDevices,
+    removeDevice,
     sendOTP,
     verifyOTP,
     testEmailOTP,
@@ -22,6 +26,8 @@ import { body } from 'express-validator';
 import rateLimit from 'express-rate-limit';
 
 import { verifyToken } from '../middleware/verifyToken.js';
+import { requireAdmin } from '../middleware/requireRole.js';
+import { authGuard } from '../middleware/authGuard.js';
 import prisma from '@/utils/db.mjs';
 import { validateData } from '../middleware/validateBody.mjs';
 import {
@@ -42,16 +48,30 @@ const otpLimiter = rateLimit({
 });
 
 router.post('/register', validateData(registerUserSchema), createUser);
-router.post('/sendotp', otpLimiter, validateData(otpSchema), sendOTP);
+router.post(
+    '/sendotp',
+    otpLimiter,
+    authGuard('otp-send', (req) => req.body?.contact, { countSuccess: true }),
+    validateData(otpSchema),
+    sendOTP
+);
 router.post(
     '/verifyotp',
     otpLimiter,
+    authGuard('otp-verify', (req) => req.body?.contact),
     // verifyToken,
     validateData(verifyOtpSchema),
     verifyOTP
 );
-router.post('/login', validateData(loginUserSchema), loginUser);
+router.post(
+    '/login',
+    authGuard('login', (req) => req.body?.email),
+    validateData(loginUserSchema),
+    loginUser
+);
 router.post('/logout/:id', verifyToken, logout);
+router.post('/logout-all/:id', verifyToken, logoutAll);
+router.post('/refresh', refreshToken);
 router.post('/testemail-otp', testEmailOTP);
 router.post('/testsms-otp', testSMSOTP);
 router.post(
@@ -62,18 +82,28 @@ router.post(
 );
 router.post('/send-verification-email', sendVerificationEmail);
 router.get('/verify-account', verifyAccount);
-router.post('/send-password-reset-email', sendPasswordResetEmail);
-router.post('/reset-password', resetPassword);
+router.post(
+    '/send-password-reset-email',
+    authGuard('reset-send', (req) => req.body?.email, { countSuccess: true }),
+    sendPasswordResetEmail
+);
+router.post(
+    '/reset-password',
+    authGuard('reset', (req) => req.body?.email),
+    resetPassword
+);
 
 // GET
 router.get('/me/:userId', verifyToken, getUserProfile);
+router.get('/devices', verifyToken, getDevices);
 router.get('/find/:id', verifyToken, getUser);
-router.get('/findall', verifyToken, getUsers);
+router.get('/findall', verifyToken, requireAdmin, getUsers);
 
 // PUT
 router.put('/:id', verifyToken, updateUser);
 
 // DELETE
+router.delete('/devices/:deviceId', verifyToken, removeDevice);
 router.delete('/:id', verifyToken, deleteUser);
 
 export default router;
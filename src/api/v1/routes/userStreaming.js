@@ -840,7 +840,7 @@ router.get('/urls/:resourceId',   verifyToken, async (req, res) => {
       // Extract base video name from the first regular video
       const firstVideo = accessibleVideos[0]; // Changed to accessibleVideos
       const baseVideoName = firstVideo.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-      const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, '');
+      const cleanBaseName = baseVideoName.replace(/^(ULD_|LD_|SD_|HD_|FHD_|UHD_|master_)/, '');
 
       console.log(`🎬 User streaming: Base video name for regular videos: ${cleanBaseName}`);
 
@@ -1125,7 +1125,7 @@ router.get('/stream/video/:resourceId/:videoId/:filename', async (req, res) => {
 
     // Extract base video name from the video
     const baseVideoName = video.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-    const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, ''); // Remove resolution and master prefixes
+    const cleanBaseName = baseVideoName.replace(/^(ULD_|LD_|SD_|HD_|FHD_|UHD_|master_)/, ''); // Remove resolution and master prefixes
     
     console.log(`🎬 User streaming: Base video name: ${cleanBaseName}`);
     console.log(`🎬 User streaming: Video resolution: ${video.resolution}`);
@@ -1331,7 +1331,7 @@ router.head('/stream/video/:resourceId/:videoId/:filename', async (req, res) =>
 
     // Extract base video name from the video
     const baseVideoName = video.name.replace(/\.(m3u8|mp4)$/, '');
-    const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, '');
+    const cleanBaseName = baseVideoName.replace(/^(ULD_|LD_|SD_|HD_|FHD_|UHD_|master_)/, '');
     
     console.log(`🎬 User streaming: Base video name extraction:`, {
       originalName: video.name,
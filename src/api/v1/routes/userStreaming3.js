@@ -4,8 +4,28 @@ import { PrismaClient } from '@prisma/client';
 import { Agent as HttpsAgent } from 'https';
 import dotenv from 'dotenv';
 import { pipeline } from 'stream/promises';
-import jwt from 'jsonwebtoken';
+import { verifyAuthToken } from '@/services/authTokens.js';
+import { env } from '@/env.mjs';
 import { verifyToken } from '../middleware/verifyToken.js';
+import { resolveStreamingAccess } from '@/services/entitlements.js';
+import {
+  signPlaybackToken,
+  signSessionPlaybackToken,
+  refreshPlaybackToken,
+  verifyPlaybackToken,
+  withPlaybackToken,
+  rewritePlaylist,
+} from '@/services/playbackTokens.js';
+import {
+  getStreamLimit,
+  openPlaybackSession,
+  isPlaybackSessionActive,
+  heartbeatPlaybackSession,
+  closePlaybackSession,
+} from '@/services/playbackSessions.js';
+import { identifyDevice, recordDevice } from '@/services/devices.js';
+import { keyPrefixOf } from '@/services/masterVersions.js';
+import { renditionKey, VIDEO_CODEC_NAMES } from '@/utils/renditions.js';
 // Add rate limiting for abusive clients
 import rateLimit from 'express-rate-limit';
 import { s3RequestQueue, s3SubtitleRequestQueue, 
@@ -433,7 +453,7 @@ if (Array.isArray(queryToken)) {
 
 if (queryToken && typeof queryToken === 'string') {
   try {
-    const decoded = jwt.verify(queryToken, process.env.SECRETVA);
+    const decoded = verifyAuthToken(queryToken);
     console.log(`🔐 User streaming: Token verified from query parameter for user: ${decoded.id}`);
     return { userId: decoded.id, isValid: true };
   } catch (error) {
@@ -447,7 +467,7 @@ const authHeader = req.headers.authorization;
 if (authHeader && authHeader.startsWith('Bearer ')) {
   try {
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.SECRETVA);
+    const decoded = verifyAuthToken(token);
     console.log(`🔐 User streaming: Token verified from Authorization header for user: ${decoded.id}`);
     return { userId: decoded.id, isValid: true };
   } catch (error) {
@@ -476,8 +496,8 @@ const getCacheHeaders = (filename, rangeInfo) => {
         'Cache-Control': 'no-cache, max-age=30', // Short cache for manifests
         'Expires': new Date(Date.now() + 30000).toUTCString()
       };
-    } else if (filename.includes('.ts')) {
-      // For TS files, cache aggressively but validate with ETag
+    } else if (filename.includes('.ts') || filename.endsWith('.m4s') || filename.endsWith('_init.mp4')) {
+      // For TS and fMP4 segments, cache aggressively but validate with ETag
       return {
         ...baseHeaders,
         'Cache-Control': 'public, max-age=31536000', // 1 year cache
@@ -491,6 +511,34 @@ const getCacheHeaders = (filename, rangeInfo) => {
     };
   };
 
+  /**
+ * Reject a segment or playlist request whose playback token doesn't cover it
+ */
+const rejectPlayback = (res, reason) => {
+    const status = reason === 'Playback token expired' || reason === 'Missing playback token' ? 401 : 403;
+    return res.status(status).json({ error: 'Unauthorized', message: reason });
+};
+
+  /**
+ * Playlists are small, so they are read whole, rewritten and sent without range support
+ */
+const sendPlaylist = async (res, key, rewriteUri) => {
+    const getCommand = new GetObjectCommand({
+      Bucket: process.env.DO_SPACESBUCKET,
+      Key: key
+    });
+
+    const response = await s3RequestQueue.add(() => s3Client.send(getCommand));
+    const playlist = rewritePlaylist(await response.Body.transformToString(), rewriteUri);
+
+    res.writeHead(200, {
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      ...getCacheHeaders('.m3u8'),
+      'Content-Length': Buffer.byteLength(playlist)
+    });
+    res.end(playlist);
+};
+
   // Main streaming endpoint
 router.get('/video/:resourceId/:videoId/:filename', async (req, res) => {
     let s3Response = null;
@@ -526,6 +574,10 @@ router.get('/video/:resourceId/:videoId/:filename', async (req, res) => {
         select: {
           name: true,
           resolution: true,
+          codec: true,
+          isTrailer: true,
+          masterVersionId: true,
+          variant: true,
           season: {
             select: {
               id: true,
@@ -548,6 +600,30 @@ router.get('/video/:resourceId/:videoId/:filename', async (req, res) => {
       if (!video) {
         return res.status(404).json({ error: 'Video not found' });
       }
+
+      const isMaster = video.resolution === 'MASTER';
+
+      // Every playlist and segment must carry a playback token issued by /urls for this resource
+      const playback = verifyPlaybackToken(req.query.token, {
+        resourceId,
+        resolution: isMaster ? undefined : video.resolution
+      });
+      if (!playback.isValid || video.isTrailer) {
+        return rejectPlayback(res, playback.reason ?? 'Playback token is not valid for this content');
+      }
+
+      // the session stops counting against the stream limit once heartbeats stop, so playback stops too
+      if (playback.claims.psid && !(await isPlaybackSessionActive(playback.claims.sub, playback.claims.psid))) {
+        return res.status(409).json({
+          error: 'Playback session ended',
+          message: 'This playback session has ended, request new streaming urls to continue'
+        });
+      }
+
+      // players never reload a VOD playlist, so the URIs in it carry a token that lasts as long as the session
+      const uriToken = filename.includes('.m3u8')
+        ? signSessionPlaybackToken(playback.claims) ?? playback.token
+        : playback.token;
   
       // Determine file path
       let filePath;
@@ -561,14 +637,71 @@ router.get('/video/:resourceId/:videoId/:filename', async (req, res) => {
         actualResourcePath = `${video.episode.season.filmId}-${video.episode.season.id}`;
       }
   
-      const baseName = video.name.replace(/\.(m3u8|mp4)$/, '').replace(/^(SD_|HD_|FHD_|UHD_|master_)/, '');
-  
-      if (filename.includes('.m3u8')) {
-        filePath = `${actualResourcePath}/hls_${video.resolution}_${baseName}/${filename}`;
-        contentType = 'application/vnd.apple.mpegurl';
+      const baseName = video.name.replace(/\.(m3u8|mp4)$/, '').replace(/^((ULD_|LD_|SD_|HD_|FHD_|UHD_)(hevc_|av1_)?|master_)/, '');
+      // replaced masters live under "v2/"… in the bucket, see services/masterVersions.js
+      const keyPrefix = await keyPrefixOf(video.masterVersionId);
+      // HEVC and AV1 renditions have folders of their own, e.g. hls_HD_hevc_my_film
+      const renditionFolder = `${actualResourcePath}/${keyPrefix}hls_${renditionKey(video.resolution, video.codec)}_${baseName}`;
+
+      // audio renditions are listed on the master's row and fetched next to the master playlist
+      const audio = isMaster
+        ? (video.variant?.audio ?? []).find(({ uri }) => {
+            const name = uri.replace(/\.m3u8$/, '');
+            return filename === uri || (filename.startsWith(`${name}_`) && filename.endsWith('.ts'));
+          })
+        : null;
+  
+      if (audio && filename.includes('.m3u8')) {
+        return await sendPlaylist(
+          res,
+          `${actualResourcePath}/${audio.dir}/${filename}`,
+          (uri) => withPlaybackToken(uri, uriToken)
+        );
+      } else if (audio) {
+        filePath = `${actualResourcePath}/${audio.dir}/${filename}`;
+        contentType = 'video/mp2t';
+      } else if (isMaster && filename.includes('.m3u8')) {
+        // Point each variant at its own video id and drop the ones the token doesn't cover
+        const variants = await prisma.video.findMany({
+          where: {
+            isTrailer: false,
+            OR: [
+              { filmId: resourceId },
+              { episodeId: resourceId },
+              { seasonId: resourceId }
+            ]
+          },
+          select: { id: true, name: true, resolution: true, codec: true }
+        });
+        const allowed = playback.claims.res;
+        // players that can't decode HEVC or AV1 only get the variants they can play
+        const codecs = playback.claims.codecs;
+
+        return await sendPlaylist(res, `${actualResourcePath}/${keyPrefix}master_${baseName}.m3u8`, (uri, tag) => {
+          if (tag && tag.startsWith('#EXT-X-MEDIA')) {
+            // every viewer gets every audio track, the token covers them through the master's row
+            return tag.includes('TYPE=AUDIO') ? withPlaybackToken(uri, uriToken) : uri;
+          }
+
+          const variant = variants.find(v => v.name === uri);
+          if (!variant || (allowed && !allowed.includes(variant.resolution.toLowerCase()))) return null;
+          if (codecs && !codecs.includes(variant.codec ?? 'h264')) return null;
+
+          return withPlaybackToken(`../${variant.id}/${uri}`, uriToken);
+        });
+      } else if (filename.includes('.m3u8')) {
+        return await sendPlaylist(
+          res,
+          `${renditionFolder}/${filename}`,
+          (uri) => withPlaybackToken(uri, uriToken)
+        );
       } else if (filename.includes('.ts')) {
-        filePath = `${actualResourcePath}/hls_${video.resolution}_${baseName}/${filename}`;
+        filePath = `${renditionFolder}/${filename}`;
         contentType = 'video/mp2t';
+      } else if (filename.endsWith('.m4s') || filename.endsWith('_init.mp4')) {
+        // fMP4 segments and their initialization section, see renditionSegmentOptions in services/transcodeVideo.js
+        filePath = `${renditionFolder}/${filename}`;
+        contentType = 'video/mp4';
       } else if (filename.includes('.mp4')) {
         filePath = `original_${baseName}.mp4`;
         contentType = 'video/mp4';
@@ -686,6 +819,11 @@ router.get('/trailer/:resourceId/:videoId/:filename', async (req, res) => {
       if (!trailerVideo) {
         return res.status(404).json({ error: 'Trailer not found' });
       }
+
+      const playback = verifyPlaybackToken(req.query.token, { resourceId, scope: 'trailer' });
+      if (!playback.isValid) {
+        return rejectPlayback(res, playback.reason);
+      }
   
       let filePath;
       let contentType;
@@ -698,8 +836,11 @@ router.get('/trailer/:resourceId/:videoId/:filename', async (req, res) => {
       const baseName = trailerVideo.name.replace(/\.(m3u8|mp4)$/, '').replace(/^(HD_|trailer_)/, '');
   
       if (filename.includes('.m3u8')) {
-        filePath = `${actualResourcePath}/hls_trailer/${filename}`;
-        contentType = 'application/vnd.apple.mpegurl';
+        return await sendPlaylist(
+          res,
+          `${actualResourcePath}/hls_trailer/${filename}`,
+          (uri) => withPlaybackToken(uri, playback.token)
+        );
       } else if (filename.includes('.ts')) {
         filePath = `${actualResourcePath}/hls_trailer/${filename}`;
         contentType = 'video/mp2t';
@@ -752,6 +893,49 @@ router.get('/trailer/:resourceId/:videoId/:filename', async (req, res) => {
     }
   });
   
+  // Trailer URLs endpoint - any signed in viewer may watch a trailer
+router.get('/trailer/:resourceId', verifyToken, async (req, res) => {
+    try {
+      const { resourceId } = req.params;
+      const baseUrl = `${req.protocol}://${req.get('host')}/api/v1/userStreaming`;
+
+      const trailer = await prisma.video.findFirst({
+        where: {
+          isTrailer: true,
+          OR: [
+            { filmId: resourceId },
+            { episodeId: resourceId },
+            { seasonId: resourceId }
+          ]
+        },
+        select: { id: true, name: true, resolution: true }
+      });
+
+      if (!trailer) {
+        return res.status(404).json({ error: 'Trailer not found' });
+      }
+
+      const baseName = trailer.name.replace(/\.(m3u8|mp4)$/, '').replace(/^(HD_|trailer_)/, '');
+      const playback = signPlaybackToken({ userId: req.userId, resourceId, scope: 'trailer' });
+
+      res.json({
+        success: true,
+        resourceId,
+        trailer: { id: trailer.id, resolution: trailer.resolution },
+        streamingUrls: {
+          hls: withPlaybackToken(`${baseUrl}/trailer/${resourceId}/${trailer.id}/trailer_${baseName}.m3u8`, playback.token)
+        },
+        playback: {
+          token: playback.token,
+          expiresAt: playback.expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('Trailer URLs endpoint error:', error);
+      res.status(500).json({ error: 'Failed to generate trailer URLs' });
+    }
+  });
+
   // URLs endpoint
 router.get('/urls/:resourceId', verifyToken, async (req, res) => {
     try {
@@ -767,11 +951,16 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
 
       const baseUrl = `${req.protocol}://${req.get('host')}/api/v1/userStreaming`;
 
+      // players list the video codecs they decode, e.g. ?codecs=h264,hevc, every player gets H.264
+      const requestedCodecs = typeof req.query.codecs === 'string'
+        ? req.query.codecs.toLowerCase().split(',').map((codec) => codec.trim())
+        : [];
+      const supportedCodecs = VIDEO_CODEC_NAMES.filter((codec) => codec === 'h264' || requestedCodecs.includes(codec));
+
        // First, check if this is a film, episode, or season and get access permissions
     let resourceType = 'film';
     let resourceData = null;
-    let hasAccess = false;
-    let isFree = false;
+    let entitlement = null;
 
       // Check if it's a film
       const film = await prisma.film.findUnique({
@@ -793,13 +982,11 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
     if (film) {
       resourceType = 'film';
       resourceData = film;
-      
-      // Check if film is free through the access property
-      isFree = film.access === 'free';
-      
-      // Check if user has valid purchase
-      hasAccess = isFree || film.purchase.length > 0;
-      
+      entitlement = await resolveStreamingAccess({
+        userId,
+        access: film.access,
+        purchases: film.purchase,
+      });
     }else {
         // Check if it's an episode
         const episode = await prisma.episode.findUnique({
@@ -826,11 +1013,12 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
             resourceType = 'episode';
             resourceData = episode;
 
-            // Check if episode's season is free through the access property
-            isFree = episode.season.access === 'free';
-
-             // Check if user has valid purchase for the season
-             hasAccess = isFree || episode.season.purchase.length > 0;
+            // Episodes are entitled through their season
+            entitlement = await resolveStreamingAccess({
+              userId,
+              access: episode.season?.access,
+              purchases: episode.season?.purchase,
+            });
           }  else {
             // Check if it's a season
             const season = await prisma.season.findUnique({
@@ -852,13 +1040,11 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
             if (season) {
               resourceType = 'season';
               resourceData = season;
-              
-              // Check if season is free through the access property
-              isFree = season.access === 'free';
-              
-              // Check if user has valid purchase
-              hasAccess = isFree || season.purchase.length > 0;
-              
+              entitlement = await resolveStreamingAccess({
+                userId,
+                access: season.access,
+                purchases: season.purchase,
+              });
             } else {
               return res.status(404).json({ error: 'Resource not found' });
             }
@@ -866,28 +1052,24 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
     }
   
         // If user doesn't have access, return error
-    if (!hasAccess) {
+    if (!entitlement.hasAccess) {
             console.log(`🚫 User streaming: Access denied for user ${userId} to resource ${resourceId}`);
             return res.status(403).json({ 
               error: 'Access denied', 
-              message: 'This content requires purchase or is not available',
+              message: 'This content requires a purchase or an active subscription',
               resourceType,
               resourceId
             });
     }
 
-     // Get purchased resolutions if this is a paid purchase
-     let purchasedResolutions = [];
-     if (!isFree && resourceData.purchase && resourceData.purchase.length > 0) {
-        // Get the most recent valid purchase
-        const latestPurchase = resourceData.purchase[0]; // Already sorted by valid: true and expiresAt
-        if (latestPurchase && latestPurchase.resolutions && Array.isArray(latestPurchase.resolutions)) {
-          purchasedResolutions = latestPurchase.resolutions.map(r => r.toLowerCase());
-          console.log(`💰 User streaming: User ${userId} purchased resolutions:`, purchasedResolutions);
-        }
-      } else {
-
-      }
+     // Free and subscribed viewers get every resolution, purchases are limited to what was bought
+     const isFree = entitlement.resolutions === null;
+     const purchasedResolutions = entitlement.resolutions ?? [];
+     if (entitlement.source === 'purchase') {
+        console.log(`💰 User streaming: User ${userId} purchased resolutions:`, purchasedResolutions);
+     } else if (entitlement.source === 'subscription') {
+        console.log(`🎟️ User streaming: User ${userId} streaming via subscription ${entitlement.subscription.id}`);
+     }
 
      
     // Query database to get all videos for this resource 
@@ -906,7 +1088,8 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
           format: true,
           isTrailer: true,
           url: true,
-          hlsUrl: true
+          hlsUrl: true,
+          codec: true
         }
       });
   
@@ -918,6 +1101,7 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
         success: true,
         resourceId,
         baseUrl,
+        accessType: entitlement.source,
         hasTrailer: videos.some(v => v.isTrailer),
         hasRegularVideos: videos.some(v => !v.isTrailer),
         streamingConfig: {
@@ -926,8 +1110,15 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
         }
       };
   
-      // Separate trailers from regular videos
-      const regularVideos = videos.filter(v => v.isTrailer !== true);
+      // Separate trailers from regular videos, each resolution in the most efficient codec the player decodes
+      const regularVideos = [
+        ...new Map(
+          videos
+            .filter(v => v.isTrailer !== true && supportedCodecs.includes(v.codec ?? 'h264'))
+            .sort((a, b) => VIDEO_CODEC_NAMES.indexOf(a.codec ?? 'h264') - VIDEO_CODEC_NAMES.indexOf(b.codec ?? 'h264'))
+            .map(v => [v.resolution, v])
+        ).values()
+      ];
   
        // Filter regular videos based on access level
        let accessibleVideos = regularVideos;
@@ -949,7 +1140,7 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
         // Extract base video name from the first regular video
         const firstVideo = accessibleVideos[0];
         const baseVideoName = firstVideo.name.replace(/\.(m3u8|mp4)$/, ''); // Remove extension
-        const cleanBaseName = baseVideoName.replace(/^(SD_|HD_|FHD_|UHD_|master_)/, '');
+        const cleanBaseName = baseVideoName.replace(/^((ULD_|LD_|SD_|HD_|FHD_|UHD_)(hevc_|av1_)?|master_)/, '');
   
   
         // Find video ids for each resolution from regular videos only
@@ -980,8 +1171,7 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
         allRegularVideos.forEach(video => {
             if (video.resolution && video.resolution.toLowerCase() !== 'master') {
               const resKey = video.resolution.toLowerCase();
-              const resLabel = video.resolution.toUpperCase();
-              availableHlsUrls[resKey] = `${baseUrl}/video/${resourceId}/${video.id}/${resLabel}_${cleanBaseName}.m3u8`;
+              availableHlsUrls[resKey] = `${baseUrl}/video/${resourceId}/${video.id}/${video.name}`;
               console.log(`🆓 User streaming: Added ${resKey} resolution URL for video ${video.id} with name: ${video.name}`);
             }
           });
@@ -1006,18 +1196,79 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
         accessibleVideos.forEach(video => {
             if (video.resolution && video.resolution.toLowerCase() !== 'master') {
               const resKey = video.resolution.toLowerCase();
-              const resLabel = video.resolution.toUpperCase();
-              availableHlsUrls[resKey] = `${baseUrl}/video/${resourceId}/${video.id}/${resLabel}_${cleanBaseName}.m3u8`;
+              availableHlsUrls[resKey] = `${baseUrl}/video/${resourceId}/${video.id}/${video.name}`;
               console.log(`💰 User streaming: Generated URLs for ${Object.keys(availableHlsUrls).length - 1} purchased resolutions`);
               console.log(`💰 User streaming: Final availableHlsUrls:`, Object.keys(availableHlsUrls));
             }
           });
         }
 
+        // Remember which device is playing, a failure here shouldn't stop playback
+        await recordDevice(userId, req).catch((error) =>
+          console.warn(`⚠️ User streaming: Could not record device for user ${userId}:`, error.message)
+        );
+
+        // Each /urls call holds one of the account's concurrent stream slots until heartbeats stop
+        const streamLimit = getStreamLimit(entitlement);
+        // a session can only be resumed on the device it was opened on, sharing its id doesn't share the slot
+        const playbackSession = await openPlaybackSession({
+          userId,
+          limit: streamLimit,
+          deviceId: identifyDevice(req).deviceId,
+          sessionId: typeof req.query.playbackSessionId === 'string' ? req.query.playbackSessionId : undefined
+        });
+
+        if (playbackSession.otherDevice) {
+          return res.status(403).json({
+            error: 'Playback session belongs to another device',
+            message: 'This playback session was started on another device, request streaming urls without it to start a new one'
+          });
+        }
+
+        if (!playbackSession.admitted) {
+          console.log(`🚫 User streaming: Stream limit of ${streamLimit} reached for user ${userId}`);
+          return res.status(409).json({
+            error: 'Too many streams',
+            message: `Your account is already streaming on ${playbackSession.activeStreams} device(s) and your plan allows ${streamLimit}. Stop playback on another device and try again.`,
+            activeStreams: playbackSession.activeStreams,
+            limit: streamLimit
+          });
+        }
+
+        // Scope the playback token to what the viewer is entitled to, an empty purchase list keeps the old "all" behaviour
+        const playback = signPlaybackToken({
+          userId,
+          resourceId,
+          resolutions: purchasedResolutions.length > 0 ? purchasedResolutions : null,
+          codecs: supportedCodecs,
+          sessionId: playbackSession.sessionId
+        });
+
+        Object.keys(availableHlsUrls).forEach(resKey => {
+          availableHlsUrls[resKey] = withPlaybackToken(availableHlsUrls[resKey], playback.token);
+        });
+
+        const masterVideo = regularVideos.find(v => v.resolution === 'MASTER');
+        if (masterVideo) {
+          availableHlsUrls.master = withPlaybackToken(
+            `${baseUrl}/video/${resourceId}/${masterVideo.id}/master_${cleanBaseName}.m3u8`,
+            playback.token
+          );
+        }
+
         response.streamingUrls = {
            
             hls: availableHlsUrls
           };
+        response.codecs = supportedCodecs;
+        response.playback = {
+          token: playback.token,
+          expiresAt: playback.expiresAt,
+          sessionId: playbackSession.sessionId,
+          streamLimit,
+          heartbeatUrl: `${baseUrl}/heartbeat/${playbackSession.sessionId}`,
+          heartbeatIntervalSeconds: Math.floor(env.STREAM_HEARTBEAT_TTL / 3)
+        };
 
         // response.streamingUrls = {
         //   mp4: `${baseUrl}/video/${resourceId}/${firstVideo.id}/original_${cleanBaseName}.mp4`,
@@ -1065,6 +1316,56 @@ router.get('/urls/:resourceId', verifyToken, async (req, res) => {
     }
   });
 
+  // Playback session heartbeat - keeps the stream counted as active
+router.post('/heartbeat/:sessionId', verifyToken, async (req, res) => {
+    try {
+      const alive = await heartbeatPlaybackSession(req.userId, req.params.sessionId, identifyDevice(req).deviceId);
+      if (!alive) {
+        return res.status(409).json({
+          error: 'Playback session ended',
+          message: 'This playback session has ended, request new streaming urls to continue'
+        });
+      }
+
+      // the token on the streaming urls is short-lived, players reloading those urls swap in the refreshed one
+      const playback = req.body?.token !== undefined
+        ? await refreshPlaybackToken(req.body.token, { userId: req.userId, sessionId: req.params.sessionId })
+        : null;
+      if (req.body?.token !== undefined && !playback) {
+        return rejectPlayback(res, 'Playback token is not valid for this session');
+      }
+
+      // ending the session also stops the playlists already handed out, their tokens last as long as it does
+      if (playback?.denied) {
+        await closePlaybackSession(req.userId, req.params.sessionId);
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'This content requires a purchase or an active subscription'
+        });
+      }
+
+      res.json({
+        success: true,
+        sessionId: req.params.sessionId,
+        ...(playback && { token: playback.token, expiresAt: playback.expiresAt })
+      });
+    } catch (error) {
+      console.error('Heartbeat error:', error);
+      res.status(500).json({ error: 'Failed to record heartbeat' });
+    }
+  });
+
+  // Stop a playback session and free its stream slot
+router.delete('/sessions/:sessionId', verifyToken, async (req, res) => {
+    try {
+      await closePlaybackSession(req.userId, req.params.sessionId);
+      res.json({ success: true, sessionId: req.params.sessionId });
+    } catch (error) {
+      console.error('Close playback session error:', error);
+      res.status(500).json({ error: 'Failed to close playback session' });
+    }
+  });
+
   // CORS options endpoints
 router.options('/video/:resourceId/:videoId/:filename', (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
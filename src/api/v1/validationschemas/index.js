@@ -1,6 +1,11 @@
 import { z } from 'zod';
 import { Status, DurationUnit, Currency } from '@prisma/client';
 import { isValid } from 'date-fns';
+import {
+    EFFICIENT_VIDEO_CODECS,
+    RENDITION_LABELS,
+    SURROUND_CODECS,
+} from '@/utils/renditions.js';
 
 export const loginUserSchema = z.object({
     email: z
@@ -85,6 +90,23 @@ export const filmSchema = z.object({
     featured: z.boolean().optional().default(false),
 });
 
+// per title limits on the transcoding ladder and its surround audio, see buildLadder and buildAudioRenditions in utils/renditions.js
+export const encodingLadderSchema = z
+    .object({
+        labels: z.array(z.enum(RENDITION_LABELS)).min(1).optional(),
+        minHeight: z.number().int().positive().optional(),
+        maxHeight: z.number().int().positive().optional(),
+        surround: z.enum(SURROUND_CODECS).optional(),
+        codecs: z.array(z.enum(EFFICIENT_VIDEO_CODECS)).optional(),
+        perTitle: z.boolean().optional(),
+    })
+    .strict()
+    .refine(
+        ({ minHeight, maxHeight }) =>
+            !minHeight || !maxHeight || minHeight <= maxHeight,
+        { message: 'minHeight cannot be above maxHeight' }
+    );
+
 export const updateFilmSchema = z.object({
     title: z.string().optional(),
     overview: z.string().optional(),
@@ -144,6 +166,7 @@ export const updateFilmSchema = z.object({
     featured: z.boolean().optional(),
     donationTargetAmount: z.number().optional(),
     donationDeadline: z.string().optional(),
+    encodingLadder: encodingLadderSchema.optional(),
 });
 
 // Season schema
@@ -171,6 +194,7 @@ export const episodeSchema = z.object({
     yearOfProduction: z.string().optional().default(''),
     genre: z.array(z.string()).optional().default([]),
     tags: z.array(z.string()).optional().default([]),
+    encodingLadder: encodingLadderSchema.optional(),
     visibility: z
         .string()
         .optional()
@@ -267,9 +291,32 @@ export const subscriptionPlanSchema = z.object({
         const durations = Object.values(DurationUnit);
         return durations.includes(data);
     }),
+    maxStreams: z
+        .number({ message: 'Max streams should be a number' })
+        .int()
+        .min(1, 'Max streams should be at least 1')
+        .optional(),
     deletedAt: z.string().optional().nullable(),
 });
 
+// subscription payment schema
+export const subscriptionPaymentSchema = z.object({
+    option: z.union(
+        [z.literal('mtnmomo'), z.literal('visa'), z.literal('airtelmoney')],
+        { message: 'Payment Option should be mtnmomo, visa or airtelmoney' }
+    ),
+    paymentNumber: z
+        .string({ message: 'Payment Number is required' })
+        .min(1)
+        .refine((phoneNumber) => {
+            // phone number regex
+            const regx = /^\+(?:[0-9]{1,3})?[0-9]{7,14}$/;
+            return regx.test(phoneNumber);
+        }),
+    type: z.union([z.literal('streamWeb')]).nullable().optional(),
+    paymentMethodId: z.string().optional().nullable(),
+});
+
 export const categorySchema = z
     .object({
         name: z.string({ message: 'Name is required' }),
@@ -492,6 +539,154 @@ export const deleteVideoSchema = z.object({
     videoIds: z.array(z.string().nullable()).default([]),
 });
 
+// resumable upload sessions, see POST /studio/uploads
+export const uploadSessionSchema = z
+    .object({
+        fileName: z.string({ message: 'File name is required' }).min(1),
+        totalSize: z
+            .number({ message: 'Total size in bytes is required' })
+            .int()
+            .positive(),
+        chunkSize: z
+            .number({ message: 'Chunk size in bytes is required' })
+            .int()
+            .min(256 * 1024, { message: 'Chunk size should be at least 256KB' })
+            .max(100 * 1024 * 1024, {
+                message: 'Chunk size should be at most 100MB',
+            }),
+        // optional sha256/md5 of the whole file, hex or base64, verified before transcoding
+        checksum: z.string().optional(),
+        checksumAlgorithm: z
+            .union([z.literal('sha256'), z.literal('md5')], {
+                message: 'Checksum algorithm should either be sha256 or md5',
+            })
+            .default('sha256'),
+        purpose: z
+            .union([z.literal('video'), z.literal('trailer')], {
+                message: 'Purpose should either be video or trailer',
+            })
+            .default('video'),
+        resourceType: z.union(
+            [z.literal('film'), z.literal('episode'), z.literal('season')],
+            { message: 'Resource type should be film, episode or season' }
+        ),
+        resourceId: z.string({ message: 'Resource ID is required' }).min(1),
+    })
+    .superRefine((data, ctx) => {
+        const allowed =
+            data.purpose === 'trailer' ? ['film', 'season'] : ['film', 'episode'];
+        if (!allowed.includes(data.resourceType)) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                path: ['resourceType'],
+                message: `A ${data.purpose} can only be uploaded for a ${allowed.join(' or ')}`,
+            });
+        }
+    });
+
+// completes an upload session as the replacement of its film or episode's live master
+export const replaceMasterSchema = z.object({
+    uploadId: z.string({ message: 'Upload ID is required' }).min(1),
+    clientId: z.string({ message: 'Client ID is required' }).min(1),
+    reason: z.string().max(500, { message: 'Reason should be at most 500 characters' }).optional(),
+});
+
+// the newest archived version is made live when versionId is left out
+export const rollbackMasterSchema = z.object({
+    versionId: z.string().optional(),
+});
+
+export const ingestSchema = z.object({
+    source: z.discriminatedUnion(
+        'type',
+        [
+            z.object({
+                type: z.literal('s3'),
+                bucket: z.string({ message: 'Source bucket is required' }).min(1),
+                key: z.string({ message: 'Source key is required' }).min(1),
+            }),
+            z.object({
+                type: z.literal('url'),
+                url: z
+                    .string({ message: 'Source url is required' })
+                    .url({ message: 'Source url is not a valid url' })
+                    .refine((url) => /^https?:\/\//i.test(url), {
+                        message: 'Source url should be http or https',
+                    }),
+            }),
+        ],
+        { message: 'Source type should either be s3 or url' }
+    ),
+    // defaults to the last segment of the key or url
+    fileName: z.string().min(1).optional(),
+    resourceType: z.union([z.literal('film'), z.literal('episode')], {
+        message: 'Resource type should either be film or episode',
+    }),
+    resourceId: z.string({ message: 'Resource ID is required' }).min(1),
+    clientId: z.string().optional(),
+    checksum: z.string().optional(),
+    checksumAlgorithm: z
+        .union([z.literal('sha256'), z.literal('md5')], {
+            message: 'Checksum algorithm should either be sha256 or md5',
+        })
+        .default('sha256'),
+});
+
+export const bulkIngestSchema = z.object({
+    // a folder under BULK_INGEST_DIR holding the masters and the manifest
+    folder: z.string({ message: 'Folder is required' }).min(1),
+    // defaults to manifest.json, then manifest.csv
+    manifest: z.string().min(1).optional(),
+    clientId: z.string().optional(),
+});
+
+// one master in a bulk ingest manifest. Films reference an existing film or describe a new one,
+// episodes do the same for the episode, its season and the series.
+export const bulkIngestItemSchema = z
+    .object({
+        file: z.string({ message: 'File is required' }).min(1),
+        checksum: z.string().optional(),
+        checksumAlgorithm: z
+            .union([z.literal('sha256'), z.literal('md5')], {
+                message: 'Checksum algorithm should either be sha256 or md5',
+            })
+            .default('sha256'),
+        filmId: z.string().min(1).optional(),
+        film: filmSchema.optional(),
+        seasonId: z.string().min(1).optional(),
+        season: seasonSchema.omit({ filmId: true }).optional(),
+        episodeId: z.string().min(1).optional(),
+        episode: episodeSchema.omit({ seasonId: true }).optional(),
+    })
+    .superRefine((item, ctx) => {
+        const issue = (message) =>
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+
+        if (item.filmId && item.film) issue('Give either filmId or film, not both');
+        if (item.seasonId && item.season) issue('Give either seasonId or season, not both');
+        if (item.episodeId && item.episode) {
+            issue('Give either episodeId or episode, not both');
+        }
+
+        if (!item.episodeId && !item.episode) {
+            if (!item.filmId && !item.film) issue('A film master needs filmId or film');
+            if (item.seasonId || item.season) {
+                issue('Seasons only apply to episodes, add episodeId or episode');
+            }
+            return;
+        }
+
+        if (item.episode && !item.seasonId && !item.season) {
+            issue('A new episode needs seasonId or season');
+        }
+        if (item.season && !item.filmId && !item.film) {
+            issue('A new season needs filmId or film');
+        }
+        if (item.film && item.film.type !== 'series') {
+            issue('Episodes can only be added to a film of type series');
+        }
+    });
+
 export const purchaseSchema = z.object({
     userId: z.string({ message: 'User ID is required' }).min(1),
     resourceId: z.string({ message: 'Resource ID is required' }).min(1),
@@ -6,6 +6,7 @@ import cookieParser from 'cookie-parser';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import { CORS_OPTIONS } from './utils/corsOptions.js';
+import { tusOptions } from './api/v1/controllers/tus.js';
 // import { specs, swaggerUICss } from './services/swagger.js';
 // import swaggerUi from 'swagger-ui-express';
 
@@ -75,6 +76,13 @@ export default function customizeApp(app) {
     app.use(express.json());
     app.use(express.urlencoded({ extended: false }));
 
+    // tus discovery, the global cors handler would end these OPTIONS requests before the tus routes see them
+    app.options(
+        ['/api/v1/studio/tus', '/api/v1/studio/tus/:uploadId'],
+        cors({ ...CORS_OPTIONS, preflightContinue: true }),
+        tusOptions
+    );
+
     app.use(cors(CORS_OPTIONS));
 
     // Rate limiter
@@ -17,6 +17,31 @@ export const env = createEnv({
             .optional()
             .default(4500),
         SECRETVA: z.string({ message: 'SECRETIVA is required' }),
+        // access tokens are short-lived, sessions are kept alive with refresh tokens
+        ACCESS_TOKEN_TTL: z.string().optional().default('15m'),
+        // lifetime of the tokens on the streaming urls, the urls inside playlists are tied to the playback session instead
+        PLAYBACK_TOKEN_TTL: z.string().optional().default('10m'),
+        // concurrent streams for viewers without a plan, and how long a stream survives without a heartbeat
+        MAX_CONCURRENT_STREAMS: z.coerce.number().optional().default(2),
+        STREAM_HEARTBEAT_TTL: z.coerce.number().optional().default(90),
+        // once true, admins must enroll in two-factor before they can perform destructive actions
+        ADMIN_2FA_REQUIRED: z
+            .enum(['true', 'false'])
+            .optional()
+            .default('false')
+            .transform((value) => value === 'true'),
+        // the account name shown in authenticator apps
+        TOTP_ISSUER: z.string().optional().default('Nyati Studio'),
+        // how often the janitor clears abandoned uploads and transcode output (0 turns it off),
+        // and how long untracked files are left alone before they count as abandoned
+        JANITOR_INTERVAL_MINUTES: z.coerce.number().optional().default(60),
+        JANITOR_MAX_AGE_HOURS: z.coerce.number().optional().default(24),
+        // disk kept free for the api and database, new uploads and transcodes are refused or held back below it
+        MIN_FREE_DISK_GB: z.coerce.number().optional().default(5),
+        // how long a transcode waiting for disk space sleeps before it checks again
+        DISK_RETRY_DELAY_MINUTES: z.coerce.number().optional().default(5),
+        // bytes an admin may have uploading or waiting for transcoding at once (0 turns it off)
+        ADMIN_UPLOAD_QUOTA_GB: z.coerce.number().optional().default(500),
 
         // Digital Ocean
         DO_SPACESENDPOINT: z.string({ message: 'Spaces endpoint is required' }),
@@ -30,6 +55,14 @@ export const env = createEnv({
             message: 'Spaces secret key is required',
         }),
         CLIENT_URL: z.string().optional(),
+        // partner bucket for POST /studio/ingest, falls back to the Spaces account above.
+        // Point it at a local MinIO to try ingest without touching Spaces.
+        INGEST_S3_ENDPOINT: z.string().optional(),
+        INGEST_S3_REGION: z.string().optional().default('us-east-1'),
+        INGEST_S3_ACCESS_KEY: z.string().optional(),
+        INGEST_S3_SECRET_KEY: z.string().optional(),
+        // watch folder for POST /studio/bulk-ingest, one sub-folder of masters and a manifest per batch
+        BULK_INGEST_DIR: z.string().optional().default('bulk-ingest'),
 
         // Africas Talking SMS API
         AT_API_KEY: z.string({ message: 'AT_API_KEY is required' }),
@@ -0,0 +1,75 @@
+import prisma from '@/utils/db.mjs';
+
+// bookkeeping fields that change on every write and would drown the diff
+const IGNORED_FIELDS = ['updatedAt'];
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {string} action - dotted event name, e.g. "auth.lockout", "film.update"
+ * @property {'user' | 'admin' | 'system'} [actorType]
+ * @property {string} [actorId]
+ * @property {string} [targetType]
+ * @property {string} [targetId]
+ * @property {object | null} [before] - the record before the change
+ * @property {object | null} [after] - the record after the change
+ * @property {object} [metadata]
+ */
+
+// dates and other non-json values are stored the way they are sent to clients
+const toJson = (value) =>
+    value === undefined || value === null
+        ? value
+        : JSON.parse(JSON.stringify(value));
+
+/**
+ * @name diffRecords
+ * @description Top-level fields that differ between two snapshots
+ * @param {object | null} before
+ * @param {object | null} after
+ * @returns {Record<string, { from: unknown, to: unknown }> | null}
+ */
+export const diffRecords = (before, after) => {
+    if (!before || !after) return null;
+
+    const changes = {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+            changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    }
+    return changes;
+};
+
+/**
+ * @name recordAudit
+ * @description Write an audit log entry. Failing to audit never fails the request that triggered it.
+ * @param {AuditEntry} entry
+ * @param {import('express').Request} [req] - to record the ip and user agent
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (entry, req) => {
+    try {
+        const before = toJson(entry.before);
+        const after = toJson(entry.after);
+
+        await prisma.auditLog.create({
+            data: {
+                action: entry.action,
+                actorType: entry.actorType ?? null,
+                actorId: entry.actorId ?? null,
+                targetType: entry.targetType ?? null,
+                targetId: entry.targetId ?? null,
+                before: before ?? undefined,
+                after: after ?? undefined,
+                changes: diffRecords(before, after) ?? undefined,
+                ip: req?.ip ?? null,
+                userAgent: req?.get?.('user-agent') ?? null,
+                metadata: toJson(entry.metadata) ?? undefined,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Failed to write audit log:', entry.action, error.message);
+    }
+};
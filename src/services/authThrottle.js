@@ -0,0 +1,111 @@
+import { redisConnection } from '@/services/redisClient.js';
+import { recordAudit } from '@/services/audit.js';
+
+/** wrong codes accepted on a single otp or password reset token before it is discarded */
+export const MAX_CODE_ATTEMPTS = 5;
+
+// failures allowed before a lockout, per account identifier and per client ip
+const MAX_FAILURES = { identifier: 5, ip: 20 };
+// failures are forgotten after this window
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+// lockouts double from the base up to the max, and the escalation resets after a quiet day
+const BASE_LOCK_SECONDS = 60;
+const MAX_LOCK_SECONDS = 60 * 60;
+const LEVEL_TTL_SECONDS = 24 * 60 * 60;
+
+const key = (scope, kind, value, suffix) =>
+    `authguard:${scope}:${kind}:${value}:${suffix}`;
+
+/**
+ * @name normalizeIdentifier
+ * @param {unknown} identifier - an email or phone number
+ * @returns {string | null}
+ */
+export const normalizeIdentifier = (identifier) => {
+    if (typeof identifier !== 'string' || !identifier.trim()) return null;
+    return identifier.trim().toLowerCase();
+};
+
+const targetsFor = (identifier, ip) =>
+    [
+        identifier && { kind: 'identifier', value: identifier },
+        ip && { kind: 'ip', value: ip },
+    ].filter(Boolean);
+
+/**
+ * @name getActiveLock
+ * @description Find a lock on the identifier or the ip for this scope
+ * @param {string} scope - e.g. "login", "otp-verify"
+ * @param {string | null} identifier
+ * @param {string | null} ip
+ * @returns {Promise<{ kind: string, retryAfter: number } | null>} retryAfter in seconds
+ */
+export const getActiveLock = async (scope, identifier, ip) => {
+    for (const { kind, value } of targetsFor(identifier, ip)) {
+        const ttl = await redisConnection.ttl(key(scope, kind, value, 'lock'));
+        if (ttl > 0) {
+            return { kind, retryAfter: ttl };
+        }
+    }
+    return null;
+};
+
+/**
+ * @name recordFailure
+ * @description Count a failed attempt and lock the identifier/ip once it has too many,
+ * each new lockout lasting twice as long as the previous one
+ * @param {string} scope
+ * @param {string | null} identifier
+ * @param {import('express').Request} req
+ * @returns {Promise<void>}
+ */
+export const recordFailure = async (scope, identifier, req) => {
+    for (const { kind, value } of targetsFor(identifier, req.ip)) {
+        const failuresKey = key(scope, kind, value, 'fails');
+        const failures = await redisConnection.incr(failuresKey);
+        if (failures === 1) {
+            await redisConnection.expire(failuresKey, FAILURE_WINDOW_SECONDS);
+        }
+
+        if (failures < MAX_FAILURES[kind]) continue;
+
+        const levelKey = key(scope, kind, value, 'level');
+        const level = await redisConnection.incr(levelKey);
+        await redisConnection.expire(levelKey, LEVEL_TTL_SECONDS);
+
+        const lockSeconds = Math.min(
+            BASE_LOCK_SECONDS * 2 ** (level - 1),
+            MAX_LOCK_SECONDS
+        );
+        await redisConnection.set(key(scope, kind, value, 'lock'), '1', {
+            EX: lockSeconds,
+        });
+        await redisConnection.del(failuresKey);
+
+        await recordAudit(
+            {
+                action: 'auth.lockout',
+                actorType: 'system',
+                targetType: kind === 'ip' ? 'ip' : 'account',
+                targetId: value,
+                metadata: { scope, failures, level, lockSeconds },
+            },
+            req
+        );
+    }
+};
+
+/**
+ * @name clearFailures
+ * @description Forget the identifier's failures after a successful attempt. The ip keeps its count.
+ * @param {string} scope
+ * @param {string | null} identifier
+ * @returns {Promise<void>}
+ */
+export const clearFailures = async (scope, identifier) => {
+    if (!identifier) return;
+    await redisConnection.del([
+        key(scope, 'identifier', identifier, 'fails'),
+        key(scope, 'identifier', identifier, 'level'),
+    ]);
+};
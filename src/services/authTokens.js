@@ -0,0 +1,133 @@
+import jwt from 'jsonwebtoken';
+import { env } from '@/env.mjs';
+
+/**
+ * Viewers and admins are issued tokens for different audiences, so a viewer token
+ * can never be presented to the studio and playback tokens can't be used to sign in.
+ */
+export const TOKEN_AUDIENCE = Object.freeze({
+    user: 'viewer',
+    admin: 'studio',
+});
+
+/**
+ * @typedef {object} AuthClaims
+ * @property {string} id - the user or admin id
+ * @property {string} email
+ * @property {'user' | 'admin'} type - the kind of account the token was issued to
+ * @property {string} role - `user.role` or `admin.role`
+ * @property {string} [sid] - the server-side session the token belongs to, see services/sessions.js
+ */
+
+/**
+ * @name signAuthToken
+ * @description Sign an access token for a user or an admin
+ * @param {{ id: string, email: string, role?: string | null }} account - the user or admin row
+ * @param {Object} options
+ * @param {'user' | 'admin'} options.type
+ * @param {string | number} options.expiresIn
+ * @param {string} [options.sessionId] - ties the token to a revocable session
+ * @returns {string}
+ */
+export const signAuthToken = (account, { type, expiresIn, sessionId }) => {
+    return jwt.sign(
+        {
+            email: account.email,
+            id: account.id,
+            type,
+            role: account.role ?? type,
+            ...(sessionId && { sid: sessionId }),
+        },
+        env.SECRETVA,
+        {
+            subject: String(account.id),
+            audience: TOKEN_AUDIENCE[type],
+            expiresIn,
+        }
+    );
+};
+
+/**
+ * @name verifyAuthToken
+ * @description Verify an access token issued by `signAuthToken`
+ * @param {string} token
+ * @returns {AuthClaims}
+ * @throws {import('jsonwebtoken').JsonWebTokenError}
+ */
+export const verifyAuthToken = (token) => {
+    return jwt.verify(token, env.SECRETVA, {
+        audience: Object.values(TOKEN_AUDIENCE),
+    });
+};
+
+// a password-verified admin login waiting on its second factor, never accepted as an access token
+const MFA_CHALLENGE_AUDIENCE = 'studio-2fa';
+
+/**
+ * @name signMfaChallenge
+ * @description Short-lived token proving the admin got past the password step of `login`
+ * @param {{ id: string }} admin
+ * @param {{ staySigned?: boolean }} [options] - carried over to the session started once the code checks out
+ * @returns {string}
+ */
+export const signMfaChallenge = (admin, { staySigned } = {}) => {
+    return jwt.sign({ staySigned: staySigned !== false }, env.SECRETVA, {
+        subject: String(admin.id),
+        audience: MFA_CHALLENGE_AUDIENCE,
+        expiresIn: '5m',
+    });
+};
+
+/**
+ * @name verifyMfaChallenge
+ * @param {string} token
+ * @returns {{ sub: string, staySigned: boolean }}
+ * @throws {import('jsonwebtoken').JsonWebTokenError}
+ */
+export const verifyMfaChallenge = (token) => {
+    return jwt.verify(token, env.SECRETVA, {
+        audience: MFA_CHALLENGE_AUDIENCE,
+    });
+};
+
+/**
+ * @name readMfaChallengeSubject
+ * @description The admin id in a challenge without verifying it, to key attempt counters on
+ * @param {unknown} token
+ * @returns {string | null}
+ */
+export const readMfaChallengeSubject = (token) => {
+    if (typeof token !== 'string') return null;
+    return jwt.decode(token)?.sub ?? null;
+};
+
+// a password-verified admin who has to enroll in two-factor before getting a session,
+// only accepted by the enrollment routes
+const MFA_ENROLLMENT_AUDIENCE = 'studio-2fa-enroll';
+
+/**
+ * @name signMfaEnrollment
+ * @description Short-lived token that lets an admin without two-factor enroll when ADMIN_2FA_REQUIRED is set
+ * @param {{ id: string }} admin
+ * @param {{ staySigned?: boolean }} [options] - carried over to the session started once enrollment is confirmed
+ * @returns {string}
+ */
+export const signMfaEnrollment = (admin, { staySigned } = {}) => {
+    return jwt.sign({ staySigned: staySigned !== false }, env.SECRETVA, {
+        subject: String(admin.id),
+        audience: MFA_ENROLLMENT_AUDIENCE,
+        expiresIn: '15m',
+    });
+};
+
+/**
+ * @name verifyMfaEnrollment
+ * @param {string} token
+ * @returns {{ sub: string, staySigned: boolean }}
+ * @throws {import('jsonwebtoken').JsonWebTokenError}
+ */
+export const verifyMfaEnrollment = (token) => {
+    return jwt.verify(token, env.SECRETVA, {
+        audience: MFA_ENROLLMENT_AUDIENCE,
+    });
+};
@@ -0,0 +1,572 @@
+import fs from 'fs';
+import path from 'path';
+import { Queue, Worker } from 'bullmq';
+import prisma from '@/utils/db.mjs';
+import { env } from '@/env.mjs';
+import { returnError } from '@/utils/returnError.js';
+import { parseCsv } from '@/utils/csv.js';
+import { parseChecksum, verifyFileChecksum } from '@/utils/checksum.js';
+import {
+    bulkIngestItemSchema,
+    filmSchema,
+    seasonSchema,
+    episodeSchema,
+} from '@/api/v1/validationschemas/index.js';
+import ChunkService from '@/services/chunkService.js';
+import { UPLOAD_DIR } from '@/services/multer.js';
+import { probeMedia, findMediaProblem } from '@/services/mediaProbe.js';
+import { queueVideoTranscode } from '@/services/videoJobs.js';
+import { redisConnection } from '@/services/redisClient.js';
+
+/*
+ * A batch is a folder under BULK_INGEST_DIR holding the masters and a manifest.json or manifest.csv.
+ *
+ * manifest.json is an array, or { "items": [...] }, of `bulkIngestItemSchema` items:
+ *   { "file": "feature.mov", "film": { ...filmSchema } }
+ *   { "file": "s01e01.mp4", "film": { "title": "Series", "type": "series", ... },
+ *     "season": { "title": "Season 1", "season": 1 }, "episode": { ...episodeSchema } }
+ *   { "file": "recut.mp4", "filmId": "..." }  or  { "file": "e02.mp4", "episodeId": "..." }
+ *
+ * manifest.csv has one row per item with dotted headers for the nested fields
+ * (file, filmId, film.title, season.season, episode.title, ...), arrays are separated with `|`.
+ */
+const MANIFEST_NAMES = ['manifest.json', 'manifest.csv'];
+const BULK_INGEST_DIR = path.resolve(process.cwd(), env.BULK_INGEST_DIR);
+
+/**
+ * @typedef {object} PlannedItem
+ * @property {number} row - 1-based position in the manifest
+ * @property {string} file - as written in the manifest
+ * @property {string} filePath
+ * @property {'film' | 'episode'} resourceType
+ * @property {import('zod').infer<typeof bulkIngestItemSchema>} input
+ * @property {string | null} filmKey - which new film the item belongs to, items sharing a title share a film
+ * @property {string | null} seasonKey - which new season the item belongs to
+ */
+
+/**
+ * @typedef {object} ManifestError
+ * @property {number} row
+ * @property {string | null} file
+ * @property {string} message
+ */
+
+/**
+ * @name resolveBatchFolder
+ * @description A batch folder under BULK_INGEST_DIR, never outside it
+ * @param {string} folder
+ * @returns {Promise<string>}
+ */
+const resolveBatchFolder = async (folder) => {
+    const dir = path.resolve(BULK_INGEST_DIR, folder);
+    if (dir !== BULK_INGEST_DIR && !dir.startsWith(BULK_INGEST_DIR + path.sep)) {
+        returnError('Folder should be inside the bulk ingest folder', 400);
+    }
+
+    const stats = await fs.promises.stat(dir).catch(() => null);
+    if (!stats?.isDirectory()) returnError(`Folder ${folder} was not found`, 404);
+    return dir;
+};
+
+// shape of a flat csv column, e.g. "film.genre" is an array and "episode.episode" a number
+const fieldKind = (schema) => {
+    let current = schema;
+    while (current) {
+        const { typeName } = current._def;
+        if (typeName === 'ZodArray') return 'array';
+        if (typeName === 'ZodNumber') return 'number';
+        if (typeName === 'ZodBoolean') return 'boolean';
+        current = current._def.innerType ?? current._def.schema;
+    }
+    return 'string';
+};
+
+const CSV_SECTIONS = { film: filmSchema, season: seasonSchema, episode: episodeSchema };
+
+/**
+ * @name csvRowToItem
+ * @description Turn a csv row with dotted headers (`film.title`, `episode.episode`) into a manifest item.
+ * Array columns are separated with `|`, empty cells are left out.
+ * @param {Record<string, string>} row
+ * @returns {object}
+ */
+const csvRowToItem = (row) => {
+    const item = {};
+
+    for (const [column, value] of Object.entries(row)) {
+        if (value === '') continue;
+        const [section, field] = column.split('.');
+
+        if (!field) {
+            item[section] = value;
+            continue;
+        }
+
+        const fieldSchema = CSV_SECTIONS[section]?.shape[field];
+        const kind = fieldSchema ? fieldKind(fieldSchema) : 'string';
+        item[section] ??= {};
+        item[section][field] =
+            kind === 'array'
+                ? value.split('|').map((entry) => entry.trim()).filter(Boolean)
+                : kind === 'number'
+                  ? Number(value)
+                  : kind === 'boolean'
+                    ? value.toLowerCase() === 'true'
+                    : value;
+    }
+
+    return item;
+};
+
+/**
+ * @name readManifest
+ * @param {string} dir
+ * @param {string} [name]
+ * @returns {Promise<{ name: string, items: object[] }>}
+ */
+const readManifest = async (dir, name) => {
+    const candidates = name ? [path.basename(name)] : MANIFEST_NAMES;
+    for (const candidate of candidates) {
+        const manifestPath = path.join(dir, candidate);
+        const text = await fs.promises.readFile(manifestPath, 'utf8').catch(() => null);
+        if (text === null) continue;
+
+        if (candidate.endsWith('.csv')) {
+            return { name: candidate, items: parseCsv(text).map(csvRowToItem) };
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            returnError(`${candidate} is not valid JSON: ${error.message}`, 400);
+        }
+        const items = Array.isArray(parsed) ? parsed : parsed?.items;
+        if (!Array.isArray(items)) {
+            returnError(`${candidate} should be an array of items or { "items": [...] }`, 400);
+        }
+        return { name: candidate, items };
+    }
+
+    returnError(`No manifest found, expected ${candidates.join(' or ')}`, 404);
+};
+
+/**
+ * @name planBulkIngest
+ * @description Read and validate a batch: every item against the manifest schema, every file on disk and with
+ * ffprobe, and every referenced film, season and episode in the database. Nothing is created.
+ * @param {{ folder: string, manifest?: string }} params
+ * @returns {Promise<{ folder: string, manifest: string, items: PlannedItem[], errors: ManifestError[] }>}
+ */
+export const planBulkIngest = async ({ folder, manifest }) => {
+    const dir = await resolveBatchFolder(folder);
+    const { name, items: rawItems } = await readManifest(dir, manifest);
+    if (!rawItems.length) returnError('The manifest has no items', 400);
+
+    /** @type {ManifestError[]} */
+    const errors = [];
+    /** @type {PlannedItem[]} */
+    const items = [];
+    const seenFiles = new Set();
+    const newFilms = new Map();
+
+    for (const [index, raw] of rawItems.entries()) {
+        const row = index + 1;
+        const file = typeof raw?.file === 'string' ? raw.file : null;
+        const fail = (message) => errors.push({ row, file, message });
+
+        const parsed = bulkIngestItemSchema.safeParse(raw);
+        if (!parsed.success) {
+            parsed.error.issues.forEach((issue) =>
+                fail(issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message)
+            );
+            continue;
+        }
+        const input = parsed.data;
+
+        try {
+            parseChecksum(input.checksum, input.checksumAlgorithm);
+        } catch (error) {
+            fail(error.message);
+        }
+
+        const filePath = path.resolve(dir, input.file);
+        if (!filePath.startsWith(dir + path.sep) || path.basename(filePath) === name) {
+            fail('File should be inside the batch folder');
+            continue;
+        }
+        if (seenFiles.has(filePath)) {
+            fail('File is listed more than once');
+            continue;
+        }
+        seenFiles.add(filePath);
+
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        if (!stats?.isFile()) {
+            fail('File was not found');
+            continue;
+        }
+
+        try {
+            const problem = findMediaProblem(await probeMedia(filePath));
+            if (problem) fail(problem);
+        } catch (error) {
+            fail(error.message);
+        }
+
+        const resourceType = input.episodeId || input.episode ? 'episode' : 'film';
+
+        // new films are matched on title so a series is only created once
+        const filmKey = input.film ? input.film.title.trim().toLowerCase() : null;
+        if (filmKey) {
+            const first = newFilms.get(filmKey);
+            if (first && (resourceType === 'film' || first.resourceType === 'film')) {
+                fail(`Film "${input.film.title}" is listed more than once`);
+            }
+            if (!first) newFilms.set(filmKey, { resourceType });
+        }
+        const seasonKey = input.season
+            ? `${filmKey ?? input.filmId}:${input.season.season}`
+            : null;
+
+        items.push({ row, file: input.file, filePath, resourceType, input, filmKey, seasonKey });
+    }
+
+    // films, seasons and episodes the manifest points at must exist
+    const ids = (field) => [...new Set(items.map(({ input }) => input[field]).filter(Boolean))];
+    const [films, seasons, episodes] = await Promise.all([
+        prisma.film.findMany({
+            where: { id: { in: ids('filmId').filter((id) => /^[a-f\d]{24}$/i.test(id)) } },
+            select: { id: true, type: true },
+        }),
+        prisma.season.findMany({
+            where: { id: { in: ids('seasonId').filter((id) => /^[a-f\d]{24}$/i.test(id)) } },
+            select: { id: true, filmId: true, season: true },
+        }),
+        prisma.episode.findMany({
+            where: { id: { in: ids('episodeId').filter((id) => /^[a-f\d]{24}$/i.test(id)) } },
+            select: { id: true },
+        }),
+    ]);
+    const filmsById = new Map(films.map((film) => [film.id, film]));
+    const seasonIds = new Set(seasons.map(({ id }) => id));
+    const episodeIds = new Set(episodes.map(({ id }) => id));
+
+    for (const { row, file, resourceType, input } of items) {
+        const fail = (message) => errors.push({ row, file, message });
+
+        if (input.filmId) {
+            const film = filmsById.get(input.filmId);
+            if (!film) fail(`Film ${input.filmId} was not found`);
+            else if (resourceType === 'episode' && film.type !== 'series') {
+                fail(`Film ${input.filmId} is not a series`);
+            }
+        }
+        if (input.seasonId && !seasonIds.has(input.seasonId)) {
+            fail(`Season ${input.seasonId} was not found`);
+        }
+        if (input.episodeId && !episodeIds.has(input.episodeId)) {
+            fail(`Episode ${input.episodeId} was not found`);
+        }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return { folder, manifest: name, items, errors };
+};
+
+/**
+ * @name needsPublishPermission
+ * @description Whether creating the manifest's films or episodes publishes or features anything
+ * @param {PlannedItem[]} items
+ * @returns {boolean}
+ */
+export const needsPublishPermission = (items) =>
+    items.some(({ input }) =>
+        [input.film, input.episode].some(
+            (resource) =>
+                resource &&
+                ((resource.visibility && resource.visibility !== 'not published') ||
+                    resource.featured)
+        )
+    );
+
+// queueing can delete the file it was given, so the watch folder keeps its copy until the job is recorded.
+// a hard link is instant on the same disk, the watch folder may be mounted elsewhere
+const stageFile = async (from, to) => {
+    try {
+        await fs.promises.link(from, to);
+    } catch (error) {
+        if (!['EXDEV', 'EPERM'].includes(error.code)) throw error;
+        await fs.promises.copyFile(from, to);
+    }
+};
+
+// newest first, an episode goes before its season and a season before its film
+const removeCreated = async (created) => {
+    for (const { type, id } of [...created].reverse()) {
+        await prisma[type].delete({ where: { id } });
+    }
+};
+
+const pendingResult = (item) => ({
+    row: item.row,
+    file: item.file,
+    resourceType: item.resourceType,
+    resourceId: null,
+    created: [],
+    jobId: null,
+    error: null,
+});
+
+/**
+ * @name runBulkIngest
+ * @description Create the films, seasons and episodes a validated plan describes, then stage every master in
+ * the uploads folder and queue it on `transcode-video`. A master leaves the watch folder only once its job is
+ * queued. Each item's result is saved on the batch as soon as it is done. An item that fails keeps its file in
+ * the watch folder, has what was created for it removed, is reported on its item and doesn't stop the rest.
+ * @param {string} batchId
+ * @param {{ items: PlannedItem[] }} plan
+ * @param {{ ownerId: string, clientId?: string }} options
+ * @returns {Promise<import('@prisma/client').bulkIngest>}
+ */
+const runBulkIngest = async (batchId, plan, { ownerId, clientId }) => {
+    const batch = await prisma.bulkIngest.update({
+        where: { id: batchId },
+        data: { status: 'running' },
+    });
+
+    const createdFilms = new Map();
+    const createdSeasons = new Map();
+    const results = plan.items.map(pendingResult);
+
+    for (const [index, item] of plan.items.entries()) {
+        const { input } = item;
+        const result = results[index];
+        let stagedPath = null;
+
+        try {
+            // a corrupt copy fails before anything is created for it
+            await verifyFileChecksum(
+                item.filePath,
+                parseChecksum(input.checksum, input.checksumAlgorithm)
+            );
+
+            let filmId = input.filmId;
+            if (input.film) {
+                if (!createdFilms.has(item.filmKey)) {
+                    const film = await prisma.film.create({
+                        data: {
+                            ...input.film,
+                            releaseDate: new Date(input.film.releaseDate),
+                        },
+                    });
+                    createdFilms.set(item.filmKey, film.id);
+                    result.created.push({ type: 'film', id: film.id });
+                }
+                filmId = createdFilms.get(item.filmKey);
+            }
+
+            if (item.resourceType === 'film') {
+                result.resourceId = filmId;
+            } else {
+                let seasonId = input.seasonId;
+                if (input.season) {
+                    if (!createdSeasons.has(item.seasonKey)) {
+                        const season = await prisma.season.create({
+                            data: { filmId, ...input.season },
+                        });
+                        createdSeasons.set(item.seasonKey, season.id);
+                        result.created.push({ type: 'season', id: season.id });
+                    }
+                    seasonId = createdSeasons.get(item.seasonKey);
+                }
+
+                result.resourceId = input.episodeId;
+                if (input.episode) {
+                    const episode = await prisma.episode.create({
+                        data: {
+                            seasonId,
+                            ...input.episode,
+                            releaseDate: new Date(input.episode.releaseDate),
+                        },
+                    });
+                    result.resourceId = episode.id;
+                    result.created.push({ type: 'episode', id: episode.id });
+                }
+            }
+
+            const fileName = path.basename(item.file);
+            const { filename, ext } = new ChunkService().formatFileName(fileName);
+            stagedPath = path.join(UPLOAD_DIR, `${filename}-${batch.id}-${item.row}.${ext}`);
+            await stageFile(item.filePath, stagedPath);
+
+            const { jobId } = await queueVideoTranscode({
+                type: item.resourceType,
+                resourceId: result.resourceId,
+                fileName,
+                filePath: stagedPath,
+                clientId,
+                ownerId,
+            });
+            result.jobId = jobId;
+
+            await fs.promises.rm(item.filePath).catch((error) =>
+                console.warn(`⚠️ Bulk ingest ${batch.id} could not remove ${item.filePath}:`, error.message)
+            );
+        } catch (error) {
+            console.error(`❌ Bulk ingest ${batch.id} row ${item.row} failed:`, error.message);
+            result.error = error.message;
+
+            if (stagedPath) {
+                await fs.promises.rm(stagedPath, { force: true }).catch(() => {});
+            }
+
+            // nothing is left behind for a failed item, a later row of the same film creates it again
+            try {
+                await removeCreated(result.created);
+                if (result.created.some(({ type }) => type === 'film')) createdFilms.delete(item.filmKey);
+                if (result.created.some(({ type }) => type === 'season')) createdSeasons.delete(item.seasonKey);
+                if (result.created.some(({ id }) => id === result.resourceId)) result.resourceId = null;
+                result.created = [];
+            } catch (rollbackError) {
+                console.error(`❌ Bulk ingest ${batch.id} row ${item.row} could not be rolled back:`, rollbackError.message);
+                result.error = `${error.message}. The ${result.created
+                    .map(({ type, id }) => `${type} ${id}`)
+                    .join(', ')} created for it could not be removed: ${rollbackError.message}`;
+            }
+        }
+
+        await prisma.bulkIngest.update({
+            where: { id: batch.id },
+            data: { items: results },
+        });
+    }
+
+    return prisma.bulkIngest.update({
+        where: { id: batch.id },
+        data: { status: 'completed' },
+    });
+};
+
+const bulkIngestQueue = new Queue('bulk-ingest', {
+    connection: { ...redisConnection, maxRetriesPerRequest: null },
+});
+
+const bulkIngestWorker = new Worker(
+    'bulk-ingest',
+    async (job) => {
+        console.log(`Running bulk ingest ${job.data.batchId}`);
+        return (await runBulkIngest(job.data.batchId, job.data.plan, job.data)).id;
+    },
+    // batches share the uploads disk and the transcode queue, one at a time is plenty
+    { connection: { ...redisConnection, maxRetriesPerRequest: null }, concurrency: 1 }
+);
+
+bulkIngestWorker.on('failed', async (job, err) => {
+    if (!job) return;
+    console.log(`Bulk ingest job ${job.id} failed with error ${err.message}`);
+
+    try {
+        await prisma.bulkIngest.updateMany({
+            where: { id: job.data.batchId, status: { in: ['queued', 'running'] } },
+            data: { status: 'failed' },
+        });
+    } catch (dbError) {
+        console.warn(`⚠️ Could not mark bulk ingest ${job.data.batchId} as failed:`, dbError.message);
+    }
+});
+
+/**
+ * @name queueBulkIngest
+ * @description Record a batch for a validated plan, every item pending, and queue it on `bulk-ingest`
+ * @param {{ folder: string, manifest: string, items: PlannedItem[] }} plan
+ * @param {{ ownerId: string, clientId?: string }} options
+ * @returns {Promise<import('@prisma/client').bulkIngest>}
+ */
+export const queueBulkIngest = async (plan, { ownerId, clientId }) => {
+    const batch = await prisma.bulkIngest.create({
+        data: {
+            ownerId,
+            folder: plan.folder,
+            manifest: plan.manifest,
+            status: 'queued',
+            items: plan.items.map(pendingResult),
+        },
+    });
+
+    try {
+        // not retried, a second run would create the films and seasons again
+        await bulkIngestQueue.add(
+            'bulk-ingest',
+            { batchId: batch.id, plan: { items: plan.items }, ownerId, clientId },
+            {
+                jobId: `bulk_${batch.id}`,
+                attempts: 1,
+                removeOnComplete: 50,
+                removeOnFail: 50,
+            }
+        );
+    } catch (error) {
+        await prisma.bulkIngest.update({
+            where: { id: batch.id },
+            data: { status: 'failed' },
+        });
+        throw error;
+    }
+
+    return batch;
+};
+
+/**
+ * @name bulkIngestReport
+ * @description Where every item of a batch stands, read from its transcode job
+ * @param {import('@prisma/client').bulkIngest} batch
+ * @returns {Promise<object>}
+ */
+export const bulkIngestReport = async (batch) => {
+    const items = Array.isArray(batch.items) ? batch.items : [];
+    const jobIds = items.map(({ jobId }) => jobId).filter(Boolean);
+    const jobs = await prisma.videoProcessingJob.findMany({
+        where: { jobId: { in: jobIds } },
+        select: { jobId: true, status: true, progress: true, failedReason: true },
+    });
+    const jobsById = new Map(jobs.map((job) => [job.jobId, job]));
+
+    const reportItems = items.map((item) => {
+        const job = item.jobId ? jobsById.get(item.jobId) : null;
+        if (!item.jobId) {
+            // items the batch hasn't reached yet have neither a job nor an error
+            const pending = !item.error && ['queued', 'running'].includes(batch.status);
+            return { ...item, status: pending ? 'pending' : 'failed', progress: 0 };
+        }
+        return {
+            ...item,
+            status: job?.status ?? 'unknown',
+            progress: job?.status === 'completed' ? 100 : (job?.progress ?? 0),
+            error: item.error ?? job?.failedReason ?? null,
+        };
+    });
+
+    const summary = { total: reportItems.length };
+    for (const { status } of reportItems) {
+        summary[status] = (summary[status] ?? 0) + 1;
+    }
+    summary.progress = reportItems.length
+        ? Math.floor(
+              reportItems.reduce((sum, { progress }) => sum + progress, 0) /
+                  reportItems.length
+          )
+        : 0;
+
+    return {
+        id: batch.id,
+        folder: batch.folder,
+        manifest: batch.manifest,
+        status: batch.status,
+        createdAt: batch.createdAt,
+        summary,
+        items: reportItems,
+    };
+};
+
+export { bulkIngestQueue, bulkIngestWorker };
@@ -1,5 +1,7 @@
 import path from 'path';
 import fs from 'fs';
+import { returnError } from '@/utils/returnError.js';
+import { verifyFileChecksum } from '@/utils/checksum.js';
 
 const UPLOAD_DIR = path.resolve(process.cwd(), 'uploads');
 
@@ -38,15 +40,40 @@ class ChunkService {
         return { ext, filename };
     }
 
-    checkChunk(fileName, start) {
+    /**
+     * @name checkChunk
+     * @description Whether a chunk was received, and matches the checksum when one is given
+     * @param {string} fileName
+     * @param {string} start
+     * @param {import('@/utils/checksum.js').Checksum | null} [checksum]
+     * @returns {Promise<boolean>}
+     */
+    async checkChunk(fileName, start, checksum = null) {
         // strip the file extension from the filename and replace the spaces with underscores
         const { filename } = this.formatFileName(fileName);
         const fileDir = path.join(this.uploadDir, filename);
-        const chunkPath = path.join(fileDir, `${fileName}-${start}`);
-        return fs.existsSync(chunkPath);
+        const chunkPath = path.join(fileDir, `${filename}-${start}`);
+        if (!fs.existsSync(chunkPath)) return false;
+
+        try {
+            await verifyFileChecksum(chunkPath, checksum);
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
-    async saveChunk(tempPath, fileName, start) {
+    /**
+     * @name saveChunk
+     * @description Move an uploaded chunk into the file's chunk folder. A chunk that doesn't match
+     * its checksum is discarded and a 422 thrown so the client resends it.
+     * @param {string} tempPath
+     * @param {string} fileName
+     * @param {string} start
+     * @param {import('@/utils/checksum.js').Checksum | null} [checksum]
+     * @returns {Promise<void>}
+     */
+    async saveChunk(tempPath, fileName, start, checksum = null) {
         // create a directory if it doesn't exist and a folder for the file using the filename
         const { filename } = this.formatFileName(fileName);
         const fileDir = path.join(this.uploadDir, filename);
@@ -60,6 +87,13 @@ class ChunkService {
         try {
             await fs.promises.access(tempPath, fs.constants.F_OK);
 
+            try {
+                await verifyFileChecksum(tempPath, checksum, `Chunk ${start}`);
+            } catch (error) {
+                await fs.promises.rm(tempPath, { force: true });
+                throw error;
+            }
+
             // If a chunk already exists at chunkPath, remove it before replacing
             if (fs.existsSync(chunkPath)) {
                 await fs.promises.unlink(chunkPath);
@@ -73,9 +107,25 @@ class ChunkService {
         }
     }
 
-    async combineChunks(fileName) {
+    /**
+     * @name combineChunks
+     * @description Assemble a file's chunks in order and verify the result against the whole-file checksum.
+     * When the client says how many chunks or bytes it sent, refuses while the chunks received don't add
+     * up to them. On a checksum mismatch the chunks are dropped, since there's no telling which one is bad.
+     * @param {string} fileName
+     * @param {import('@/utils/checksum.js').Checksum | null} [checksum]
+     * @param {{ totalChunks?: number, totalSize?: number }} [expected] - older clients send neither
+     * @returns {Promise<string>} the assembled file path
+     */
+    async combineChunks(fileName, checksum = null, expected = {}) {
+        const { totalChunks, totalSize } = expected;
+
         const { filename, ext } = this.formatFileName(fileName);
         const filePath = path.join(this.uploadDir, filename);
+        if (!fs.existsSync(filePath)) {
+            returnError('Upload incomplete, no chunks received', 409);
+        }
+
         const chunkFiles = fs
             .readdirSync(filePath)
             .filter((file) => file.startsWith(filename) && file !== filename)
@@ -85,8 +135,28 @@ class ChunkService {
                 return startA - startB;
             });
 
+        if (totalChunks > 0 && chunkFiles.length !== totalChunks) {
+            returnError(
+                `Upload incomplete, received ${chunkFiles.length} of ${totalChunks} chunk(s)`,
+                409
+            );
+        }
+
+        if (totalSize > 0) {
+            let receivedSize = 0;
+            for (const chunkFile of chunkFiles) {
+                receivedSize += (await fs.promises.stat(path.join(filePath, chunkFile))).size;
+            }
+            if (receivedSize !== totalSize) {
+                returnError(
+                    `Upload incomplete, received ${receivedSize} of ${totalSize} bytes`,
+                    409
+                );
+            }
+        }
+
         const assembledPath = path.join(this.uploadDir, `${filename}.${ext}`);
-        const writeStream = fs.createWriteStream(assembledPath, { flags: 'a' });
+        const writeStream = fs.createWriteStream(assembledPath);
 
         try {
             for (const chunkFile of chunkFiles) {
@@ -101,25 +171,193 @@ class ChunkService {
                 });
             }
 
-            writeStream.on('finish', async () => {
-                console.log('All chunks combined successfully');
-                await this.deleteChunksFolder(fileName);
+            await new Promise((resolve, reject) => {
+                writeStream.on('finish', resolve);
+                writeStream.on('error', reject);
+                writeStream.end(); // End the write stream after processing all chunks
             });
+            console.log('All chunks combined successfully');
 
-            writeStream.on('error', async (err) => {
-                console.log('Error writing combined file', err);
-                await fs.promises.rm(filePath, {
-                    recursive: true,
-                    force: true,
+            await verifyFileChecksum(assembledPath, checksum);
+        } catch (error) {
+            console.log('Error writing combined file', error);
+            writeStream.destroy();
+            await fs.promises.rm(assembledPath, { force: true });
+            await this.deleteChunksFolder(fileName);
+            throw error;
+        }
+
+        await this.deleteChunksFolder(fileName);
+        return assembledPath;
+    }
+
+    /**
+     * @name sessionDir
+     * @description Folder holding the chunks of an upload session, see the `uploadSession` model
+     * @param {string} sessionId
+     * @returns {string}
+     */
+    sessionDir(sessionId) {
+        return path.join(this.uploadDir, 'sessions', sessionId);
+    }
+
+    /**
+     * @name expectedChunkSize
+     * @description Every chunk is `chunkSize` bytes except the last one, which holds the remainder
+     * @param {{ totalSize: number, chunkSize: number, totalChunks: number }} session
+     * @param {number} index
+     * @returns {number}
+     */
+    expectedChunkSize(session, index) {
+        if (index < session.totalChunks - 1) return session.chunkSize;
+        return session.totalSize - session.chunkSize * (session.totalChunks - 1);
+    }
+
+    /**
+     * @name saveSessionChunk
+     * @description Move an uploaded chunk into its session folder, replacing a previous attempt at the same index
+     * @param {string} tempPath - where multer stored the chunk
+     * @param {{ id: string, totalSize: number, chunkSize: number, totalChunks: number }} session
+     * @param {number} index - zero based
+     * @param {import('@/utils/checksum.js').Checksum | null} [checksum] - a mismatch is rejected with a 422 so the chunk can be resent
+     * @returns {Promise<string>} the chunk path
+     */
+    async saveSessionChunk(tempPath, session, index, checksum = null) {
+        try {
+            if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+                returnError(
+                    `Chunk index should be between 0 and ${session.totalChunks - 1}`,
+                    400
+                );
+            }
+
+            const { size } = await fs.promises.stat(tempPath);
+            const expected = this.expectedChunkSize(session, index);
+            if (size !== expected) {
+                returnError(
+                    `Chunk ${index} should be ${expected} bytes, received ${size}`,
+                    400
+                );
+            }
+
+            await verifyFileChecksum(tempPath, checksum, `Chunk ${index}`);
+
+            const dir = this.sessionDir(session.id);
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            const chunkPath = path.join(dir, `${index}.part`);
+            await fs.promises.rename(tempPath, chunkPath);
+            return chunkPath;
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * @name listSessionChunks
+     * @param {string} sessionId
+     * @returns {Promise<number[]>} indexes of the chunks received so far, ascending
+     */
+    async listSessionChunks(sessionId) {
+        const dir = this.sessionDir(sessionId);
+        if (!fs.existsSync(dir)) return [];
+
+        const files = await fs.promises.readdir(dir);
+        return files
+            .filter((file) => /^\d+\.part$/.test(file))
+            .map((file) => parseInt(file, 10))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * @name missingSessionChunks
+     * @param {{ id: string, totalChunks: number }} session
+     * @returns {Promise<number[]>} indexes still to be uploaded
+     */
+    async missingSessionChunks(session) {
+        const received = new Set(await this.listSessionChunks(session.id));
+        const missing = [];
+        for (let index = 0; index < session.totalChunks; index++) {
+            if (!received.has(index)) missing.push(index);
+        }
+        return missing;
+    }
+
+    /**
+     * @name combineSessionChunks
+     * @description Assemble an upload session's chunks in index order. Refuses while any chunk is missing,
+     * and drops the chunks when the result doesn't match the whole-file checksum.
+     * @param {{ id: string, fileName: string, totalSize: number, totalChunks: number }} session
+     * @param {import('@/utils/checksum.js').Checksum | null} [checksum]
+     * @returns {Promise<string>} the assembled file path
+     */
+    async combineSessionChunks(session, checksum = null) {
+        const missing = await this.missingSessionChunks(session);
+        if (missing.length > 0) {
+            const listed = missing.slice(0, 20).join(', ');
+            returnError(
+                `Upload incomplete, ${missing.length} chunk(s) missing: ${listed}${missing.length > 20 ? ', ...' : ''}`,
+                409
+            );
+        }
+
+        const { filename, ext } = this.formatFileName(session.fileName);
+        const dir = this.sessionDir(session.id);
+        // the session id keeps two uploads of the same filename apart
+        const assembledPath = path.join(this.uploadDir, `${filename}-${session.id}.${ext}`);
+        const writeStream = fs.createWriteStream(assembledPath);
+
+        try {
+            for (let index = 0; index < session.totalChunks; index++) {
+                const readStream = fs.createReadStream(path.join(dir, `${index}.part`));
+                await new Promise((resolve, reject) => {
+                    readStream.pipe(writeStream, { end: false });
+                    readStream.on('end', resolve);
+                    readStream.on('error', reject);
                 });
+            }
+
+            await new Promise((resolve, reject) => {
+                writeStream.on('finish', resolve);
+                writeStream.on('error', reject);
+                writeStream.end();
             });
 
-            writeStream.end(); // End the write stream after processing all chunks
-            return assembledPath;
+            const { size } = await fs.promises.stat(assembledPath);
+            if (size !== session.totalSize) {
+                returnError(
+                    `Assembled file is ${size} bytes, expected ${session.totalSize}`,
+                    422
+                );
+            }
+
+            try {
+                await verifyFileChecksum(assembledPath, checksum);
+            } catch (error) {
+                await this.deleteSessionChunks(session.id);
+                throw error;
+            }
         } catch (error) {
-            writeStream.destroy(error);
+            writeStream.destroy();
+            await fs.promises.rm(assembledPath, { force: true });
             throw error;
         }
+
+        await this.deleteSessionChunks(session.id);
+        return assembledPath;
+    }
+
+    /**
+     * @name deleteSessionChunks
+     * @param {string} sessionId
+     * @returns {Promise<void>}
+     */
+    async deleteSessionChunks(sessionId) {
+        await fs.promises.rm(this.sessionDir(sessionId), {
+            recursive: true,
+            force: true,
+        });
     }
 
     async deleteChunksFolder(fileName) {
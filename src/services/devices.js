@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import prisma from '@/utils/db.mjs';
+import { returnError } from '@/utils/returnError.js';
+import { revokeDeviceSessions } from '@/services/sessions.js';
+import { closeDevicePlaybackSessions } from '@/services/playbackSessions.js';
+
+/**
+ * @name guessPlatform
+ * @description Rough platform from the user agent, used when the client doesn't send X-Device-Platform
+ * @param {string} userAgent
+ * @returns {string}
+ */
+const guessPlatform = (userAgent = '') => {
+    if (/smart-?tv|tizen|webos|android tv|bravia|roku/i.test(userAgent)) {
+        return 'tv';
+    }
+    if (/android/i.test(userAgent)) return 'android';
+    if (/iphone|ipad|ipod|ios/i.test(userAgent)) return 'ios';
+    return 'web';
+};
+
+/**
+ * @name identifyDevice
+ * @description Read the device details from the request. Apps send X-Device-Id, X-Device-Name and
+ * X-Device-Platform; browsers that don't are identified by a hash of their user agent.
+ * @param {import('express').Request} req
+ * @returns {{ deviceId: string, name: string | null, platform: string, userAgent: string | null, ip: string | null }}
+ */
+export const identifyDevice = (req) => {
+    const userAgent = req.get('user-agent') ?? null;
+    const deviceId =
+        req.get('x-device-id') ||
+        crypto
+            .createHash('sha256')
+            .update(userAgent ?? 'unknown')
+            .digest('hex')
+            .slice(0, 32);
+
+    return {
+        deviceId,
+        name: req.get('x-device-name') ?? null,
+        platform: req.get('x-device-platform') ?? guessPlatform(userAgent ?? ''),
+        userAgent,
+        ip: req.ip ?? null,
+    };
+};
+
+/**
+ * @name recordDevice
+ * @description Register the device the request came from, or update when and where it was last seen.
+ * Signing in again from a revoked device re-enables it.
+ * @param {string} userId
+ * @param {import('express').Request} req
+ * @param {{ signIn?: boolean }} [options]
+ * @returns {Promise<import('@prisma/client').device>}
+ */
+export const recordDevice = async (userId, req, { signIn = false } = {}) => {
+    const { deviceId, name, platform, userAgent, ip } = identifyDevice(req);
+    const now = new Date();
+
+    return prisma.device.upsert({
+        where: { userId_deviceId: { userId, deviceId } },
+        create: {
+            user: { connect: { id: userId } },
+            deviceId,
+            name,
+            platform,
+            userAgent,
+            lastIp: ip,
+            lastSeenAt: now,
+        },
+        update: {
+            ...(name && { name }),
+            platform,
+            userAgent,
+            lastIp: ip,
+            lastSeenAt: now,
+            ...(signIn && { revokedAt: null }),
+        },
+    });
+};
+
+/**
+ * @name listDevices
+ * @param {string} userId
+ * @returns {Promise<Array<object>>} active devices, most recently seen first
+ */
+export const listDevices = async (userId) => {
+    return prisma.device.findMany({
+        where: { userId, revokedAt: null },
+        orderBy: { lastSeenAt: 'desc' },
+        select: {
+            id: true,
+            name: true,
+            platform: true,
+            lastIp: true,
+            lastSeenAt: true,
+            createdAt: true,
+        },
+    });
+};
+
+/**
+ * @name revokeDevice
+ * @description Sign a device out: mark it revoked and end every session started on it, playback included
+ * @param {string} userId
+ * @param {string} id - the device row id
+ * @returns {Promise<import('@prisma/client').device>}
+ */
+export const revokeDevice = async (userId, id) => {
+    const device = await prisma.device.findFirst({ where: { id, userId } });
+    if (!device) returnError('Device not found', 404);
+
+    const revoked = await prisma.device.update({
+        where: { id },
+        data: { revokedAt: new Date() },
+    });
+
+    await revokeDeviceSessions('user', userId, id);
+    await closeDevicePlaybackSessions(userId, device.deviceId);
+    return revoked;
+};
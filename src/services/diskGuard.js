@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+import prisma from '@/utils/db.mjs';
+import { env } from '@/env.mjs';
+import { returnError } from '@/utils/returnError.js';
+import { formatFileSize } from '@/utils/formatSize.js';
+import { buildLadder } from '@/utils/renditions.js';
+import { UPLOAD_DIR } from '@/services/multer.js';
+
+const GB = 1024 ** 3;
+const TEMP_DIR = path.join(process.cwd(), 'temp');
+
+// jobs that hold, or are about to hold, transcode output on disk
+const RUNNING_JOB_STATUSES = ['active', 'processing'];
+const PENDING_JOB_STATUSES = [
+    'waiting',
+    'queued',
+    'delayed',
+    ...RUNNING_JOB_STATUSES,
+];
+
+export const DISK_RETRY_DELAY_MS = env.DISK_RETRY_DELAY_MINUTES * 60 * 1000;
+
+const minFreeBytes = () => env.MIN_FREE_DISK_GB * GB;
+
+/**
+ * @typedef {object} DiskStats
+ * @property {string} path
+ * @property {number} totalBytes
+ * @property {number} freeBytes - available to this process
+ * @property {number} usedBytes
+ */
+
+/**
+ * @name diskStats
+ * @param {string} dir - any folder on the disk, falls back to the working directory when it doesn't exist
+ * @returns {Promise<DiskStats>}
+ */
+const diskStats = async (dir) => {
+    const target = fs.existsSync(dir) ? dir : process.cwd();
+    const stats = await fs.promises.statfs(target);
+    const totalBytes = stats.blocks * stats.bsize;
+    const freeBytes = stats.bavail * stats.bsize;
+    return {
+        path: path.relative(process.cwd(), dir) || '.',
+        totalBytes,
+        freeBytes,
+        usedBytes: totalBytes - stats.bfree * stats.bsize,
+    };
+};
+
+/**
+ * @name estimateTranscodeBytes
+ * @description Disk a transcode needs at its peak: the source split into segments, and for every rendition
+ * its transcoded segments plus the merged file and HLS output. Without a duration every rendition is
+ * assumed to be as large as the source, without the video's size the whole ladder is counted.
+ * @param {{ size: number, duration?: number | null, video?: import('./mediaProbe.js').MediaInfo['video'] }} source
+ * @param {'transcode-video' | 'process-trailer-hls'} [kind]
+ * @returns {number} bytes
+ */
+export const estimateTranscodeBytes = (source, kind = 'transcode-video') => {
+    const size = source.size ?? 0;
+    const rungs = buildLadder(
+        source.video,
+        kind === 'process-trailer-hls' ? { labels: ['HD'] } : {}
+    );
+
+    const renditionBytes = rungs.reduce((total, { bitrate }) => {
+        const bytes = source.duration
+            ? Math.min(size, ((bitrate * 1000) / 8) * source.duration)
+            : size;
+        return total + bytes * 2;
+    }, 0);
+
+    // plus the segments the source is split into
+    return Math.ceil(size + renditionBytes);
+};
+
+const sourceOf = (job) => ({
+    size: job.sourceMetadata?.size ?? 0,
+    duration: job.sourceMetadata?.duration ?? null,
+    video: job.sourceMetadata?.video ?? null,
+});
+
+/**
+ * @name reservedBytes
+ * @description Space the transcodes already running will still write
+ * @param {string} [exceptJobId] - the job being admitted
+ * @returns {Promise<number>}
+ */
+const reservedBytes = async (exceptJobId) => {
+    const running = await prisma.videoProcessingJob.findMany({
+        where: {
+            status: { in: RUNNING_JOB_STATUSES },
+            ...(exceptJobId && { jobId: { not: exceptJobId } }),
+        },
+        select: { jobType: true, sourceMetadata: true },
+    });
+
+    return running.reduce((total, job) => {
+        const kind =
+            job.jobType === 'trailer_processing'
+                ? 'process-trailer-hls'
+                : 'transcode-video';
+        // the source is on disk already, only the output is still to come
+        return (
+            total +
+            estimateTranscodeBytes(sourceOf(job), kind) -
+            sourceOf(job).size
+        );
+    }, 0);
+};
+
+/**
+ * @name getDiskUsage
+ * @description Disk usage of the uploads and temp folders, and what running transcodes have reserved
+ * @returns {Promise<{ uploads: DiskStats, temp: DiskStats, reservedBytes: number, minFreeBytes: number }>}
+ */
+export const getDiskUsage = async () => {
+    const [uploads, temp, reserved] = await Promise.all([
+        diskStats(UPLOAD_DIR),
+        diskStats(TEMP_DIR),
+        reservedBytes(),
+    ]);
+    return {
+        uploads,
+        temp,
+        reservedBytes: reserved,
+        minFreeBytes: minFreeBytes(),
+    };
+};
+
+/**
+ * @name assertDiskSpace
+ * @description Throws a 507 unless `bytes` fit in the uploads folder and leave MIN_FREE_DISK_GB free
+ * @param {number} bytes
+ * @returns {Promise<void>}
+ */
+export const assertDiskSpace = async (bytes) => {
+    const { freeBytes } = await diskStats(UPLOAD_DIR);
+    const available = freeBytes - minFreeBytes() - (await reservedBytes());
+    if (bytes > available) {
+        returnError(
+            `Not enough disk space: ${formatFileSize(bytes)} needed, ${formatFileSize(Math.max(available, 0))} available`,
+            507
+        );
+    }
+};
+
+/**
+ * @name uploadQuotaUsage
+ * @description Bytes an admin has in flight: unfinished uploads and sources waiting for or in transcoding
+ * @param {string} ownerId
+ * @returns {Promise<number>}
+ */
+export const uploadQuotaUsage = async (ownerId) => {
+    const [sessions, jobs] = await Promise.all([
+        prisma.uploadSession.findMany({
+            where: { ownerId, status: 'uploading' },
+            select: { totalSize: true },
+        }),
+        prisma.videoProcessingJob.findMany({
+            where: { ownerId, status: { in: PENDING_JOB_STATUSES } },
+            select: { sourceMetadata: true },
+        }),
+    ]);
+
+    return (
+        sessions.reduce((total, { totalSize }) => total + (totalSize ?? 0), 0) +
+        jobs.reduce((total, job) => total + sourceOf(job).size, 0)
+    );
+};
+
+/**
+ * @name admitUpload
+ * @description Accept a new upload only when the disk can hold it and it fits the admin's ADMIN_UPLOAD_QUOTA_GB
+ * @param {string} ownerId
+ * @param {number | null} bytes - unknown for url ingests without a Content-Length
+ * @returns {Promise<void>}
+ */
+export const admitUpload = async (ownerId, bytes) => {
+    await assertDiskSpace(bytes ?? 0);
+
+    const quota = env.ADMIN_UPLOAD_QUOTA_GB * GB;
+    if (!quota) return;
+
+    const used = await uploadQuotaUsage(ownerId);
+    if (used + (bytes ?? 0) > quota) {
+        returnError(
+            `Upload quota exceeded: ${formatFileSize(used)} of ${formatFileSize(quota)} in use, finish or cancel uploads first`,
+            413
+        );
+    }
+};
+
+/**
+ * @name assertTranscodeFits
+ * @description Reject a source whose transcode could never fit on this disk, even with nothing else on it
+ * @param {{ size: number, duration?: number | null }} source
+ * @param {'transcode-video' | 'process-trailer-hls'} [kind]
+ * @returns {Promise<void>}
+ */
+export const assertTranscodeFits = async (source, kind) => {
+    const { totalBytes } = await diskStats(UPLOAD_DIR);
+    const needed = estimateTranscodeBytes(source, kind);
+    if (needed > totalBytes - minFreeBytes()) {
+        returnError(
+            `This file needs about ${formatFileSize(needed)} of disk to transcode, more than the server has`,
+            507
+        );
+    }
+};
+
+/**
+ * @name admitTranscode
+ * @description Whether a queued transcode can start now. The source is already on disk, so only its output
+ * has to fit next to what running transcodes still write.
+ * @param {Object} params
+ * @param {string} params.jobId - the VideoProcessingJob jobId
+ * @param {string} params.filePath
+ * @param {'transcode-video' | 'process-trailer-hls'} params.kind
+ * @returns {Promise<{ admitted: boolean, neededBytes: number, availableBytes: number }>}
+ */
+export const admitTranscode = async ({ jobId, filePath, kind }) => {
+    const record = await prisma.videoProcessingJob.findFirst({
+        where: { jobId },
+        select: { sourceMetadata: true },
+    });
+    const { size } = await fs.promises.stat(filePath);
+    const source = { ...sourceOf(record ?? {}), size };
+
+    const outputDir = kind === 'process-trailer-hls' ? TEMP_DIR : UPLOAD_DIR;
+    const { freeBytes } = await diskStats(outputDir);
+
+    const neededBytes = estimateTranscodeBytes(source, kind) - size;
+    const availableBytes =
+        freeBytes - minFreeBytes() - (await reservedBytes(jobId));
+
+    return {
+        admitted: neededBytes <= availableBytes,
+        neededBytes,
+        availableBytes,
+    };
+};
@@ -0,0 +1,288 @@
+import fs from 'fs';
+import path from 'path';
+import Ffmpeg from 'fluent-ffmpeg';
+import { LOW_BANDWIDTH_LABELS } from '@/utils/renditions.js';
+
+// H.264 crfs every rung is trial encoded at, best quality first
+const TRIAL_CRFS = [19, 22, 25, 28, 31];
+
+// samples spread over the source, a short source is sampled once from its start
+const SAMPLE_COUNT = 3;
+const SAMPLE_SECONDS = 4;
+
+// the score each rung is encoded to, measured against the source scaled to the rung
+const QUALITY_TARGETS = { vmaf: 93, ssim: 0.985 };
+
+// a rung's peaks are capped at this multiple of the average its samples needed, never above this multiple of its
+// nominal bitrate
+const PEAK_RATIO = 1.5;
+
+// a rung whose next rung up needs less than this share more bits is left out, the one above looks better for
+// about the same bandwidth
+const MIN_RUNG_STEP = 1.25;
+
+/**
+ * @typedef {object} EncodingTrial
+ * @property {number} crf
+ * @property {number} bitrate - average kbps over the samples
+ * @property {number} score - average over the samples
+ */
+
+/**
+ * @typedef {object} AnalyzedRung
+ * @property {string} label
+ * @property {number} width
+ * @property {number} height
+ * @property {number} crf - the highest trial crf that reached the target, the lowest when none did
+ * @property {number} score - of the trials at that crf
+ * @property {number} averageBitrate - kbps the samples needed at that crf
+ * @property {number} bitrate - peak kbps the rung is encoded with
+ * @property {boolean} selected - false when the rung above makes it redundant
+ * @property {EncodingTrial[]} trials
+ */
+
+/**
+ * @typedef {object} EncodingAnalysis
+ * @property {'vmaf' | 'ssim'} metric
+ * @property {number} target
+ * @property {number[]} samples - start of each sample in seconds
+ * @property {AnalyzedRung[]} rungs - lowest first
+ * @property {string} analyzedAt
+ */
+
+/**
+ * @name runFfmpeg
+ * @param {import('fluent-ffmpeg').FfmpegCommand} command
+ * @returns {Promise<string>} what ffmpeg logged, filters like ssim report their results there
+ */
+const runFfmpeg = (command) =>
+    new Promise((resolve, reject) => {
+        command
+            .on('end', (stdout, stderr) => resolve(stderr ?? ''))
+            .on('error', reject)
+            .run();
+    });
+
+const METRIC_FILTERS = { vmaf: 'libvmaf', ssim: 'ssim' };
+
+const METRIC_SCORES = {
+    vmaf: /VMAF score\s*[:=]\s*([\d.]+)/,
+    ssim: /All:([\d.]+)/,
+};
+
+/**
+ * @name measureQuality
+ * @description Score two inputs, the first against the second
+ * @param {import('fluent-ffmpeg').FfmpegCommand} command - with both inputs
+ * @param {'vmaf' | 'ssim'} metric
+ * @returns {Promise<number>}
+ */
+const measureQuality = async (command, metric) => {
+    const log = await runFfmpeg(
+        command
+            .complexFilter(
+                `[0:v]setpts=PTS-STARTPTS[trial];[1:v]setpts=PTS-STARTPTS[reference];[trial][reference]${METRIC_FILTERS[metric]}`
+            )
+            .outputOptions(['-f null'])
+            .output('-')
+    );
+
+    const match = METRIC_SCORES[metric].exec(log);
+    if (!match) {
+        throw new Error(`ffmpeg reported no ${metric.toUpperCase()} score`);
+    }
+    return Number(match[1]);
+};
+
+let metricOf = null;
+
+/**
+ * @name qualityMetric
+ * @description VMAF when ffmpeg's libvmaf scores a test pattern, SSIM otherwise. Builds with libvmaf can
+ * still lack its model.
+ * @returns {Promise<'vmaf' | 'ssim'>}
+ */
+const qualityMetric = () => {
+    const pattern = 'testsrc=size=64x64:rate=5:duration=1';
+    metricOf ??= measureQuality(
+        Ffmpeg()
+            .input(pattern)
+            .inputFormat('lavfi')
+            .input(pattern)
+            .inputFormat('lavfi'),
+        'vmaf'
+    ).then(
+        () => 'vmaf',
+        () => 'ssim'
+    );
+    return metricOf;
+};
+
+/**
+ * @name sampleStarts
+ * @param {number} duration - seconds
+ * @returns {number[]}
+ */
+const sampleStarts = (duration) => {
+    if (!(duration > SAMPLE_SECONDS * SAMPLE_COUNT * 2)) return [0];
+
+    return Array.from({ length: SAMPLE_COUNT }, (_, i) =>
+        Math.floor((duration * (i + 1)) / (SAMPLE_COUNT + 1))
+    );
+};
+
+/**
+ * @name encodeReference
+ * @description A losslessly encoded sample of the source at a rung's size, what its trials are scored against
+ */
+const encodeReference = (filePath, referencePath, start, rung) =>
+    runFfmpeg(
+        Ffmpeg(filePath)
+            .seekInput(start)
+            .duration(SAMPLE_SECONDS)
+            .outputOptions([
+                '-map 0:v:0',
+                '-an',
+                '-sn',
+                `-vf scale=${rung.width}:${rung.height},setsar=1`,
+                '-c:v libx264',
+                '-preset ultrafast',
+                '-qp 0',
+                '-pix_fmt yuv420p',
+            ])
+            .output(referencePath)
+    );
+
+/**
+ * @name encodeTrial
+ * @description Encode a reference the way the HLS rendition is encoded, without the bitrate cap
+ */
+const encodeTrial = (referencePath, trialPath, crf) =>
+    runFfmpeg(
+        Ffmpeg(referencePath)
+            .outputOptions([
+                '-c:v libx264',
+                '-preset fast',
+                `-crf ${crf}`,
+                '-pix_fmt yuv420p',
+            ])
+            .output(trialPath)
+    );
+
+/**
+ * @name analyzeRung
+ * @returns {Promise<EncodingTrial[]>}
+ */
+const analyzeRung = async (filePath, workDir, rung, starts, metric) => {
+    const totals = TRIAL_CRFS.map((crf) => ({ crf, bits: 0, score: 0 }));
+    let seconds = 0;
+
+    for (const [sample, start] of starts.entries()) {
+        const referencePath = path.join(
+            workDir,
+            `${rung.label}_${sample}_reference.mkv`
+        );
+        await encodeReference(filePath, referencePath, start, rung);
+
+        const info = await new Promise((resolve, reject) => {
+            Ffmpeg(referencePath).ffprobe((err, data) =>
+                err ? reject(err) : resolve(data)
+            );
+        });
+        seconds += Number(info.format?.duration) || SAMPLE_SECONDS;
+
+        for (const total of totals) {
+            const trialPath = path.join(
+                workDir,
+                `${rung.label}_${sample}_crf${total.crf}.mp4`
+            );
+            await encodeTrial(referencePath, trialPath, total.crf);
+
+            total.bits += (await fs.promises.stat(trialPath)).size * 8;
+            total.score += await measureQuality(
+                Ffmpeg(trialPath).input(referencePath),
+                metric
+            );
+            await fs.promises.rm(trialPath, { force: true });
+        }
+        await fs.promises.rm(referencePath, { force: true });
+    }
+
+    return totals.map(({ crf, bits, score }) => ({
+        crf,
+        bitrate: Math.round(bits / seconds / 1000),
+        score: Number((score / starts.length).toFixed(4)),
+    }));
+};
+
+/**
+ * @name analyzeEncoding
+ * @description Per-title encoding. Trial encode samples of the source at every rung and a range of crfs,
+ * score them with VMAF or SSIM, and pick for each rung the highest crf that reaches the target score and
+ * the bitrate it needed. Rungs the rung above them makes redundant are left out. An animated short ends up
+ * with a high crf and few bits, a grainy dark drama with a lower crf and more.
+ * @param {string} filePath - the source
+ * @param {string} workDir - removed when the analysis is done
+ * @param {import('@/utils/renditions.js').Rendition[]} rungs - the H.264 ladder, lowest first
+ * @param {number} duration - of the source, seconds
+ * @returns {Promise<EncodingAnalysis>}
+ */
+export const analyzeEncoding = async (filePath, workDir, rungs, duration) => {
+    const metric = await qualityMetric();
+    const target = QUALITY_TARGETS[metric];
+    const starts = sampleStarts(duration);
+
+    await fs.promises.mkdir(workDir, { recursive: true });
+    try {
+        const analyzed = [];
+        for (const rung of rungs) {
+            console.log(
+                `🔬 Trial encoding ${rung.label} at crf ${TRIAL_CRFS.join(', ')}...`
+            );
+            const trials = await analyzeRung(
+                filePath,
+                workDir,
+                rung,
+                starts,
+                metric
+            );
+
+            const chosen =
+                trials.findLast(({ score }) => score >= target) ?? trials[0];
+            analyzed.push({
+                label: rung.label,
+                width: rung.width,
+                height: rung.height,
+                crf: chosen.crf,
+                score: chosen.score,
+                averageBitrate: chosen.bitrate,
+                bitrate: Math.round(
+                    Math.min(chosen.bitrate, rung.bitrate) * PEAK_RATIO
+                ),
+                selected: true,
+                trials,
+            });
+        }
+
+        analyzed.forEach((rung, i) => {
+            const above = analyzed[i + 1];
+            if (
+                above &&
+                !LOW_BANDWIDTH_LABELS.includes(rung.label) &&
+                above.averageBitrate < rung.averageBitrate * MIN_RUNG_STEP
+            ) {
+                rung.selected = false;
+            }
+        });
+
+        return {
+            metric,
+            target,
+            samples: starts,
+            rungs: analyzed,
+            analyzedAt: new Date().toISOString(),
+        };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
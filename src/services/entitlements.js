@@ -0,0 +1,212 @@
+import prisma from '@/utils/db.mjs';
+import { addDays, addWeeks, addMonths, addYears, isValid } from 'date-fns';
+import { LOW_BANDWIDTH_LABELS } from '@/utils/renditions.js';
+
+/**
+ * @name getActiveSubscription
+ * @description Fetch the user's subscription if it is ACTIVE and still inside the paid period.
+ * `nextPayment` marks the end of the period that has been paid for, so a subscription
+ * without one (or with one in the past) does not grant access.
+ * @param {string} userId
+ * @returns {Promise<import('@prisma/client').subscription | null>}
+ */
+export const getActiveSubscription = async (userId) => {
+    if (!userId) return null;
+
+    const subscription = await prisma.subscription.findUnique({
+        where: { userId },
+        include: { plan: true },
+    });
+
+    if (!subscription || subscription.status !== 'ACTIVE') return null;
+    if (!subscription.nextPayment) return null;
+    if (new Date(subscription.nextPayment) <= new Date()) return null;
+
+    return subscription;
+};
+
+/**
+ * @name calculateNextPaymentDate
+ * @description Function to calculate the next payment date
+ * @param {import('@prisma/client').DurationUnit} duration
+ * @param {Date} startDate
+ * @returns
+ */
+function calculateNextPaymentDate(duration, startDate) {
+    if (!isValid(startDate)) throw new Error('Invalid date');
+    if (duration === 'DAY') {
+        return addDays(startDate, 1);
+    }
+    if (duration === 'WEEK') {
+        return addWeeks(startDate, 1);
+    }
+    if (duration === 'MONTH') {
+        return addMonths(startDate, 1);
+    }
+    if (duration === 'YEAR') {
+        return addYears(startDate, 1);
+    }
+}
+
+/**
+ * @name paidPeriod
+ * @description The subscription fields to write once a payment for it is confirmed. A payment made
+ * while the subscription is still inside a paid period extends that period instead of replacing it.
+ * @param {import('@prisma/client').subscription & { plan: import('@prisma/client').subscriptionPlan }} subscription
+ * @param {Date} [paidAt]
+ * @returns {{ status: 'ACTIVE', previousPayment: Date, nextPayment: Date }}
+ */
+export const paidPeriod = (subscription, paidAt = new Date()) => {
+    const periodEnd = subscription.nextPayment
+        ? new Date(subscription.nextPayment)
+        : null;
+    const startDate =
+        subscription.status === 'ACTIVE' && periodEnd > paidAt
+            ? periodEnd
+            : paidAt;
+
+    return {
+        status: 'ACTIVE',
+        previousPayment: paidAt,
+        nextPayment: calculateNextPaymentDate(
+            subscription.plan.duration,
+            startDate
+        ),
+    };
+};
+
+/**
+ * @name resolveStreamingAccess
+ * @description Single entitlement check for streaming a film, season or episode.
+ * Access is granted, in order of precedence, by free content, an active subscription
+ * or a valid unexpired purchase of the resource (or of the episode's season).
+ * @param {Object} params
+ * @param {string} params.userId - the viewer
+ * @param {string} [params.access] - the `access` value of the film/season ("free" | "rent")
+ * @param {Array<{valid: boolean, expiresAt: Date, resolutions: string[]}>} [params.purchases] - purchases of the resource
+ * @returns {Promise<{
+ *   hasAccess: boolean,
+ *   isFree: boolean,
+ *   source: 'free' | 'subscription' | 'purchase' | null,
+ *   resolutions: string[] | null,
+ *   subscription: Object | null,
+ *   purchase: Object | null
+ * }>} `resolutions` is null when every resolution is available, otherwise the lowercased purchased ones
+ */
+export const resolveStreamingAccess = async ({
+    userId,
+    access,
+    purchases = [],
+}) => {
+    const entitlement = {
+        hasAccess: false,
+        isFree: access === 'free',
+        source: null,
+        resolutions: [],
+        subscription: null,
+        purchase: null,
+    };
+
+    if (entitlement.isFree) {
+        return {
+            ...entitlement,
+            hasAccess: true,
+            source: 'free',
+            resolutions: null,
+        };
+    }
+
+    const subscription = await getActiveSubscription(userId);
+    if (subscription) {
+        return {
+            ...entitlement,
+            hasAccess: true,
+            source: 'subscription',
+            resolutions: null,
+            subscription,
+        };
+    }
+
+    const now = new Date();
+    const purchase = purchases.find(
+        (p) => p.valid && new Date(p.expiresAt) > now
+    );
+    if (purchase) {
+        const purchased = Array.isArray(purchase.resolutions)
+            ? purchase.resolutions
+            : [];
+
+        return {
+            ...entitlement,
+            hasAccess: true,
+            source: 'purchase',
+            // purchases made before the 240p/360p rungs existed don't list them, an empty list still means all
+            resolutions:
+                purchased.length > 0
+                    ? [
+                          ...new Set(
+                              [...LOW_BANDWIDTH_LABELS, ...purchased].map((r) =>
+                                  r.toLowerCase()
+                              )
+                          ),
+                      ]
+                    : [],
+            purchase,
+        };
+    }
+
+    return entitlement;
+};
+
+/**
+ * @name resolveResourceAccess
+ * @description `resolveStreamingAccess` for a resource id, which may be a film, an episode (entitled
+ * through its season) or a season, the same lookup the streaming urls route does.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.resourceId
+ * @returns {Promise<Awaited<ReturnType<typeof resolveStreamingAccess>> | null>} null when the resource doesn't exist
+ */
+export const resolveResourceAccess = async ({ userId, resourceId }) => {
+    const purchase = {
+        where: { userId, valid: true, expiresAt: { gt: new Date() } },
+    };
+
+    const film = await prisma.film.findUnique({
+        where: { id: resourceId },
+        select: { access: true, purchase },
+    });
+    if (film) {
+        return resolveStreamingAccess({
+            userId,
+            access: film.access,
+            purchases: film.purchase,
+        });
+    }
+
+    const episode = await prisma.episode.findUnique({
+        where: { id: resourceId },
+        select: { season: { select: { access: true, purchase } } },
+    });
+    if (episode) {
+        return resolveStreamingAccess({
+            userId,
+            access: episode.season?.access,
+            purchases: episode.season?.purchase,
+        });
+    }
+
+    const season = await prisma.season.findUnique({
+        where: { id: resourceId },
+        select: { access: true, purchase },
+    });
+    if (season) {
+        return resolveStreamingAccess({
+            userId,
+            access: season.access,
+            purchases: season.purchase,
+        });
+    }
+
+    return null;
+};
@@ -0,0 +1,436 @@
+import fs from 'fs';
+import path from 'path';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { Queue, Worker, UnrecoverableError } from 'bullmq';
+import { GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import prisma from '@/utils/db.mjs';
+import { io } from '@/utils/sockets.js';
+import { returnError } from '@/utils/returnError.js';
+import { verifyFileChecksum } from '@/utils/checksum.js';
+import { broadcastProgress } from '@/utils/broadcastProgress.js';
+import ChunkService from '@/services/chunkService.js';
+import { UPLOAD_DIR } from '@/services/multer.js';
+import { ingestS3Client } from '@/services/s3.js';
+import { redisConnection } from '@/services/redisClient.js';
+import { queueVideoTranscode } from '@/services/videoJobs.js';
+
+export const INGEST_DIR = path.join(UPLOAD_DIR, 'ingest');
+export const INGEST_MAX_SIZE = 50 * 1024 ** 3;
+// a download that hasn't finished by then is given up on, see services/janitor.js
+export const INGEST_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+// how often a running download reports its progress and checks it wasn't cancelled
+const PROGRESS_INTERVAL_MS = 2000;
+
+/**
+ * @typedef {{ type: 's3', bucket: string, key: string } | { type: 'url', url: string }} IngestSource
+ */
+
+const MAX_REDIRECTS = 5;
+
+// addresses a source url may not reach: this host, private networks, link-local (the cloud metadata
+// service at 169.254.169.254 included), carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], // unspecified and loopback
+    ['::ffff:0:0', 96], // ipv4-mapped
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) =>
+    PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const privateAddressError = () => {
+    const error = new Error('Source url must point to a public host');
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * @name publicLookup
+ * @description `dns.lookup` for source requests that refuses hosts resolving to a private address. It runs
+ * when the connection is made, so a host can't pass a check and then resolve somewhere else.
+ * @type {typeof dns.lookup}
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(privateAddressError());
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * @name requestSource
+ * @description Request a source url, following redirects. Every hop is checked to be http(s) and to point
+ * at a public host.
+ * @param {string} url
+ * @param {'GET' | 'HEAD'} [method]
+ * @param {number} [redirects] - hops left
+ * @returns {Promise<{ response: import('http').IncomingMessage, url: string }>}
+ */
+const requestSource = async (url, method = 'GET', redirects = MAX_REDIRECTS) => {
+    const target = new URL(url);
+    if (!['http:', 'https:'].includes(target.protocol)) {
+        returnError('Source url should be http or https', 400);
+    }
+    // connecting to an ip skips the lookup
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isPrivateAddress(host)) throw privateAddressError();
+
+    const response = await new Promise((resolve, reject) => {
+        const client = target.protocol === 'https:' ? https : http;
+        client
+            .request(target, { method, lookup: publicLookup }, resolve)
+            .on('error', reject)
+            .end();
+    });
+
+    const location = response.headers.location;
+    if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+        response.resume();
+        if (redirects === 0) returnError('Source url redirects too many times', 400);
+        return requestSource(new URL(location, target).href, method, redirects - 1);
+    }
+
+    return { response, url: target.href };
+};
+
+/**
+ * @name sourceToString
+ * @description How a source is stored on its upload session
+ * @param {IngestSource} source
+ * @returns {string}
+ */
+export const sourceToString = (source) =>
+    source.type === 's3' ? `s3://${source.bucket}/${source.key}` : source.url;
+
+const sourceFromString = (value) => {
+    const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(value);
+    return match
+        ? { type: 's3', bucket: match[1], key: match[2] }
+        : { type: 'url', url: value };
+};
+
+/**
+ * @name describeSource
+ * @description Check a source exists before queueing it and read its name and size
+ * @param {IngestSource} source
+ * @returns {Promise<{ fileName: string, totalSize: number | null }>}
+ */
+export const describeSource = async (source) => {
+    let totalSize = null;
+    let fileName;
+
+    if (source.type === 's3') {
+        try {
+            const head = await ingestS3Client.send(
+                new HeadObjectCommand({ Bucket: source.bucket, Key: source.key })
+            );
+            totalSize = head.ContentLength ?? null;
+        } catch (error) {
+            const status = error.$metadata?.httpStatusCode;
+            if (status === 404) returnError('Source object was not found', 404);
+            if (status === 403) returnError('Source object is not readable with the ingest credentials', 400);
+            throw error;
+        }
+        fileName = path.posix.basename(source.key);
+    } else {
+        let response;
+        let url;
+        try {
+            ({ response, url } = await requestSource(source.url, 'HEAD'));
+            response.resume();
+        } catch (error) {
+            if (error.statusCode) throw error;
+            returnError('Source url could not be reached', 400);
+        }
+        // some servers don't answer HEAD, the download will tell. what they answered isn't passed on,
+        // the url may point anywhere
+        const ok = response.statusCode >= 200 && response.statusCode < 300;
+        if (!ok && response.statusCode !== 405) {
+            returnError('Source url could not be downloaded', 400);
+        }
+        const length = Number(response.headers['content-length']);
+        totalSize = ok && length > 0 ? length : null;
+        try {
+            fileName = decodeURIComponent(path.posix.basename(new URL(url).pathname));
+        } catch (error) {
+            returnError('Source url has a malformed file name', 400);
+        }
+    }
+
+    if (totalSize !== null && totalSize > INGEST_MAX_SIZE) {
+        returnError('Source is too large', 413);
+    }
+
+    return { fileName, totalSize };
+};
+
+/**
+ * @name openSource
+ * @param {IngestSource} source
+ * @returns {Promise<Readable>}
+ */
+const openSource = async (source) => {
+    if (source.type === 's3') {
+        const object = await ingestS3Client.send(
+            new GetObjectCommand({ Bucket: source.bucket, Key: source.key })
+        );
+        return object.Body;
+    }
+
+    const { response } = await requestSource(source.url);
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        const error = new Error('Source url could not be downloaded');
+        // a missing or forbidden file won't appear on a retry
+        if (response.statusCode >= 400 && response.statusCode < 500) error.statusCode = 400;
+        throw error;
+    }
+    return response;
+};
+
+/**
+ * @name downloadSource
+ * @description Stream the source to disk, reporting progress on `uploadProgress`
+ * and stopping once the session is no longer uploading
+ * @param {import('@prisma/client').uploadSession} session
+ * @param {string} destination
+ * @returns {Promise<number>} bytes received
+ */
+const downloadSource = async (session, destination) => {
+    const body = await openSource(sourceFromString(session.source));
+
+    let received = 0;
+    let reportedAt = 0;
+
+    const report = async () => {
+        const current = await prisma.uploadSession.findUnique({
+            where: { id: session.id },
+            select: { status: true },
+        });
+        if (current?.status !== 'uploading') {
+            throw new UnrecoverableError(`Ingest was ${current?.status ?? 'removed'}`);
+        }
+
+        await prisma.uploadSession.update({
+            where: { id: session.id },
+            data: { receivedSize: received },
+        });
+
+        if (session.clientId) {
+            broadcastProgress({
+                clientId: session.clientId,
+                progress: session.totalSize
+                    ? Math.floor((received / session.totalSize) * 100)
+                    : 0,
+                content: {
+                    type: 'ingest',
+                    stage: 'downloading',
+                    uploadId: session.id,
+                    fileName: session.fileName,
+                    receivedSize: received,
+                    totalSize: session.totalSize,
+                },
+            });
+        }
+    };
+
+    const counter = new Transform({
+        transform(data, _, callback) {
+            received += data.length;
+            if (received > (session.totalSize ?? INGEST_MAX_SIZE)) {
+                callback(new UnrecoverableError('Source is larger than announced'));
+                return;
+            }
+
+            const now = Date.now();
+            if (now - reportedAt < PROGRESS_INTERVAL_MS) {
+                callback(null, data);
+                return;
+            }
+            reportedAt = now;
+            // hold the chunk until the report is in, so a cancellation stops the stream
+            report().then(() => callback(null, data), callback);
+        },
+    });
+
+    await pipeline(body, counter, fs.createWriteStream(destination));
+
+    if (session.totalSize !== null && received !== session.totalSize) {
+        throw new Error(`Received ${received} bytes, expected ${session.totalSize}`);
+    }
+    return received;
+};
+
+/**
+ * @name ingestSource
+ * @description Download an ingest session's source and hand it to the `transcode-video` queue
+ * @param {string} uploadId
+ * @returns {Promise<{ jobId: string } | null>} null when the session was cancelled before it started
+ */
+const ingestSource = async (uploadId) => {
+    const session = await prisma.uploadSession.findUnique({ where: { id: uploadId } });
+    if (session?.protocol !== 'ingest' || session.status !== 'uploading') return null;
+
+    const received = path.join(INGEST_DIR, session.id);
+    const { filename, ext } = new ChunkService().formatFileName(session.fileName);
+    const filePath = path.join(UPLOAD_DIR, `${filename}-${session.id}.${ext}`);
+
+    try {
+        await fs.promises.mkdir(INGEST_DIR, { recursive: true });
+        const receivedSize = await downloadSource(session, received);
+
+        await verifyFileChecksum(
+            received,
+            session.checksum
+                ? { algorithm: session.checksumAlgorithm, value: session.checksum }
+                : null
+        );
+        await fs.promises.rename(received, filePath);
+
+        const { jobId } = await queueVideoTranscode({
+            type: session.resourceType,
+            resourceId: session.resourceId,
+            fileName: session.fileName,
+            filePath,
+            clientId: session.clientId,
+            ownerId: session.ownerId,
+        });
+
+        await prisma.uploadSession.update({
+            where: { id: session.id },
+            data: {
+                status: 'completed',
+                completedAt: new Date(),
+                filePath,
+                receivedSize,
+                totalSize: receivedSize,
+                processingJobId: jobId,
+            },
+        });
+
+        if (session.clientId) {
+            broadcastProgress({
+                clientId: session.clientId,
+                progress: 100,
+                content: {
+                    type: 'ingest',
+                    stage: 'queued',
+                    uploadId: session.id,
+                    fileName: session.fileName,
+                    jobId,
+                },
+            });
+        }
+
+        return { jobId };
+    } catch (error) {
+        await fs.promises.rm(received, { force: true });
+        await fs.promises.rm(filePath, { force: true });
+        // bad input (checksum, probe, missing resource) fails the same way every time
+        if (error.statusCode >= 400 && error.statusCode < 500) {
+            throw new UnrecoverableError(error.message);
+        }
+        throw error;
+    }
+};
+
+const ingestQueue = new Queue('ingest', {
+    connection: { ...redisConnection, maxRetriesPerRequest: null },
+});
+
+const ingestWorker = new Worker(
+    'ingest',
+    async (job) => {
+        console.log(`Ingesting upload session ${job.data.uploadId}, attempt ${job.attemptsMade + 1}`);
+        return ingestSource(job.data.uploadId);
+    },
+    // downloads are network bound, but every one of them lands on the same disk
+    { connection: { ...redisConnection, maxRetriesPerRequest: null }, concurrency: 2 }
+);
+
+ingestWorker.on('failed', async (job, err) => {
+    if (!job) return;
+    const finalAttempt =
+        err instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts ?? 1);
+    console.log(`Ingest job ${job.id} failed with error ${err.message}`);
+    if (!finalAttempt) return;
+
+    try {
+        // a cancelled or expired session keeps its status
+        const { count } = await prisma.uploadSession.updateMany({
+            where: { id: job.data.uploadId, status: 'uploading' },
+            data: { status: 'failed', failedReason: err.message },
+        });
+        if (count && job.data.clientId) {
+            io.to(job.data.clientId).emit('JobFailed', {
+                message: `Ingest of ${job.data.fileName} failed: ${err.message}`,
+            });
+        }
+    } catch (dbError) {
+        console.warn(`⚠️ Could not mark ingest ${job.data.uploadId} as failed:`, dbError.message);
+    }
+});
+
+/**
+ * @name queueIngest
+ * @param {import('@prisma/client').uploadSession} session - an ingest session
+ * @returns {Promise<void>}
+ */
+export const queueIngest = async (session) => {
+    await ingestQueue.add(
+        'ingest-source',
+        { uploadId: session.id, fileName: session.fileName, clientId: session.clientId },
+        {
+            jobId: `ingest_${session.id}`,
+            attempts: 3,
+            backoff: { type: 'exponential', delay: 30000 },
+            removeOnComplete: 50,
+            removeOnFail: 50,
+        }
+    );
+};
+
+/**
+ * @name dequeueIngest
+ * @description Drop a waiting ingest job, a running one stops at its next progress check
+ * @param {string} uploadId
+ * @returns {Promise<void>}
+ */
+export const dequeueIngest = async (uploadId) => {
+    try {
+        const job = await ingestQueue.getJob(`ingest_${uploadId}`);
+        if (job && (await job.isWaiting() || await job.isDelayed())) {
+            await job.remove();
+        }
+    } catch (error) {
+        console.warn(`⚠️ Could not remove ingest job for ${uploadId}:`, error.message);
+    }
+};
+
+export { ingestQueue, ingestWorker };
@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+import prisma from '@/utils/db.mjs';
+import { env } from '@/env.mjs';
+import ChunkService from '@/services/chunkService.js';
+import { UPLOAD_DIR } from '@/services/multer.js';
+
+const TEMP_TRAILER_DIR = path.join(process.cwd(), 'temp', 'trailer_processing');
+const SESSIONS_DIR = path.join(UPLOAD_DIR, 'sessions');
+const TUS_DIR = path.join(UPLOAD_DIR, 'tus');
+const INGEST_DIR = path.join(UPLOAD_DIR, 'ingest');
+const SUBTITLES_DIR = path.join(UPLOAD_DIR, 'subtitles');
+
+// folders under uploads/ that are scanned on their own
+const RESERVED_DIRS = ['sessions', 'tus', 'ingest', 'subtitles'];
+
+// jobs in these states may still read or write their files
+const ACTIVE_JOB_STATUSES = ['waiting', 'queued', 'delayed', 'active', 'processing'];
+
+/**
+ * @typedef {object} JanitorItem
+ * @property {string} path - relative to the working directory
+ * @property {'upload-session' | 'tus-upload' | 'ingest-download' | 'chunk-folder' | 'trailer-temp' | 'hls-output' | 'master-playlist' | 'subtitles' | 'master-file'} kind
+ * @property {string} reason
+ * @property {number} bytes
+ * @property {string} modifiedAt
+ */
+
+/**
+ * @typedef {object} JanitorReport
+ * @property {boolean} dryRun
+ * @property {number} maxAgeHours - untracked files younger than this are left alone
+ * @property {string} startedAt
+ * @property {string} finishedAt
+ * @property {number} expiredSessions - upload sessions past their expiry that were (or would be) marked expired
+ * @property {JanitorItem[]} items - what was (or would be) deleted
+ * @property {number} totalBytes
+ * @property {{ path: string, message: string }[]} errors
+ */
+
+const readDir = async (dir) => {
+    try {
+        return await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+};
+
+/**
+ * @name inspectPath
+ * @description Size on disk and the most recent modification of a file or folder
+ * @param {string} target
+ * @returns {Promise<{ bytes: number, modifiedAt: Date }>}
+ */
+const inspectPath = async (target) => {
+    const stats = await fs.promises.stat(target);
+    if (!stats.isDirectory()) {
+        return { bytes: stats.size, modifiedAt: stats.mtime };
+    }
+
+    let bytes = 0;
+    let modifiedAt = stats.mtime;
+    for (const entry of await readDir(target)) {
+        const child = await inspectPath(path.join(target, entry.name));
+        bytes += child.bytes;
+        if (child.modifiedAt > modifiedAt) modifiedAt = child.modifiedAt;
+    }
+    return { bytes, modifiedAt };
+};
+
+/**
+ * @name loadActiveReferences
+ * @description The files and base filenames that unfinished processing and upload jobs still depend on
+ * @returns {Promise<{ paths: Set<string>, filenames: Set<string> }>}
+ */
+const loadActiveReferences = async () => {
+    const chunkService = new ChunkService();
+    const paths = new Set();
+    const filenames = new Set();
+
+    const [processingJobs, uploadJobs] = await Promise.all([
+        prisma.videoProcessingJob.findMany({
+            where: { status: { in: ACTIVE_JOB_STATUSES } },
+            select: { fileName: true, filePath: true },
+        }),
+        prisma.uploadJob.findMany({
+            where: { status: { in: ACTIVE_JOB_STATUSES } },
+            select: {
+                filename: true,
+                hlsDir: true,
+                masterPlaylistPath: true,
+                subtitlePath: true,
+            },
+        }),
+    ]);
+
+    for (const job of processingJobs) {
+        if (job.filePath) paths.add(path.resolve(job.filePath));
+        // trailer jobs store the already formatted name
+        filenames.add(chunkService.formatFileName(job.fileName).filename);
+        filenames.add(job.fileName);
+    }
+
+    for (const job of uploadJobs) {
+        for (const file of [job.hlsDir, job.masterPlaylistPath, job.subtitlePath]) {
+            if (file) paths.add(path.resolve(file));
+        }
+        if (job.filename) filenames.add(job.filename);
+    }
+
+    return { paths, filenames };
+};
+
+/**
+ * @name isReferenced
+ * @description Whether an entry under uploads/ belongs to one of the active filenames,
+ * e.g. `hls_HD_<filename>`, `master_<filename>.m3u8` or `<filename>-<uploadId>.mp4`
+ * @param {string} name
+ * @param {Set<string>} filenames
+ * @returns {boolean}
+ */
+const isReferenced = (name, filenames) => {
+    for (const filename of filenames) {
+        if (
+            name === filename ||
+            name === `master_${filename}.m3u8` ||
+            name.startsWith(`${filename}.`) ||
+            name.startsWith(`${filename}-`) ||
+            (name.startsWith('hls_') && name.endsWith(`_${filename}`))
+        ) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * @name collectGarbage
+ * @description Remove what failed or abandoned uploads and transcodes leave on disk: upload sessions that are
+ * finished, cancelled or expired, legacy chunk folders, `temp/trailer_processing` folders, HLS output, master
+ * playlists, subtitles and combined master files that no active job references. Anything not tied to a session
+ * is only touched once it has been left alone for `JANITOR_MAX_AGE_HOURS`.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - report without deleting or updating anything
+ * @returns {Promise<JanitorReport>}
+ */
+export const collectGarbage = async ({ dryRun = false } = {}) => {
+    const startedAt = new Date();
+    const maxAgeHours = env.JANITOR_MAX_AGE_HOURS;
+    const staleBefore = new Date(startedAt.getTime() - maxAgeHours * 60 * 60 * 1000);
+
+    /** @type {JanitorReport} */
+    const report = {
+        dryRun,
+        maxAgeHours,
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        expiredSessions: 0,
+        items: [],
+        totalBytes: 0,
+        errors: [],
+    };
+
+    const remove = async (target, kind, reason) => {
+        const relativePath = path.relative(process.cwd(), target);
+        try {
+            const { bytes, modifiedAt } = await inspectPath(target);
+            if (!dryRun) {
+                await fs.promises.rm(target, { recursive: true, force: true });
+            }
+            report.items.push({
+                path: relativePath,
+                kind,
+                reason,
+                bytes,
+                modifiedAt: modifiedAt.toISOString(),
+            });
+            report.totalBytes += bytes;
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            report.errors.push({ path: relativePath, message: error.message });
+        }
+    };
+
+    const isStale = async (target) => {
+        try {
+            const { modifiedAt } = await inspectPath(target);
+            return modifiedAt < staleBefore;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    };
+
+    // upload sessions past their expiry
+    const expired = await prisma.uploadSession.findMany({
+        where: { status: 'uploading', expiresAt: { lt: startedAt } },
+        select: { id: true },
+    });
+    report.expiredSessions = expired.length;
+    if (!dryRun && expired.length) {
+        await prisma.uploadSession.updateMany({
+            where: { id: { in: expired.map(({ id }) => id) } },
+            data: { status: 'expired' },
+        });
+    }
+    const expiredIds = new Set(expired.map(({ id }) => id));
+
+    // session chunks, tus files and ingest downloads, decided by their session record
+    for (const [dir, kind] of [
+        [SESSIONS_DIR, 'upload-session'],
+        [TUS_DIR, 'tus-upload'],
+        [INGEST_DIR, 'ingest-download'],
+    ]) {
+        const entries = await readDir(dir);
+        // a tus upload can have a `<id>.part` next to it while a checksummed PATCH is verified
+        const ids = [...new Set(entries.map(({ name }) => name.split('.')[0]))];
+        const sessions = await prisma.uploadSession.findMany({
+            where: { id: { in: ids.filter((id) => /^[a-f\d]{24}$/i.test(id)) } },
+            select: { id: true, status: true },
+        });
+        const statuses = new Map(sessions.map(({ id, status }) => [id, status]));
+
+        for (const { name } of entries) {
+            const target = path.join(dir, name);
+            const id = name.split('.')[0];
+            const status = expiredIds.has(id) ? 'expired' : statuses.get(id);
+
+            if (status === 'uploading') continue;
+            if (status) {
+                await remove(target, kind, `upload session is ${status}`);
+            } else if (await isStale(target)) {
+                await remove(target, kind, 'no upload session');
+            }
+        }
+    }
+
+    const { paths, filenames } = await loadActiveReferences();
+
+    // folders the trailer worker works in, each holds a single hls_trailer_<filename> output
+    for (const { name } of await readDir(TEMP_TRAILER_DIR)) {
+        const target = path.join(TEMP_TRAILER_DIR, name);
+        const outputs = await readDir(target);
+        if (outputs.some((output) => isReferenced(output.name, filenames))) continue;
+        if (await isStale(target)) {
+            await remove(target, 'trailer-temp', 'trailer processing folder left behind');
+        }
+    }
+
+    for (const { name } of await readDir(SUBTITLES_DIR)) {
+        const target = path.join(SUBTITLES_DIR, name);
+        if (paths.has(target) || filenames.has(name)) continue;
+        if (await isStale(target)) {
+            await remove(target, 'subtitles', 'no active job uses these subtitles');
+        }
+    }
+
+    for (const entry of await readDir(UPLOAD_DIR)) {
+        const { name } = entry;
+        const target = path.join(UPLOAD_DIR, name);
+
+        if (RESERVED_DIRS.includes(name) || name.startsWith('.')) continue;
+        if (paths.has(target) || isReferenced(name, filenames)) continue;
+        if (!(await isStale(target))) continue;
+
+        if (entry.isDirectory()) {
+            if (name.startsWith('hls_')) {
+                await remove(target, 'hls-output', 'no active job uses this HLS output');
+            } else {
+                await remove(target, 'chunk-folder', 'chunked upload was never combined');
+            }
+        } else if (name.startsWith('master_') && name.endsWith('.m3u8')) {
+            await remove(target, 'master-playlist', 'no active job uses this playlist');
+        } else {
+            await remove(target, 'master-file', 'no active job uses this file');
+        }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    return report;
+};
@@ -0,0 +1,464 @@
+import fs from 'fs';
+import path from 'path';
+import prisma from '@/utils/db.mjs';
+import { RENDITIONS, renditionKey } from '@/utils/renditions.js';
+import { uploadToBucket } from '@/services/s3.js';
+import { probeMedia } from '@/services/mediaProbe.js';
+import { keyPrefixOf } from '@/services/masterVersions.js';
+
+// RFC 6381 avc1.PPCCLL, profile_idc and the constraint flags x264 writes for each profile, the level is appended
+const AVC_PROFILES = {
+    'Constrained Baseline': '42e0',
+    Baseline: '42c0',
+    Main: '4d40',
+    High: '6400',
+    'High 10': '6e00',
+    'High 4:2:2': '7a00',
+    'High 4:4:4 Predictive': 'f400',
+};
+
+// RFC 6381 hvc1.<profile space+idc>.<compatibility flags>, the tier, level and constraint flags are appended
+const HEVC_PROFILES = {
+    Main: '1.6',
+    'Main 10': '2.4',
+};
+
+const AAC_PROFILES = {
+    LC: 'mp4a.40.2',
+    'HE-AAC': 'mp4a.40.5',
+    'HE-AACv2': 'mp4a.40.29',
+};
+
+const AUDIO_CODECS = {
+    mp3: 'mp4a.40.34',
+    ac3: 'ac-3',
+    eac3: 'ec-3',
+};
+
+/**
+ * @typedef {object} Variant
+ * @property {string} uri - the rendition's playlist, relative to the master
+ * @property {number} bandwidth - peak bits per second of any segment
+ * @property {number | null} averageBandwidth - bits per second over the whole rendition
+ * @property {number} width
+ * @property {number} height
+ * @property {number | null} frameRate
+ * @property {string | null} codecs - e.g. "avc1.64001f,mp4a.40.2"
+ * @property {{ language: string | null, channels: number | null } | null} audio - the audio muxed into the segments
+ */
+
+/**
+ * @typedef {import('@/utils/renditions.js').AudioRendition & {
+ *     uri: string,
+ *     dir: string,
+ *     bandwidth: number,
+ *     averageBandwidth: number | null,
+ *     codecs: string | null,
+ * }} AudioVariant an audio rendition as packaged, `dir` is its folder in the bucket
+ */
+
+/**
+ * @typedef {object} SubtitleTrack
+ * @property {string} language
+ * @property {string} name
+ * @property {string} uri - relative to the master
+ */
+
+/**
+ * @name codecOf
+ * @description RFC 6381 name of a probed stream for the CODECS attribute, null when it isn't known
+ * @param {'video' | 'audio'} kind
+ * @param {object | null} stream - a MediaInfo video or audio track
+ * @returns {string | null}
+ */
+export const codecOf = (kind, stream) => {
+    if (!stream) return null;
+
+    if (kind === 'video') {
+        if (!stream.level) return null;
+        if (stream.codec === 'hevc') {
+            const profile = HEVC_PROFILES[stream.profile] ?? HEVC_PROFILES.Main;
+            return `hvc1.${profile}.L${stream.level}.B0`;
+        }
+        if (stream.codec === 'av1') {
+            // av01.<profile>.<level><tier>.<bit depth>, every rendition is Main profile and tier
+            const pad = (value) => value.toString().padStart(2, '0');
+            return `av01.0.${pad(stream.level)}M.${pad(stream.bitDepth ?? 8)}`;
+        }
+        if (stream.codec !== 'h264') return null;
+        const profile = AVC_PROFILES[stream.profile] ?? AVC_PROFILES.High;
+        return `avc1.${profile}${stream.level.toString(16).padStart(2, '0')}`;
+    }
+
+    if (stream.codec === 'aac') {
+        return AAC_PROFILES[stream.profile] ?? AAC_PROFILES.LC;
+    }
+    return AUDIO_CODECS[stream.codec] ?? null;
+};
+
+/**
+ * @name parseMediaPlaylist
+ * @param {string} text
+ * @returns {{ segments: { uri: string, duration: number }[], map: string | null }} the segments, and the
+ * initialization section fMP4 segments are decoded with
+ */
+const parseMediaPlaylist = (text) => {
+    const segments = [];
+    let map = null;
+    let duration = null;
+
+    for (const line of text.split(/\r?\n/).map((line) => line.trim())) {
+        if (line.startsWith('#EXT-X-MAP:')) {
+            map = /URI="([^"]+)"/.exec(line)?.[1] ?? null;
+        } else if (line.startsWith('#EXTINF:')) {
+            duration = parseFloat(line.slice('#EXTINF:'.length));
+        } else if (line && !line.startsWith('#') && duration !== null) {
+            segments.push({ uri: line, duration });
+            duration = null;
+        }
+    }
+
+    return { segments, map };
+};
+
+/**
+ * @name probeSegment
+ * @description Probe a segment, an fMP4 one is probed with its initialization section in front of it
+ * @param {string} dir
+ * @param {string} uri
+ * @param {string | null} map
+ * @returns {Promise<import('@/services/mediaProbe.js').MediaInfo>}
+ */
+const probeSegment = async (dir, uri, map) => {
+    if (!map) return probeMedia(path.join(dir, uri));
+
+    const probePath = path.join(dir, `probe_${path.parse(uri).name}.mp4`);
+    try {
+        await fs.promises.writeFile(
+            probePath,
+            Buffer.concat([
+                await fs.promises.readFile(path.join(dir, map)),
+                await fs.promises.readFile(path.join(dir, uri)),
+            ])
+        );
+        return await probeMedia(probePath);
+    } finally {
+        await fs.promises.rm(probePath, { force: true });
+    }
+};
+
+/**
+ * @name measureRendition
+ * @description Read what a transcoded rendition actually is from its playlist and segments: the peak and
+ * average bitrate the segments need, and the resolution, frame rate and codecs of the first one
+ * @param {string} playlistPath - the rendition's local media playlist
+ * @returns {Promise<Omit<Variant, 'uri'>>}
+ */
+export const measureRendition = async (playlistPath) => {
+    const dir = path.dirname(playlistPath);
+    const { segments, map } = parseMediaPlaylist(
+        await fs.promises.readFile(playlistPath, 'utf8')
+    );
+    if (!segments.length) {
+        throw new Error(`${path.basename(playlistPath)} has no segments`);
+    }
+
+    let bandwidth = 0;
+    let totalBits = 0;
+    let totalDuration = 0;
+    for (const segment of segments) {
+        const { size } = await fs.promises.stat(path.join(dir, segment.uri));
+        const bits = size * 8;
+        if (segment.duration > 0) {
+            bandwidth = Math.max(bandwidth, bits / segment.duration);
+        }
+        totalBits += bits;
+        totalDuration += segment.duration;
+    }
+
+    const info = await probeSegment(dir, segments[0].uri, map);
+    const [audio] = info.audioTracks;
+    // renditions whose audio is packaged on its own have no audio stream, audio renditions no video
+    const codecs = [
+        ['video', info.video],
+        ['audio', audio],
+    ]
+        .filter(([, stream]) => stream)
+        .map(([kind, stream]) => codecOf(kind, stream));
+
+    return {
+        bandwidth: Math.ceil(bandwidth),
+        averageBandwidth:
+            totalDuration > 0 ? Math.ceil(totalBits / totalDuration) : null,
+        width: info.video?.width,
+        height: info.video?.height,
+        frameRate: info.video?.frameRate ?? null,
+        // a codec that can't be named leaves CODECS out rather than list it partially
+        codecs:
+            codecs.length && codecs.every(Boolean) ? codecs.join(',') : null,
+        audio: audio
+            ? { language: audio.language, channels: audio.channels }
+            : null,
+    };
+};
+
+/**
+ * @name variantOf
+ * @description The variant of a rendition's video row, rows from before renditions were measured use
+ * the nominal size and bitrate of their rung
+ * @param {import('@prisma/client').video} video
+ * @returns {Variant}
+ */
+export const variantOf = (video) => {
+    if (video.variant) return { ...video.variant, uri: video.name };
+
+    const rung =
+        RENDITIONS.find(({ label }) => label === video.resolution) ??
+        RENDITIONS[0];
+    return {
+        uri: video.name,
+        // the video's peak plus the 128k audio
+        bandwidth: (rung.bitrate + 128) * 1000,
+        averageBandwidth: null,
+        width: rung.width,
+        height: rung.height,
+        frameRate: null,
+        codecs: null,
+        audio: null,
+    };
+};
+
+const attributeList = (attributes) =>
+    Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(',');
+
+/**
+ * @name audioGroupsOf
+ * @description The audio renditions by EXT-X-MEDIA group, stereo AAC first so players that can't decode
+ * surround start on it
+ * @param {AudioVariant[]} audio
+ * @returns {AudioVariant[][]}
+ */
+const audioGroupsOf = (audio) => {
+    const groups = new Map();
+    audio.forEach((rendition) => {
+        groups.set(rendition.groupId, [
+            ...(groups.get(rendition.groupId) ?? []),
+            rendition,
+        ]);
+    });
+    return [...groups.values()].sort(
+        (a, b) =>
+            (a[0].codec === 'aac' ? 0 : 1) - (b[0].codec === 'aac' ? 0 : 1)
+    );
+};
+
+/**
+ * @name streamInfOf
+ * @description The EXT-X-STREAM-INF of a video rendition played with an audio group, or with the audio
+ * muxed into it when there is no group. A group's bandwidth is its most demanding rendition's.
+ * @param {Variant} variant
+ * @param {AudioVariant[] | null} group
+ * @param {boolean} hasSubtitles
+ * @returns {string}
+ */
+const streamInfOf = (variant, group, hasSubtitles) => {
+    let { bandwidth, averageBandwidth, codecs } = variant;
+    if (group) {
+        bandwidth += Math.max(...group.map((audio) => audio.bandwidth));
+        averageBandwidth =
+            averageBandwidth !== null &&
+            group.every((audio) => audio.averageBandwidth !== null)
+                ? averageBandwidth +
+                  Math.max(...group.map((audio) => audio.averageBandwidth))
+                : null;
+        const audioCodecs = [...new Set(group.map((audio) => audio.codecs))];
+        codecs =
+            codecs && audioCodecs.every(Boolean)
+                ? [codecs, ...audioCodecs].join(',')
+                : null;
+    }
+
+    return `#EXT-X-STREAM-INF:${attributeList({
+        BANDWIDTH: bandwidth,
+        'AVERAGE-BANDWIDTH': averageBandwidth,
+        RESOLUTION: `${variant.width}x${variant.height}`,
+        'FRAME-RATE': variant.frameRate?.toFixed(3),
+        CODECS: codecs ? `"${codecs}"` : null,
+        AUDIO: `"${group ? group[0].groupId : 'audio'}"`,
+        SUBTITLES: hasSubtitles ? '"subs"' : null,
+    })}`;
+};
+
+/**
+ * @name buildMasterPlaylist
+ * @description The master playlist of a title's renditions, lowest bandwidth first. With audio renditions
+ * every video rendition is listed once per audio group, renditions from before audio was packaged on its
+ * own have it muxed in and their group has no URI.
+ * @param {Object} params
+ * @param {Variant[]} params.variants
+ * @param {AudioVariant[]} [params.audio]
+ * @param {SubtitleTrack[]} [params.subtitles]
+ * @returns {string}
+ */
+export const buildMasterPlaylist = ({
+    variants,
+    audio = [],
+    subtitles = [],
+}) => {
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        '#EXT-X-INDEPENDENT-SEGMENTS',
+        '',
+    ];
+    const groups = audioGroupsOf(audio);
+
+    groups.flat().forEach((rendition) => {
+        lines.push(
+            `#EXT-X-MEDIA:${attributeList({
+                TYPE: 'AUDIO',
+                'GROUP-ID': `"${rendition.groupId}"`,
+                LANGUAGE: rendition.language ? `"${rendition.language}"` : null,
+                NAME: `"${rendition.name}"`,
+                DEFAULT: rendition.default ? 'YES' : 'NO',
+                AUTOSELECT: 'YES',
+                CHANNELS: `"${rendition.channels}"`,
+                URI: `"${rendition.uri}"`,
+            })}`
+        );
+    });
+
+    if (!groups.length) {
+        const muxed = variants.find((variant) => variant.audio)?.audio;
+        lines.push(
+            `#EXT-X-MEDIA:${attributeList({
+                TYPE: 'AUDIO',
+                'GROUP-ID': '"audio"',
+                LANGUAGE: muxed?.language ? `"${muxed.language}"` : null,
+                NAME: `"${muxed?.language?.toUpperCase() ?? 'Main'}"`,
+                DEFAULT: 'YES',
+                AUTOSELECT: 'YES',
+                CHANNELS: muxed?.channels ? `"${muxed.channels}"` : null,
+            })}`
+        );
+    }
+
+    subtitles.forEach((subtitle) => {
+        const isDefault = ['en', 'eng'].includes(subtitle.language);
+        lines.push(
+            `#EXT-X-MEDIA:${attributeList({
+                TYPE: 'SUBTITLES',
+                'GROUP-ID': '"subs"',
+                LANGUAGE: `"${subtitle.language}"`,
+                NAME: `"${subtitle.name}"`,
+                DEFAULT: isDefault ? 'YES' : 'NO',
+                AUTOSELECT: 'YES',
+                URI: `"${subtitle.uri}"`,
+            })}`
+        );
+    });
+    lines.push('');
+
+    const sorted = [...variants].sort((a, b) => a.bandwidth - b.bandwidth);
+    (groups.length ? groups : [null]).forEach((group) => {
+        sorted.forEach((variant) => {
+            lines.push(streamInfOf(variant, group, subtitles.length > 0));
+            lines.push(variant.uri);
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+};
+
+const resourceField = (type) => (type === 'film' ? 'filmId' : 'episodeId');
+
+/**
+ * @name findVariants
+ * @description Variants of the renditions a film or episode already has
+ * @param {'film' | 'episode'} type
+ * @param {string} resourceId
+ * @param {string[]} [exceptKeys] - renditions being transcoded again, see renditionKey
+ * @returns {Promise<Variant[]>}
+ */
+export const findVariants = async (type, resourceId, exceptKeys = []) => {
+    const videos = await prisma.video.findMany({
+        where: {
+            [resourceField(type)]: resourceId,
+            isTrailer: false,
+            resolution: { not: 'MASTER' },
+        },
+    });
+    return videos
+        .filter(
+            (video) =>
+                !exceptKeys.includes(
+                    renditionKey(video.resolution, video.codec)
+                )
+        )
+        .map(variantOf);
+};
+
+/**
+ * @name regenerateMasterPlaylist
+ * @description Rebuild and upload a film's or episode's master playlist from the renditions it has now
+ * @param {'film' | 'episode'} type
+ * @param {string} resourceId
+ * @returns {Promise<import('@prisma/client').video | null>} the master's row, null when there is no master or rendition left
+ */
+export const regenerateMasterPlaylist = async (type, resourceId) => {
+    const master = await prisma.video.findFirst({
+        where: {
+            [resourceField(type)]: resourceId,
+            isTrailer: false,
+            resolution: 'MASTER',
+        },
+    });
+    const variants = await findVariants(type, resourceId);
+    if (!master || !variants.length) return null;
+
+    let bucketName = resourceId;
+    if (type === 'episode') {
+        const episode = await prisma.episode.findUnique({
+            where: { id: resourceId },
+            select: { seasonId: true, season: { select: { filmId: true } } },
+        });
+        bucketName = `${episode?.season?.filmId}-${episode?.seasonId}`;
+    }
+
+    // master_<filename>.m3u8, subtitles are under subtitles/<filename>/
+    const filename = master.name.replace(/^master_/, '').replace(/\.m3u8$/, '');
+    const subtitles = await prisma.subtitle.findMany({
+        where: { resourceId },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    const playlist = buildMasterPlaylist({
+        variants,
+        audio: master.variant?.audio ?? [],
+        subtitles: subtitles.map((subtitle) => ({
+            language: subtitle.language,
+            name: subtitle.language.toUpperCase(),
+            uri: `subtitles/${filename}/${subtitle.filename}`,
+        })),
+    });
+
+    const keyPrefix = await keyPrefixOf(master.masterVersionId);
+    const data = await uploadToBucket({
+        bucketName,
+        key: `${keyPrefix}${master.name}`,
+        buffer: Buffer.from(playlist),
+        contentType: 'application/vnd.apple.mpegurl',
+        isPublic: true,
+    });
+
+    console.log(
+        `✅ Master playlist of ${type} ${resourceId} rebuilt with ${variants.length} renditions`
+    );
+    return prisma.video.update({
+        where: { id: master.id },
+        data: { url: data.url, hlsUrl: data.url },
+    });
+};
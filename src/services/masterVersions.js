@@ -0,0 +1,461 @@
+import prisma from '@/utils/db.mjs';
+import { returnError } from '@/utils/returnError.js';
+import {
+    RENDITIONS,
+    VIDEO_CODEC_NAMES,
+    renditionKey,
+} from '@/utils/renditions.js';
+import { deletePrefixFromBucket } from '@/services/s3.js';
+
+/*
+ * Replacing the master of a film or episode without taking it offline.
+ *
+ * Every master a film or episode has been transcoded from is a masterVersion. The first one is adopted from the
+ * video rows that already exist when a replacement is started. A replacement is transcoded under its own key
+ * prefix (`v2/`, `v3/`…) next to the live files, and its video and subtitle rows are parked while it runs:
+ * videos have no filmId/episodeId and subtitles point at the version instead of the film or episode. Once every
+ * rendition and the master playlist are uploaded one transaction parks the live rows and attaches the new ones.
+ * The version that was live is kept, archived, so it can be made live again until it is purged.
+ *
+ * statuses: transcoding → ready → live → archived → purged, or failed
+ */
+
+const PENDING_STATUSES = ['transcoding', 'ready'];
+
+const resourceField = (resourceType) =>
+    resourceType === 'film' ? 'filmId' : 'episodeId';
+
+/**
+ * @name findResource
+ * @param {'film' | 'episode'} resourceType
+ * @param {string} resourceId
+ */
+const findResource = async (resourceType, resourceId) => {
+    const resource =
+        resourceType === 'film'
+            ? await prisma.film.findUnique({ where: { id: resourceId } })
+            : await prisma.episode.findUnique({
+                  where: { id: resourceId },
+                  include: { season: { select: { filmId: true } } },
+              });
+    if (!resource) {
+        returnError("The resource you were looking for doesn't exist", 404);
+    }
+
+    return resource;
+};
+
+/**
+ * @name adoptLiveVersion
+ * @description The live version of a film or episode, recorded as version 1 from its video rows the first time
+ * @param {'film' | 'episode'} resourceType
+ * @param {import('@prisma/client').film | import('@prisma/client').episode} resource
+ * @returns {Promise<import('@prisma/client').masterVersion | null>} null when nothing was uploaded yet
+ */
+const adoptLiveVersion = async (resourceType, resource) => {
+    const live = await prisma.masterVersion.findFirst({
+        where: { resourceId: resource.id, status: 'live' },
+    });
+    if (live) return live;
+
+    const videos = await prisma.video.findMany({
+        where: { [resourceField(resourceType)]: resource.id, isTrailer: false },
+    });
+    if (!videos.length) return null;
+
+    // "master_my_film.m3u8" or "HD_my_film.m3u8" → "my_film"
+    const named =
+        videos.find(({ resolution }) => resolution === 'MASTER') ?? videos[0];
+    const filename = named.name.replace(/\.m3u8$/, '').replace(/^[^_]+_/, '');
+
+    const version = await prisma.masterVersion.create({
+        data: {
+            resourceType,
+            resourceId: resource.id,
+            version: 1,
+            status: 'live',
+            keyPrefix: '',
+            bucketName:
+                resourceType === 'film'
+                    ? resource.id
+                    : `${resource.season.filmId}-${resource.seasonId}`,
+            filename,
+            renditions: videos
+                .filter(
+                    ({ resolution }) => resolution && resolution !== 'MASTER'
+                )
+                .map(({ resolution, codec }) =>
+                    renditionKey(resolution, codec)
+                ),
+            liveAt: videos[0].createdAt,
+        },
+    });
+
+    await prisma.video.updateMany({
+        where: { id: { in: videos.map(({ id }) => id) } },
+        data: { masterVersionId: version.id },
+    });
+    // subtitles extracted from the master, the ones uploaded by hand stay with the film or episode
+    await prisma.subtitle.updateMany({
+        where: {
+            resourceId: resource.id,
+            s3Url: { contains: `subtitles/${filename}/` },
+        },
+        data: { masterVersionId: version.id },
+    });
+
+    return version;
+};
+
+/**
+ * @name startReplacement
+ * @description Open the next version of a film or episode, its transcode is queued by the caller
+ * @param {Object} params
+ * @param {'film' | 'episode'} params.resourceType
+ * @param {string} params.resourceId
+ * @param {string} params.ownerId - the admin replacing it
+ * @param {string} [params.reason]
+ * @returns {Promise<import('@prisma/client').masterVersion>}
+ */
+export const startReplacement = async ({
+    resourceType,
+    resourceId,
+    ownerId,
+    reason,
+}) => {
+    const resource = await findResource(resourceType, resourceId);
+
+    const pending = await prisma.masterVersion.findFirst({
+        where: { resourceId, status: { in: PENDING_STATUSES } },
+    });
+    if (pending) {
+        const job = pending.jobId
+            ? await prisma.videoProcessingJob.findFirst({
+                  where: { jobId: pending.jobId },
+              })
+            : null;
+        // a replacement whose transcode is gone can't finish, let it be replaced
+        if (job && !['failed', 'cancelled'].includes(job.status)) {
+            returnError(
+                `Version ${pending.version} of this ${resourceType} is still transcoding`,
+                409
+            );
+        }
+        await failVersion(
+            pending.id,
+            `Superseded, its transcode ${job?.status ?? 'never started'}`
+        );
+    }
+
+    const live = await adoptLiveVersion(resourceType, resource);
+    if (!live) {
+        returnError(
+            `This ${resourceType} has no video to replace yet, upload one instead`,
+            409
+        );
+    }
+
+    const latest = await prisma.masterVersion.findFirst({
+        where: { resourceId },
+        orderBy: { version: 'desc' },
+    });
+    const version = latest.version + 1;
+
+    return prisma.masterVersion.create({
+        data: {
+            resourceType,
+            resourceId,
+            version,
+            status: 'transcoding',
+            keyPrefix: `v${version}/`,
+            bucketName: live.bucketName,
+            ownerId,
+            reason,
+        },
+    });
+};
+
+/**
+ * @name setVersionRenditions
+ * @description The renditions a version is complete with, set by the transcoder once it knows the ladder
+ * @param {string} masterVersionId
+ * @param {string[]} renditions - keys, e.g. ["SD", "HD", "HD_hevc"], see renditionKey
+ */
+export const setVersionRenditions = async (masterVersionId, renditions) => {
+    await prisma.masterVersion.update({
+        where: { id: masterVersionId },
+        data: { renditions },
+    });
+};
+
+/**
+ * @name failVersion
+ * @param {string} masterVersionId
+ * @param {string} reason
+ */
+export const failVersion = async (masterVersionId, reason) => {
+    await prisma.masterVersion.updateMany({
+        where: { id: masterVersionId, status: { in: PENDING_STATUSES } },
+        data: { status: 'failed', reason },
+    });
+};
+
+/**
+ * @name switchToVersion
+ * @description Make a version live in one transaction: the live version's rows are parked and archived,
+ * the version's rows are attached to the film or episode
+ * @param {import('@prisma/client').masterVersion} target
+ * @returns {Promise<void>}
+ */
+const switchToVersion = async (target) => {
+    const field = resourceField(target.resourceType);
+    const live = await prisma.masterVersion.findMany({
+        where: {
+            resourceId: target.resourceId,
+            status: 'live',
+            id: { not: target.id },
+        },
+        select: { id: true },
+    });
+    const now = new Date();
+
+    await prisma.$transaction([
+        prisma.video.updateMany({
+            where: { masterVersionId: { in: live.map(({ id }) => id) } },
+            data: { [field]: null },
+        }),
+        ...live.map(({ id }) =>
+            prisma.subtitle.updateMany({
+                where: { masterVersionId: id },
+                data: { resourceId: id },
+            })
+        ),
+        prisma.masterVersion.updateMany({
+            where: { id: { in: live.map(({ id }) => id) } },
+            data: { status: 'archived', archivedAt: now },
+        }),
+        prisma.video.updateMany({
+            where: { masterVersionId: target.id },
+            data: { [field]: target.resourceId },
+        }),
+        prisma.subtitle.updateMany({
+            where: { masterVersionId: target.id },
+            data: { resourceId: target.resourceId },
+        }),
+        prisma.masterVersion.update({
+            where: { id: target.id },
+            data: { status: 'live', liveAt: now, archivedAt: null },
+        }),
+    ]);
+
+    console.log(
+        `🔀 Version ${target.version} of ${target.resourceType} ${target.resourceId} is live`
+    );
+};
+
+/**
+ * @name switchWhenComplete
+ * @description Switch to a replacement once all its renditions and its master playlist are uploaded
+ * @param {string} masterVersionId
+ * @returns {Promise<void>}
+ */
+const switchWhenComplete = async (masterVersionId) => {
+    const version = await prisma.masterVersion.findUnique({
+        where: { id: masterVersionId },
+    });
+    if (version?.status !== 'transcoding' || !version.renditions.length) return;
+
+    const videos = await prisma.video.findMany({
+        where: { masterVersionId },
+        select: { resolution: true, codec: true },
+    });
+    const uploaded = new Set(
+        videos.map(({ resolution, codec }) => renditionKey(resolution, codec))
+    );
+    if (![...version.renditions, 'MASTER'].every((key) => uploaded.has(key)))
+        return;
+
+    // two uploads finishing together must not both switch
+    const { count } = await prisma.masterVersion.updateMany({
+        where: { id: masterVersionId, status: 'transcoding' },
+        data: { status: 'ready' },
+    });
+    if (!count) return;
+
+    await switchToVersion(version);
+};
+
+/**
+ * @name recordVersionVideo
+ * @description Save a rendition or master playlist of a version, parked until the version is live
+ * @param {string} masterVersionId
+ * @param {object} videoData - the video row without its film or episode
+ * @returns {Promise<void>}
+ */
+export const recordVersionVideo = async (masterVersionId, videoData) => {
+    const version = await prisma.masterVersion.findUnique({
+        where: { id: masterVersionId },
+    });
+
+    await prisma.video.create({
+        data: {
+            ...videoData,
+            masterVersionId,
+            ...(version.status === 'live' && {
+                [resourceField(version.resourceType)]: version.resourceId,
+            }),
+        },
+    });
+
+    await switchWhenComplete(masterVersionId);
+};
+
+/**
+ * @name recordVersionSubtitle
+ * @description Save a subtitle extracted from a version's master, parked until the version is live
+ * @param {string} masterVersionId
+ * @param {object} subtitleData - the subtitle row, resourceId is filled in here
+ * @returns {Promise<import('@prisma/client').subtitle>}
+ */
+export const recordVersionSubtitle = async (masterVersionId, subtitleData) => {
+    const version = await prisma.masterVersion.findUnique({
+        where: { id: masterVersionId },
+    });
+    const subtitle = await prisma.subtitle.create({
+        data: {
+            ...subtitleData,
+            masterVersionId,
+            resourceId:
+                version.status === 'live'
+                    ? version.resourceId
+                    : masterVersionId,
+        },
+    });
+
+    // subtitles can finish after the switch, which only moved the ones that were there
+    const current = await prisma.masterVersion.findUnique({
+        where: { id: masterVersionId },
+    });
+    if (
+        current.status === 'live' &&
+        subtitle.resourceId !== current.resourceId
+    ) {
+        return prisma.subtitle.update({
+            where: { id: subtitle.id },
+            data: { resourceId: current.resourceId },
+        });
+    }
+
+    return subtitle;
+};
+
+/**
+ * @name listVersions
+ * @param {string} resourceId - filmId or episodeId
+ * @returns {Promise<import('@prisma/client').masterVersion[]>} newest first
+ */
+export const listVersions = async (resourceId) => {
+    return prisma.masterVersion.findMany({
+        where: { resourceId },
+        orderBy: { version: 'desc' },
+    });
+};
+
+/**
+ * @name keyPrefixOf
+ * @description Folder a video row's files are under in its bucket, "" for rows from before replacements
+ * @param {string | null} masterVersionId - of the video row
+ * @returns {Promise<string>}
+ */
+export const keyPrefixOf = async (masterVersionId) => {
+    if (!masterVersionId) return '';
+
+    const version = await prisma.masterVersion.findUnique({
+        where: { id: masterVersionId },
+        select: { keyPrefix: true },
+    });
+    return version?.keyPrefix ?? '';
+};
+
+/**
+ * @name rollbackVersion
+ * @description Make an archived version live again, the newest archived one unless one is given
+ * @param {string} resourceId - filmId or episodeId
+ * @param {string} [versionId]
+ * @returns {Promise<import('@prisma/client').masterVersion>} the version that is now live
+ */
+export const rollbackVersion = async (resourceId, versionId) => {
+    const target = await prisma.masterVersion.findFirst({
+        where: versionId
+            ? { id: versionId, resourceId }
+            : { resourceId, status: 'archived' },
+        orderBy: { version: 'desc' },
+    });
+    if (!target) {
+        returnError('There is no earlier version to roll back to', 404);
+    }
+    if (target.status !== 'archived') {
+        returnError(
+            `Version ${target.version} is ${target.status}, only archived versions can be made live`,
+            409
+        );
+    }
+
+    await switchToVersion(target);
+    return prisma.masterVersion.findUnique({ where: { id: target.id } });
+};
+
+/**
+ * @name purgeVersion
+ * @description Delete an archived or failed version's files and rows, it can't be rolled back to afterwards
+ * @param {string} resourceId - filmId or episodeId
+ * @param {string} versionId
+ * @returns {Promise<{ version: import('@prisma/client').masterVersion, deletedFiles: number }>}
+ */
+export const purgeVersion = async (resourceId, versionId) => {
+    const version = await prisma.masterVersion.findFirst({
+        where: { id: versionId, resourceId },
+    });
+    if (!version) returnError('Version not found', 404);
+    if (!['archived', 'failed'].includes(version.status)) {
+        returnError(
+            `Version ${version.version} is ${version.status}, only archived or failed versions can be purged`,
+            409
+        );
+    }
+
+    // replacements have a folder of their own, version 1 shares the bucket root with posters and trailers
+    const keys = new Set([
+        ...version.renditions,
+        ...RENDITIONS.flatMap(({ label }) =>
+            VIDEO_CODEC_NAMES.map((codec) => renditionKey(label, codec))
+        ),
+    ]);
+    const prefixes = version.keyPrefix
+        ? [`${version.bucketName}/${version.keyPrefix}`]
+        : [
+              ...[...keys].map(
+                  (key) =>
+                      `${version.bucketName}/hls_${key}_${version.filename}/`
+              ),
+              `${version.bucketName}/hls_audio_${version.filename}/`,
+              `${version.bucketName}/master_${version.filename}.m3u8`,
+              `${version.bucketName}/subtitles/${version.filename}/`,
+          ];
+
+    let deletedFiles = 0;
+    for (const prefix of prefixes) {
+        deletedFiles += await deletePrefixFromBucket(prefix);
+    }
+
+    await prisma.video.deleteMany({ where: { masterVersionId: version.id } });
+    await prisma.subtitle.deleteMany({
+        where: { masterVersionId: version.id },
+    });
+    const purged = await prisma.masterVersion.update({
+        where: { id: version.id },
+        data: { status: 'purged', purgedAt: new Date() },
+    });
+
+    return { version: purged, deletedFiles };
+};
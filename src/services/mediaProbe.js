@@ -0,0 +1,269 @@
+import fs from 'fs';
+import Ffmpeg from 'fluent-ffmpeg';
+import { returnError } from '@/utils/returnError.js';
+
+// video codecs ffmpeg decodes reliably into the libx264 ladder
+const SUPPORTED_VIDEO_CODECS = [
+    'h264',
+    'hevc',
+    'av1',
+    'vp8',
+    'vp9',
+    'mpeg4',
+    'mpeg2video',
+    'mpeg1video',
+    'prores',
+    'dnxhd',
+    'mjpeg',
+    'vc1',
+    'wmv3',
+    'theora',
+    'dvvideo',
+    'ffv1',
+];
+
+// transfer characteristics of the two broadcast HDR standards
+const HDR_TRANSFERS = {
+    smpte2084: 'HDR10',
+    'arib-std-b67': 'HLG',
+};
+
+/**
+ * @typedef {object} AudioTrack
+ * @property {number} index - stream index in the source
+ * @property {string} codec
+ * @property {string | null} profile - e.g. "LC" or "HE-AAC"
+ * @property {number | null} channels
+ * @property {string | null} channelLayout
+ * @property {number | null} sampleRate
+ * @property {string | null} language
+ * @property {string | null} title
+ * @property {boolean} default
+ */
+
+/**
+ * @typedef {object} MediaInfo
+ * @property {string} container - ffprobe format name, e.g. "mov,mp4,m4a,3gp,3g2,mj2"
+ * @property {number} duration - seconds
+ * @property {number | null} bitrate - bits per second
+ * @property {number | null} size - bytes
+ * @property {object | null} video
+ * @property {string} video.codec
+ * @property {string | null} video.profile
+ * @property {number | null} video.level - e.g. 40 for H.264 level 4.0
+ * @property {number} video.width
+ * @property {number} video.height
+ * @property {number} video.displayWidth - after the sample aspect ratio and rotation are applied
+ * @property {number} video.displayHeight
+ * @property {number} video.rotation - degrees clockwise, 0, 90, 180 or 270
+ * @property {number | null} video.frameRate - frames per second
+ * @property {string | null} video.pixelFormat
+ * @property {number | null} video.bitDepth
+ * @property {string | null} video.colorPrimaries
+ * @property {string | null} video.colorTransfer
+ * @property {string | null} video.colorSpace
+ * @property {boolean} video.hdr
+ * @property {'HDR10' | 'HLG' | 'Dolby Vision' | null} video.hdrFormat
+ * @property {AudioTrack[]} audioTracks
+ * @property {{ index: number, codec: string, language: string | null }[]} subtitleTracks
+ */
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// ffprobe reports frame rates as fractions, "24000/1001"
+const parseFrameRate = (value) => {
+    if (!value) return null;
+    const [num, den = '1'] = String(value).split('/');
+    const rate = Number(num) / Number(den);
+    return Number.isFinite(rate) && rate > 0 ? Math.round(rate * 1000) / 1000 : null;
+};
+
+const bitDepthOf = (stream) => {
+    const fromRaw = toNumber(stream.bits_per_raw_sample);
+    if (fromRaw) return fromRaw;
+    const match = /p(\d{2})(le|be)$/.exec(stream.pix_fmt ?? '');
+    return match ? Number(match[1]) : stream.pix_fmt ? 8 : null;
+};
+
+const hdrFormatOf = (stream) => {
+    const dolbyVision =
+        ['dvh1', 'dvhe', 'dav1', 'dva1'].includes(stream.codec_tag_string) ||
+        (stream.side_data_list ?? []).some((data) =>
+            /dovi/i.test(data.side_data_type ?? '')
+        );
+    if (dolbyVision) return 'Dolby Vision';
+    return HDR_TRANSFERS[stream.color_transfer] ?? null;
+};
+
+// phones record portrait video as landscape frames with a rotation
+const rotationOf = (stream) => {
+    const rotation =
+        toNumber(stream.tags?.rotate) ??
+        toNumber(
+            (stream.side_data_list ?? []).find((data) => data.rotation !== undefined)
+                ?.rotation
+        );
+    return rotation ? (((Math.round(rotation / 90) * 90) % 360) + 360) % 360 : 0;
+};
+
+// anamorphic sources, e.g. a DVD at 720x480, display wider than they are stored
+const sampleAspectOf = (stream) => {
+    const [num, den] = String(stream.sample_aspect_ratio ?? '')
+        .split(':')
+        .map(Number);
+    return num > 0 && den > 0 ? num / den : 1;
+};
+
+const displaySizeOf = (stream) => {
+    const width = toNumber(stream.width);
+    const height = toNumber(stream.height);
+    if (!width || !height) return { displayWidth: width, displayHeight: height };
+
+    const displayWidth = Math.round(width * sampleAspectOf(stream));
+    return rotationOf(stream) % 180 === 90
+        ? { displayWidth: height, displayHeight: displayWidth }
+        : { displayWidth, displayHeight: height };
+};
+
+/**
+ * @name runFfprobe
+ * @param {string} filePath
+ * @returns {Promise<import('fluent-ffmpeg').FfprobeData>}
+ */
+const runFfprobe = (filePath) => {
+    return new Promise((resolve, reject) => {
+        Ffmpeg(filePath).ffprobe((err, data) => {
+            if (err) reject(err);
+            else resolve(data);
+        });
+    });
+};
+
+/**
+ * @name probeMedia
+ * @description Read what a source file actually contains with ffprobe
+ * @param {string} filePath
+ * @returns {Promise<MediaInfo>}
+ */
+export const probeMedia = async (filePath) => {
+    let data;
+    try {
+        data = await runFfprobe(filePath);
+    } catch (error) {
+        console.warn(`⚠️ ffprobe could not read ${filePath}:`, error.message);
+        returnError('The file could not be read as a video, it may be corrupt or not a media file', 422);
+    }
+
+    const streams = data.streams ?? [];
+    // cover art in audio files shows up as a one frame video stream
+    const videoStream = streams.find(
+        (stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic
+    );
+
+    const duration =
+        toNumber(data.format?.duration) ?? toNumber(videoStream?.duration) ?? 0;
+
+    return {
+        container: data.format?.format_name ?? null,
+        duration,
+        bitrate: toNumber(data.format?.bit_rate),
+        size: toNumber(data.format?.size),
+        video: videoStream
+            ? {
+                  codec: videoStream.codec_name ?? null,
+                  profile: videoStream.profile ?? null,
+                  level: toNumber(videoStream.level),
+                  width: toNumber(videoStream.width),
+                  height: toNumber(videoStream.height),
+                  ...displaySizeOf(videoStream),
+                  rotation: rotationOf(videoStream),
+                  frameRate:
+                      parseFrameRate(videoStream.avg_frame_rate) ??
+                      parseFrameRate(videoStream.r_frame_rate),
+                  pixelFormat: videoStream.pix_fmt ?? null,
+                  bitDepth: bitDepthOf(videoStream),
+                  colorPrimaries: videoStream.color_primaries ?? null,
+                  colorTransfer: videoStream.color_transfer ?? null,
+                  colorSpace: videoStream.color_space ?? null,
+                  hdr: Boolean(hdrFormatOf(videoStream)),
+                  hdrFormat: hdrFormatOf(videoStream),
+              }
+            : null,
+        audioTracks: streams
+            .filter((stream) => stream.codec_type === 'audio')
+            .map((stream) => ({
+                index: stream.index,
+                codec: stream.codec_name ?? null,
+                profile: stream.profile ?? null,
+                channels: toNumber(stream.channels),
+                channelLayout: stream.channel_layout ?? null,
+                sampleRate: toNumber(stream.sample_rate),
+                language: stream.tags?.language ?? null,
+                title: stream.tags?.title ?? null,
+                default: Boolean(stream.disposition?.default),
+            })),
+        subtitleTracks: streams
+            .filter((stream) => stream.codec_type === 'subtitle')
+            .map((stream) => ({
+                index: stream.index,
+                codec: stream.codec_name ?? null,
+                language: stream.tags?.language ?? null,
+            })),
+    };
+};
+
+/**
+ * @name findMediaProblem
+ * @description Why a probed file can't be transcoded, if it can't
+ * @param {MediaInfo} info
+ * @returns {string | null}
+ */
+export const findMediaProblem = (info) => {
+    if (!info.video) {
+        return info.audioTracks.length
+            ? 'The file is audio only, a video stream is required'
+            : 'The file has no video stream';
+    }
+    if (!SUPPORTED_VIDEO_CODECS.includes(info.video.codec)) {
+        return `Video codec ${info.video.codec ?? 'unknown'} is not supported, supported codecs: ${SUPPORTED_VIDEO_CODECS.join(', ')}`;
+    }
+    if (!info.video.width || !info.video.height) {
+        return 'The video stream has no resolution';
+    }
+    if (!(info.duration > 0)) {
+        return 'The file has no playable duration';
+    }
+    if (!info.video.frameRate) {
+        return 'The video stream has no frame rate';
+    }
+    return null;
+};
+
+/**
+ * @name inspectSource
+ * @description Probe a source before it is queued and reject anything the transcoder would choke on.
+ * A rejected file is removed from disk.
+ * @param {string} filePath
+ * @returns {Promise<MediaInfo>}
+ */
+export const inspectSource = async (filePath) => {
+    let problem;
+    let info;
+    try {
+        info = await probeMedia(filePath);
+        problem = findMediaProblem(info);
+    } catch (error) {
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+    }
+
+    if (problem) {
+        await fs.promises.rm(filePath, { force: true });
+        returnError(problem, 422);
+    }
+
+    return info;
+};
@@ -34,3 +34,17 @@ export const upload = multer({
         }
     },
 });
+
+/**
+ * Upload session chunks get a unique temporary name, every client sends them as "blob"
+ */
+export const chunkUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            cb(null, UPLOAD_DIR);
+        },
+        filename: (req, file, cb) => {
+            cb(null, `chunk-${Date.now()}-${Math.round(Math.random() * 1e9)}`);
+        },
+    }),
+});
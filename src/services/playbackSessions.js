@@ -0,0 +1,173 @@
+import { v4 as uuidv4 } from 'uuid';
+import { env } from '@/env.mjs';
+import { redisConnection } from '@/services/redisClient.js';
+
+/**
+ * Active playback sessions live in one sorted set per account, scored by the time of
+ * their last heartbeat, so every instance sees the same count. A hash next to it records
+ * the device each session was opened on.
+ */
+const streamsKey = (userId) => `streams:${userId}`;
+const streamDevicesKey = (userId) => `streams:${userId}:devices`;
+
+// prune stale sessions, then resume the requested session if this device opened it, or add
+// a new one if there is room. returns {1, id} when admitted, {0, active sessions} when the
+// limit is reached and {-1} when the session belongs to another device
+const OPEN_SESSION_SCRIPT = `
+local stale = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if #stale > 0 then
+    redis.call('ZREM', KEYS[1], unpack(stale))
+    redis.call('HDEL', KEYS[2], unpack(stale))
+end
+if ARGV[3] ~= '' and redis.call('ZSCORE', KEYS[1], ARGV[3]) then
+    if redis.call('HGET', KEYS[2], ARGV[3]) ~= ARGV[7] then
+        return {-1}
+    end
+    redis.call('ZADD', KEYS[1], ARGV[2], ARGV[3])
+    return {1, ARGV[3]}
+end
+local active = redis.call('ZCARD', KEYS[1])
+if active >= tonumber(ARGV[4]) then
+    return {0, active}
+end
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[6])
+redis.call('HSET', KEYS[2], ARGV[6], ARGV[7])
+redis.call('EXPIRE', KEYS[1], ARGV[5])
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+return {1, ARGV[6]}
+`;
+
+const staleBefore = () => Date.now() - env.STREAM_HEARTBEAT_TTL * 1000;
+
+/**
+ * @name getStreamLimit
+ * @description Concurrent streams allowed for an entitlement, taken from the subscription plan when there is one
+ * @param {{ subscription?: { plan?: { maxStreams?: number } } | null }} entitlement - see services/entitlements.js
+ * @returns {number}
+ */
+export const getStreamLimit = (entitlement) => {
+    return (
+        entitlement?.subscription?.plan?.maxStreams ?? env.MAX_CONCURRENT_STREAMS
+    );
+};
+
+/**
+ * @name openPlaybackSession
+ * @description Admit a new playback session, or resume an existing one, within the account's stream limit.
+ * Session ids are only ever issued here. Resuming a session that has ended starts a new one, resuming
+ * a session opened on another device is refused.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {number} params.limit
+ * @param {string} params.deviceId - see identifyDevice in services/devices.js
+ * @param {string} [params.sessionId] - resume this session instead of starting a new one
+ * @returns {Promise<{ admitted: boolean, sessionId?: string, activeStreams?: number, otherDevice?: boolean }>}
+ */
+export const openPlaybackSession = async ({
+    userId,
+    limit,
+    deviceId,
+    sessionId,
+}) => {
+    const [status, value] = await redisConnection.eval(OPEN_SESSION_SCRIPT, {
+        keys: [streamsKey(userId), streamDevicesKey(userId)],
+        arguments: [
+            String(staleBefore()),
+            String(Date.now()),
+            sessionId ?? '',
+            String(limit),
+            String(env.STREAM_HEARTBEAT_TTL * 2),
+            uuidv4(),
+            deviceId,
+        ],
+    });
+
+    if (Number(status) === 1) {
+        return { admitted: true, sessionId: value };
+    }
+
+    if (Number(status) === -1) {
+        return { admitted: false, otherDevice: true };
+    }
+
+    return { admitted: false, activeStreams: Number(value) };
+};
+
+/**
+ * @name isPlaybackSessionActive
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+export const isPlaybackSessionActive = async (userId, sessionId) => {
+    if (!userId || !sessionId) return false;
+
+    const lastSeen = await redisConnection.zScore(streamsKey(userId), sessionId);
+    return lastSeen !== null && Number(lastSeen) >= staleBefore();
+};
+
+/**
+ * @name heartbeatPlaybackSession
+ * @description Keep a playback session alive. Sessions that already timed out are not revived and
+ * only the device that opened a session can keep it alive.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} false when the session has ended or belongs to another device
+ */
+export const heartbeatPlaybackSession = async (userId, sessionId, deviceId) => {
+    if (!(await isPlaybackSessionActive(userId, sessionId))) {
+        return false;
+    }
+
+    const owner = await redisConnection.hGet(
+        streamDevicesKey(userId),
+        sessionId
+    );
+    if (owner !== deviceId) return false;
+
+    const key = streamsKey(userId);
+    await redisConnection.zAdd(
+        key,
+        { score: Date.now(), value: sessionId },
+        { XX: true }
+    );
+    await redisConnection.expire(key, env.STREAM_HEARTBEAT_TTL * 2);
+    await redisConnection.expire(
+        streamDevicesKey(userId),
+        env.STREAM_HEARTBEAT_TTL * 2
+    );
+    return true;
+};
+
+/**
+ * @name closePlaybackSession
+ * @description Free the slot held by a playback session
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export const closePlaybackSession = async (userId, sessionId) => {
+    await redisConnection.zRem(streamsKey(userId), sessionId);
+    await redisConnection.hDel(streamDevicesKey(userId), sessionId);
+};
+
+/**
+ * @name closeDevicePlaybackSessions
+ * @description Free every slot held by playback sessions opened on a device. Playlist and segment
+ * requests carrying their tokens are refused from then on.
+ * @param {string} userId
+ * @param {string} deviceId - see identifyDevice in services/devices.js
+ * @returns {Promise<number>} how many sessions were closed
+ */
+export const closeDevicePlaybackSessions = async (userId, deviceId) => {
+    const owners = await redisConnection.hGetAll(streamDevicesKey(userId));
+    const sessionIds = Object.keys(owners).filter(
+        (sessionId) => owners[sessionId] === deviceId
+    );
+    if (sessionIds.length === 0) return 0;
+
+    await redisConnection.zRem(streamsKey(userId), sessionIds);
+    await redisConnection.hDel(streamDevicesKey(userId), sessionIds);
+    return sessionIds.length;
+};
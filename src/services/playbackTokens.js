@@ -0,0 +1,262 @@
+import jwt from 'jsonwebtoken';
+import { env } from '@/env.mjs';
+import { resolveResourceAccess } from '@/services/entitlements.js';
+
+const PLAYBACK_AUDIENCE = 'playback';
+
+/**
+ * @typedef {object} PlaybackClaims
+ * @property {string} sub - the viewer the token was issued to
+ * @property {string} rid - the film, season or episode id the token is scoped to
+ * @property {string[] | null} res - lowercased resolutions the viewer may stream, null for all
+ * @property {string[] | null} [codecs] - video codecs the player decodes, missing or null for all
+ * @property {'content' | 'trailer'} scope - trailers get their own scope so they can't unlock content
+ * @property {string} [psid] - the playback session counted against the account's stream limit
+ */
+
+/**
+ * @name signPlaybackToken
+ * @description Issue a short-lived token that authorises playlist and segment requests for one resource
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.resourceId
+ * @param {string[] | null} [params.resolutions] - null grants every resolution
+ * @param {string[] | null} [params.codecs] - video codecs the master playlist offers, null for all
+ * @param {'content' | 'trailer'} [params.scope]
+ * @param {string} [params.sessionId] - playback session from services/playbackSessions.js
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+export const signPlaybackToken = ({
+    userId,
+    resourceId,
+    resolutions = null,
+    codecs = null,
+    scope = 'content',
+    sessionId,
+}) => {
+    const token = jwt.sign(
+        {
+            rid: resourceId,
+            res: resolutions ? resolutions.map((r) => r.toLowerCase()) : null,
+            ...(codecs && { codecs }),
+            scope,
+            ...(sessionId && { psid: sessionId }),
+        },
+        env.SECRETVA,
+        {
+            subject: String(userId),
+            audience: PLAYBACK_AUDIENCE,
+            expiresIn: env.PLAYBACK_TOKEN_TTL,
+        }
+    );
+
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * @name signSessionPlaybackToken
+ * @description Issue the token written into the URIs of a playlist. VOD playlists are fetched once and
+ * never reloaded, so instead of expiring it lives as long as its playback session, which the
+ * streaming route checks on every request.
+ * @param {PlaybackClaims & { sub: string }} claims - the claims of the token the playlist was fetched with
+ * @returns {string | null} null for tokens without a playback session, those keep their own expiry
+ */
+export const signSessionPlaybackToken = (claims) => {
+    if (!claims.psid) return null;
+
+    return jwt.sign(
+        {
+            rid: claims.rid,
+            res: claims.res,
+            ...(claims.codecs && { codecs: claims.codecs }),
+            scope: claims.scope,
+            psid: claims.psid,
+        },
+        env.SECRETVA,
+        {
+            subject: claims.sub,
+            audience: PLAYBACK_AUDIENCE,
+        }
+    );
+};
+
+/**
+ * @name verifyPlaybackToken
+ * @description Validate a playback token against the resource, resolution and scope being requested
+ * @param {string | string[] | undefined} token - the `token` query value, which may repeat
+ * @param {Object} target
+ * @param {string} target.resourceId
+ * @param {string} [target.resolution] - the rendition being fetched, skipped for master playlists
+ * @param {'content' | 'trailer'} [target.scope]
+ * @returns {{ isValid: boolean, token?: string, claims?: PlaybackClaims, reason?: string }}
+ */
+export const verifyPlaybackToken = (
+    token,
+    { resourceId, resolution, scope = 'content' }
+) => {
+    // players sometimes append the token again, so any of the values may be the right one
+    const candidates = (Array.isArray(token) ? token : [token]).filter(
+        (t) => typeof t === 'string' && t.length > 0
+    );
+
+    if (candidates.length === 0) {
+        return { isValid: false, reason: 'Missing playback token' };
+    }
+
+    let reason = 'Invalid playback token';
+    for (const candidate of candidates) {
+        let claims;
+        try {
+            claims = jwt.verify(candidate, env.SECRETVA, {
+                audience: PLAYBACK_AUDIENCE,
+            });
+        } catch (error) {
+            reason =
+                error.name === 'TokenExpiredError'
+                    ? 'Playback token expired'
+                    : 'Invalid playback token';
+            continue;
+        }
+
+        // only session tokens go without an expiry, see signSessionPlaybackToken
+        if (!claims.exp && !claims.psid) {
+            reason = 'Invalid playback token';
+            continue;
+        }
+
+        if (claims.rid !== resourceId) {
+            reason = 'Playback token is not valid for this resource';
+            continue;
+        }
+
+        // a content token also covers the trailer, a trailer token never covers content
+        if (scope === 'content' && claims.scope !== 'content') {
+            reason = 'Playback token is not valid for this content';
+            continue;
+        }
+
+        if (
+            resolution &&
+            Array.isArray(claims.res) &&
+            !claims.res.includes(resolution.toLowerCase())
+        ) {
+            reason = 'Playback token does not cover this resolution';
+            continue;
+        }
+
+        return { isValid: true, token: candidate, claims };
+    }
+
+    return { isValid: false, reason };
+};
+
+/**
+ * @name refreshPlaybackToken
+ * @description Re-issue a playback token for the given playback session with a new expiry. Access to the
+ * resource is resolved again, so the new token only covers what the viewer is still entitled to.
+ * @param {string | undefined} token - the token the player currently holds
+ * @param {Object} session
+ * @param {string} session.userId
+ * @param {string} session.sessionId
+ * @returns {Promise<{ token: string, expiresAt: Date } | { denied: true } | null>} null when the token
+ * isn't valid for the session, `denied` when the viewer no longer has access to the resource
+ */
+export const refreshPlaybackToken = async (token, { userId, sessionId }) => {
+    if (typeof token !== 'string' || token.length === 0) return null;
+
+    let claims;
+    try {
+        claims = jwt.verify(token, env.SECRETVA, {
+            audience: PLAYBACK_AUDIENCE,
+        });
+    } catch (error) {
+        return null;
+    }
+
+    if (claims.sub !== String(userId) || claims.psid !== sessionId) {
+        return null;
+    }
+
+    const entitlement = await resolveResourceAccess({
+        userId,
+        resourceId: claims.rid,
+    });
+    if (!entitlement?.hasAccess) {
+        return { denied: true };
+    }
+
+    // an empty list of purchased resolutions keeps the old "all" behaviour, as in the streaming urls route
+    const resolutions = entitlement.resolutions?.length
+        ? entitlement.resolutions
+        : null;
+
+    return signPlaybackToken({
+        userId,
+        resourceId: claims.rid,
+        resolutions,
+        codecs: claims.codecs ?? null,
+        scope: claims.scope,
+        sessionId,
+    });
+};
+
+/**
+ * @name withPlaybackToken
+ * @description Append the playback token to a playlist or segment URI
+ * @param {string} uri
+ * @param {string} token
+ * @returns {string}
+ */
+export const withPlaybackToken = (uri, token) => {
+    const separator = uri.includes('?') ? '&' : '?';
+    return `${uri}${separator}token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * @name rewritePlaylist
+ * @description Rewrite every URI in an m3u8 playlist, both plain URI lines and `URI="..."` attributes.
+ * Returning null from `rewriteUri` drops the URI line together with the tag that introduced it.
+ * @param {string} playlist - the m3u8 body
+ * @param {(uri: string, tag: string | null) => string | null} rewriteUri - tag is the preceding #EXT line for plain URIs
+ * @returns {string}
+ */
+export const rewritePlaylist = (playlist, rewriteUri) => {
+    const output = [];
+    let previousTag = null;
+
+    for (const line of playlist.split(/\r?\n/)) {
+        const trimmed = line.trim();
+
+        if (trimmed.startsWith('#')) {
+            const rewritten = trimmed.replace(
+                /URI="([^"]+)"/g,
+                (match, uri) => {
+                    const next = rewriteUri(uri, trimmed);
+                    return next ? `URI="${next}"` : match;
+                }
+            );
+            output.push(rewritten);
+            previousTag = rewritten;
+            continue;
+        }
+
+        if (!trimmed) {
+            output.push(line);
+            continue;
+        }
+
+        const next = rewriteUri(trimmed, previousTag);
+        if (next === null) {
+            // drop the #EXT-X-STREAM-INF / #EXTINF line that described this URI
+            if (previousTag && output[output.length - 1] === previousTag) {
+                output.pop();
+            }
+        } else {
+            output.push(next);
+        }
+        previousTag = null;
+    }
+
+    return output.join('\n');
+};
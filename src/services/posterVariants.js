@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import Ffmpeg from 'fluent-ffmpeg';
+import { returnError } from '@/utils/returnError.js';
+import { uploadToBucket, deleteFromBucket } from '@/services/s3.js';
+
+// target widths, a poster narrower than a size is never upscaled
+export const POSTER_SIZES = Object.freeze({
+    thumbnail: 342,
+    card: 780,
+    backdrop: 1920,
+});
+
+const POSTER_FORMATS = Object.freeze({
+    webp: {
+        contentType: 'image/webp',
+        outputOptions: ['-c:v libwebp', '-quality 80'],
+    },
+    avif: {
+        contentType: 'image/avif',
+        outputOptions: [
+            '-c:v libaom-av1',
+            '-still-picture 1',
+            '-crf 32',
+            '-b:v 0',
+            '-cpu-used 6',
+            '-pix_fmt yuv420p',
+        ],
+    },
+});
+
+/**
+ * @typedef {object} PosterVariant
+ * @property {number} width
+ * @property {number} height
+ * @property {{ key: string, url: string }} [webp]
+ * @property {{ key: string, url: string }} [avif]
+ */
+
+/**
+ * @typedef {object} PosterVariants
+ * @property {{ width: number, height: number }} original
+ * @property {Partial<Record<keyof typeof POSTER_SIZES, PosterVariant>>} sizes - missing when a smaller size already has its width
+ */
+
+/**
+ * @name probeImage
+ * @param {string} filePath
+ * @returns {Promise<{ width: number, height: number }>}
+ */
+const probeImage = (filePath) => {
+    return new Promise((resolve, reject) => {
+        Ffmpeg(filePath).ffprobe((err, data) => {
+            const stream = data?.streams?.find(
+                ({ codec_type }) => codec_type === 'video'
+            );
+            if (err || !stream?.width || !stream?.height) {
+                reject(err ?? new Error('No image stream'));
+            } else {
+                resolve({ width: stream.width, height: stream.height });
+            }
+        });
+    });
+};
+
+/**
+ * @name renderVariant
+ * @param {string} input
+ * @param {string} output
+ * @param {number} width
+ * @param {keyof typeof POSTER_FORMATS} format
+ * @returns {Promise<void>}
+ */
+const renderVariant = (input, output, width, format) => {
+    return new Promise((resolve, reject) => {
+        Ffmpeg(input)
+            // -2 keeps the height even, which yuv420p needs
+            .videoFilters(`scale=${width}:-2`)
+            .outputOptions([
+                '-frames:v 1',
+                ...POSTER_FORMATS[format].outputOptions,
+            ])
+            .on('end', () => resolve())
+            .on('error', (error) => reject(error))
+            .save(output);
+    });
+};
+
+/**
+ * @name variantKey
+ * @description Bucket key of a variant, next to the original
+ * @param {string} name - the original's key
+ * @param {keyof typeof POSTER_SIZES} size
+ * @param {keyof typeof POSTER_FORMATS} format
+ * @returns {string}
+ */
+const variantKey = (name, size, format) => `variants/${name}/${size}.${format}`;
+
+/**
+ * @name uploadPosterVariants
+ * @description Resize a poster to every POSTER_SIZES width in WebP and AVIF and upload them next to the original.
+ * Sizes a narrow poster would render at the same width as a smaller size are left out. A format this ffmpeg
+ * can't encode is skipped, the original is always kept.
+ * @param {Object} params
+ * @param {string} params.bucketName
+ * @param {string} params.name - the original's key
+ * @param {Buffer} params.buffer - the original
+ * @returns {Promise<PosterVariants>}
+ */
+export const uploadPosterVariants = async ({ bucketName, name, buffer }) => {
+    const workDir = path.join(process.cwd(), 'temp', 'posters', randomUUID());
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    try {
+        const input = path.join(workDir, 'original');
+        await fs.promises.writeFile(input, buffer);
+
+        let original;
+        try {
+            original = await probeImage(input);
+        } catch (error) {
+            console.warn(
+                `⚠️ ffprobe could not read poster ${name}:`,
+                error.message
+            );
+            returnError('The file could not be read as an image', 422);
+        }
+
+        const sizes = {};
+        const skippedFormats = new Set();
+        const widths = new Set();
+
+        for (const [size, targetWidth] of Object.entries(POSTER_SIZES)) {
+            const width = Math.min(targetWidth, original.width);
+            if (widths.has(width)) continue;
+            widths.add(width);
+
+            const height =
+                2 * Math.round((original.height * width) / original.width / 2);
+            sizes[size] = { width, height };
+
+            for (const format of Object.keys(POSTER_FORMATS)) {
+                if (skippedFormats.has(format)) continue;
+
+                const output = path.join(workDir, `${size}.${format}`);
+                try {
+                    await renderVariant(input, output, width, format);
+                } catch (error) {
+                    console.error(
+                        `❌ Could not encode ${format} posters, skipping them:`,
+                        error.message
+                    );
+                    skippedFormats.add(format);
+                    continue;
+                }
+
+                const key = variantKey(name, size, format);
+                const data = await uploadToBucket({
+                    bucketName,
+                    key,
+                    buffer: await fs.promises.readFile(output),
+                    contentType: POSTER_FORMATS[format].contentType,
+                    isPublic: true,
+                });
+                sizes[size][format] = { key, url: data.url };
+            }
+        }
+
+        return { original, sizes };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+/**
+ * @name deletePosterVariants
+ * @description Remove the resized copies uploadPosterVariants made, posters from before it have none
+ * @param {string} bucketName
+ * @param {PosterVariants | null} variants
+ * @returns {Promise<void>}
+ */
+export const deletePosterVariants = async (bucketName, variants) => {
+    for (const variant of Object.values(variants?.sizes ?? {})) {
+        for (const format of Object.keys(POSTER_FORMATS)) {
+            if (variant[format]) {
+                await deleteFromBucket({
+                    bucketName,
+                    key: variant[format].key,
+                });
+            }
+        }
+    }
+};
@@ -1,10 +1,16 @@
 //Intialize the queue and redis connection
-import { Queue, Worker } from 'bullmq';
+import { Queue, Worker, DelayedError } from 'bullmq';
 import { redisConnection } from './redisClient.js';
 import {  transcodeVideo2, uploadtoDO, uploadHLSToDO, uploadMasterPlaylist, uploadSubtitleToDO, processTrailerToHLS } from "./transcodeVideo.js";
 import { io } from "@/utils/sockets.js";
 import { upload } from './multer.js';
 import prisma from '@/utils/db.mjs';
+import { env } from '@/env.mjs';
+import { collectGarbage } from './janitor.js';
+import { recordAudit } from './audit.js';
+import { admitTranscode, DISK_RETRY_DELAY_MS } from './diskGuard.js';
+import { failVersion } from './masterVersions.js';
+import { formatFileSize } from '@/utils/formatSize.js';
 import fs from 'fs';
 import { Agent as HttpsAgent } from 'https';
 import dotenv from 'dotenv';
@@ -59,11 +65,36 @@ const videoQueue = new Queue("video-transcoding", { connection: { ...redisConnec
 const uploadQueue = new Queue("upload-to-s3", { connection: { ...redisConnection, maxRetriesPerRequest: null },});
 const hlsUploadQueue = new Queue("upload-hls-to-s3", { connection: { ...redisConnection, maxRetriesPerRequest: null },});
 const masterPlaylistQueue = new Queue("upload-master-playlist", { connection: { ...redisConnection, maxRetriesPerRequest: null },});
+const janitorQueue = new Queue("janitor", { connection: { ...redisConnection, maxRetriesPerRequest: null },});
 
 const videoWorker = new Worker(
     "video-transcoding",
-    async (job)=> {
+    async (job, token)=> {
         console.log(`Processing job: ${job.name} with ID: ${job.id}`);
+
+        // Hold the job back until its output fits on disk, it is retried after DISK_RETRY_DELAY_MINUTES
+        const recordJobId = job.name === 'process-trailer-hls' ? job.data.jobId : job.id.toString();
+        const { admitted, neededBytes, availableBytes } = await admitTranscode({
+            jobId: recordJobId,
+            filePath: job.data.filePath,
+            kind: job.name,
+        });
+        if (!admitted) {
+            const delayReason = `Waiting for disk space: ${formatFileSize(neededBytes)} needed, ${formatFileSize(Math.max(availableBytes, 0))} available`;
+            console.log(`Job ${recordJobId} delayed. ${delayReason}`);
+
+            await prisma.videoProcessingJob.updateMany({
+                where: { jobId: recordJobId },
+                data: { status: 'delayed', delayReason }
+            });
+            io.to(job.data.clientId).emit("uploadProgress", {
+                content: { type: "transcode", stage: "waiting-for-disk", jobId: recordJobId, message: delayReason },
+                progress: 0
+            });
+
+            await job.moveToDelayed(Date.now() + DISK_RETRY_DELAY_MS, token);
+            throw new DelayedError();
+        }
         
         // Handle different job types
         if (job.name === 'process-trailer-hls') {
@@ -76,6 +107,7 @@ const videoWorker = new Worker(
                     where: { jobId: jobId },
                     data: { 
                         status: 'active',
+                        delayReason: null,
                         canCancel: true
                     }
                 });
@@ -155,7 +187,7 @@ const videoWorker = new Worker(
             
         } else {
             // Handle regular video transcoding (existing logic)
-            const { type, filePath, resourceId, resource, fileName, filename, outputDir, clientId, bucketName } = job.data;
+            const { type, filePath, resourceId, resource, fileName, filename, outputDir, clientId, bucketName, masterVersionId, keyPrefix, sourceMetadata } = job.data;
         
         // Update job status to active
         try {
@@ -163,6 +195,7 @@ const videoWorker = new Worker(
                 where: { jobId: job.id.toString() },
                 data: { 
                     status: 'active',
+                    delayReason: null,
                     canCancel: true // Active jobs can still be stopped
                 }
             });
@@ -182,6 +215,9 @@ const videoWorker = new Worker(
                 clientId,
                 bucketName,
                 jobId: job.id.toString(), // Pass the job ID for cancellation checks
+                masterVersionId,
+                keyPrefix,
+                sourceMetadata,
             });
             
             // Update job status to completed
@@ -258,6 +294,13 @@ videoWorker.on("failed", async (job, err)=> {
     } catch (dbError) {
         console.log('Could not update job status to failed:', dbError.message);
     }
+
+    // a replacement that can't finish leaves the live version in place
+    if (job.data.masterVersionId) {
+        await failVersion(job.data.masterVersionId, err.message).catch((dbError) => {
+            console.log('Could not mark master version as failed:', dbError.message);
+        });
+    }
     
     // Clean up temporary files for trailer jobs
     if (job.name === 'process-trailer-hls') {
@@ -344,7 +387,8 @@ const hlsUploadWorker = new Worker(
                 clientId,
                 type,
                 uploadPath,
-                subtitleMetadata // Add subtitleMetadata parameter
+                subtitleMetadata, // Add subtitleMetadata parameter
+                masterVersionId
             } = job.data;
             
             // Create upload job record in database
@@ -382,7 +426,8 @@ const hlsUploadWorker = new Worker(
                 clientId,
                 type,
                 uploadPath,
-                subtitleMetadata // Pass subtitleMetadata for database creation
+                subtitleMetadata, // Pass subtitleMetadata for database creation
+                masterVersionId
             });
             
             // Update job status to completed
@@ -405,12 +450,17 @@ const hlsUploadWorker = new Worker(
             const {   
                 hlsDir,
                 label,
+                codec,
+                quality,
                 filename,
                 resourceId,
                 bucketName,
                 clientId,
                 type, 
-                initialMetadata
+                initialMetadata,
+                variant,
+                masterVersionId,
+                keyPrefix
             } = job.data;
             
             // Create upload job record in database
@@ -428,6 +478,7 @@ const hlsUploadWorker = new Worker(
                         uploadType: 'hls',
                         contentType: 'video',
                         label,
+                        codec,
                         hlsDir,
                         initialMetadata,
                         bucketName,
@@ -443,13 +494,18 @@ const hlsUploadWorker = new Worker(
             await uploadHLSToDO({
                 hlsDir,
                 label,
+                codec,
+                quality,
                 filename,
                 resourceId,
                 bucketName,
                 clientId,
                 type,
                 initialMetadata,
-                subtitlePaths: [] // No resolution-specific subtitles in new approach
+                subtitlePaths: [], // No resolution-specific subtitles in new approach
+                variant,
+                masterVersionId,
+                keyPrefix
             });
             
             // Update job status to completed
@@ -509,6 +565,12 @@ hlsUploadWorker.on("failed", async (job, err)=> {
         } catch (dbError) {
             console.warn(`⚠️ Could not update failed HLS upload job status:`, dbError.message);
         }
+
+        if (job.data.masterVersionId) {
+            await failVersion(job.data.masterVersionId, `HLS ${label} upload failed: ${err.message}`).catch((dbError) => {
+                console.warn(`⚠️ Could not mark master version as failed:`, dbError.message);
+            });
+        }
         
         io.to(job.data.clientId).emit("JobFailed", {message: `HLS ${label}_${filename}- Uploading failed`});
     }
@@ -526,7 +588,11 @@ const masterPlaylistWorker = new Worker(
             bucketName,
             clientId,
             type,
-            subtitleLanguages
+            subtitleLanguages,
+            audioDir,
+            audio,
+            masterVersionId,
+            keyPrefix
         } = job.data;
         
         // Create upload job record in database
@@ -562,7 +628,11 @@ const masterPlaylistWorker = new Worker(
             bucketName,
             clientId,
             type,
-            subtitleLanguages
+            subtitleLanguages,
+            audioDir,
+            audio,
+            masterVersionId,
+            keyPrefix
         });
         
         // Update job status to completed
@@ -601,8 +671,60 @@ masterPlaylistWorker.on("failed", async (job, err)=> {
     } catch (dbError) {
         console.warn(`⚠️ Could not update failed master playlist upload job status:`, dbError.message);
     }
+
+    if (job.data.masterVersionId) {
+        await failVersion(job.data.masterVersionId, `Master playlist upload failed: ${err.message}`).catch((dbError) => {
+            console.warn(`⚠️ Could not mark master version as failed:`, dbError.message);
+        });
+    }
     
     io.to(job.data.clientId).emit("JobFailed", {message: `Master playlist ${filename}- Uploading failed`});
 });
 
-export { videoQueue, videoWorker, uploadQueue, uploadWorker, hlsUploadQueue, hlsUploadWorker, masterPlaylistQueue, masterPlaylistWorker };
\ No newline at end of file
+// Scheduled cleanup of abandoned uploads and transcode output, see services/janitor.js
+const janitorWorker = new Worker(
+    "janitor",
+    async () => {
+        const report = await collectGarbage();
+        console.log(`🧹 Janitor removed ${report.items.length} item(s), ${report.totalBytes} bytes`);
+
+        if (report.items.length || report.expiredSessions || report.errors.length) {
+            await recordAudit({
+                action: 'janitor.run',
+                actorType: 'system',
+                metadata: report,
+            });
+        }
+
+        return {
+            items: report.items.length,
+            totalBytes: report.totalBytes,
+            expiredSessions: report.expiredSessions,
+            errors: report.errors.length,
+        };
+    },
+    { connection: { ...redisConnection, maxRetriesPerRequest: null }, concurrency: 1 }
+);
+
+janitorWorker.on("failed", (job, err) => {
+    console.log(`Janitor job ${job?.id} failed with error ${err.message}`);
+});
+
+// a single scheduler, so restarting or running several instances doesn't stack runs
+const scheduleJanitor = async () => {
+    if (env.JANITOR_INTERVAL_MINUTES > 0) {
+        await janitorQueue.upsertJobScheduler(
+            "janitor",
+            { every: env.JANITOR_INTERVAL_MINUTES * 60 * 1000 },
+            { name: "collect-garbage", opts: { removeOnComplete: 20, removeOnFail: 20 } }
+        );
+    } else {
+        await janitorQueue.removeJobScheduler("janitor");
+    }
+};
+
+scheduleJanitor().catch((error) => {
+    console.error("❌ Could not schedule the janitor:", error.message);
+});
+
+export { videoQueue, videoWorker, uploadQueue, uploadWorker, hlsUploadQueue, hlsUploadWorker, masterPlaylistQueue, masterPlaylistWorker, janitorQueue, janitorWorker };
\ No newline at end of file
@@ -1,4 +1,10 @@
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectsCommand,
+} from '@aws-sdk/client-s3';
 import { Agent as HttpsAgent } from 'https';
 
 // Configure global Node.js HTTP agent limits for high concurrency
@@ -44,6 +50,22 @@ export const s3Client = new S3Client({
     connectionTimeout: 30000, // 30 seconds connection timeout
 });
 
+// source buckets read by POST /studio/ingest, our own Spaces account unless INGEST_S3_ENDPOINT is set
+export const ingestS3Client = process.env.INGEST_S3_ENDPOINT
+    ? new S3Client({
+          region: process.env.INGEST_S3_REGION || 'us-east-1',
+          endpoint: process.env.INGEST_S3_ENDPOINT,
+          credentials: {
+              accessKeyId: process.env.INGEST_S3_ACCESS_KEY,
+              secretAccessKey: process.env.INGEST_S3_SECRET_KEY,
+          },
+          // MinIO and most S3-compatible stores only serve path-style urls
+          forcePathStyle: true,
+          maxAttempts: 5,
+          retryMode: 'adaptive',
+      })
+    : s3Client;
+
 /**
  * @name uploadToBucket
  * @description function to upload file to bucket
@@ -108,3 +130,47 @@ export const deleteFromBucket = async (params) => {
         throw error;
     }
 };
+
+/**
+ * @name deletePrefixFromBucket
+ * @description Delete every object in the Spaces bucket whose key starts with `prefix`, the way deleteVideos
+ * clears a video's folders
+ * @param {string} prefix - `${bucketName}/${key}`, e.g. `${filmId}/v2/`
+ * @returns {Promise<number>} how many objects were deleted
+ */
+export const deletePrefixFromBucket = async (prefix) => {
+    let deleted = 0;
+    let continuationToken;
+
+    do {
+        const listResponse = await s3Client.send(
+            new ListObjectsV2Command({
+                Bucket: process.env.DO_SPACESBUCKET,
+                Prefix: prefix,
+                ContinuationToken: continuationToken,
+            })
+        );
+
+        if (listResponse.Contents?.length) {
+            const deleteResponse = await s3Client.send(
+                new DeleteObjectsCommand({
+                    Bucket: process.env.DO_SPACESBUCKET,
+                    Delete: {
+                        Objects: listResponse.Contents.map(({ Key }) => ({ Key })),
+                        Quiet: true,
+                    },
+                })
+            );
+            if (deleteResponse.Errors?.length) {
+                console.warn(`⚠️ Some files in ${prefix} could not be deleted:`, deleteResponse.Errors);
+            }
+            deleted += listResponse.Contents.length - (deleteResponse.Errors?.length ?? 0);
+        }
+
+        continuationToken = listResponse.IsTruncated
+            ? listResponse.NextContinuationToken
+            : undefined;
+    } while (continuationToken);
+
+    return deleted;
+};
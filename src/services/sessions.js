@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { env } from '@/env.mjs';
+import prisma from '@/utils/db.mjs';
+import { redisConnection } from '@/services/redisClient.js';
+import { signAuthToken } from '@/services/authTokens.js';
+import { returnError } from '@/utils/returnError.js';
+
+const DAY = 60 * 60 * 24;
+
+/**
+ * refresh token lifetime in seconds, matching the old single-token lifetimes
+ * @param {boolean} staySigned
+ */
+const refreshTtl = (staySigned) => (staySigned === false ? DAY : DAY * 30);
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+const accountSessionsKey = (type, accountId) => `sessions:${type}:${accountId}`;
+
+const hashSecret = (secret) =>
+    crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * @typedef {object} Session
+ * @property {string} id
+ * @property {string} accountId
+ * @property {'user' | 'admin'} type
+ * @property {string} refreshHash - sha256 of the current refresh secret
+ * @property {boolean} staySigned
+ * @property {string | null} userAgent
+ * @property {string | null} ip
+ * @property {string | null} deviceId - the `device` row the session was started on
+ * @property {string} createdAt
+ * @property {string} lastRefreshedAt
+ */
+
+/**
+ * @typedef {object} IssuedTokens
+ * @property {string} sessionId
+ * @property {string} accessToken
+ * @property {string} refreshToken - `<sessionId>.<secret>`, only the hash of the secret is stored
+ * @property {number} refreshMaxAge - refresh token lifetime in ms, for cookies
+ */
+
+/**
+ * @name getSession
+ * @param {string} sessionId
+ * @returns {Promise<Session | null>}
+ */
+export const getSession = async (sessionId) => {
+    const raw = await redisConnection.get(sessionKey(sessionId));
+    return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * @name isSessionActive
+ * @description Whether the session behind an access token has not been revoked or expired
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+    return (await redisConnection.exists(sessionKey(sessionId))) === 1;
+};
+
+const saveSession = async (session) => {
+    const ttl = refreshTtl(session.staySigned);
+    const accountKey = accountSessionsKey(session.type, session.accountId);
+
+    await redisConnection.set(sessionKey(session.id), JSON.stringify(session), {
+        EX: ttl,
+    });
+    await redisConnection.sAdd(accountKey, session.id);
+    await redisConnection.expire(accountKey, DAY * 30);
+};
+
+const issueTokens = (account, session, secret) => ({
+    sessionId: session.id,
+    accessToken: signAuthToken(account, {
+        type: session.type,
+        expiresIn: env.ACCESS_TOKEN_TTL,
+        sessionId: session.id,
+    }),
+    refreshToken: `${session.id}.${secret}`,
+    refreshMaxAge: refreshTtl(session.staySigned) * 1000,
+});
+
+/**
+ * @name startSession
+ * @description Create a server-side session and issue an access/refresh token pair for it
+ * @param {{ id: string, email: string, role?: string }} account - the user or admin row
+ * @param {Object} options
+ * @param {'user' | 'admin'} options.type
+ * @param {boolean} [options.staySigned]
+ * @param {import('express').Request} [options.req] - to record the user agent and ip
+ * @param {string} [options.deviceId] - the `device` row, so revoking the device ends the session
+ * @returns {Promise<IssuedTokens>}
+ */
+export const startSession = async (
+    account,
+    { type, staySigned, req, deviceId }
+) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date().toISOString();
+
+    const session = {
+        id: uuidv4(),
+        accountId: account.id,
+        type,
+        refreshHash: hashSecret(secret),
+        staySigned: staySigned !== false,
+        userAgent: req?.get?.('user-agent') ?? null,
+        ip: req?.ip ?? null,
+        deviceId: deviceId ?? null,
+        createdAt: now,
+        lastRefreshedAt: now,
+    };
+
+    await saveSession(session);
+    return issueTokens(account, session, secret);
+};
+
+/**
+ * @name refreshSession
+ * @description Rotate a refresh token. Presenting an already rotated token revokes the
+ * whole session, since it means the token was copied.
+ * @param {string} refreshToken
+ * @param {'user' | 'admin'} type
+ * @returns {Promise<IssuedTokens>}
+ */
+export const refreshSession = async (refreshToken, type) => {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        returnError('Refresh token is required', 401);
+    }
+
+    const [sessionId, secret] = refreshToken.split('.');
+    const session = sessionId ? await getSession(sessionId) : null;
+
+    if (!session || session.type !== type || !secret) {
+        returnError('Session expired, please log in again', 401);
+    }
+
+    if (hashSecret(secret) !== session.refreshHash) {
+        await revokeSession(session.id);
+        returnError('Session expired, please log in again', 401);
+    }
+
+    const account =
+        type === 'admin'
+            ? await prisma.admin.findUnique({ where: { id: session.accountId } })
+            : await prisma.user.findUnique({ where: { id: session.accountId } });
+
+    if (!account || account.deactivated) {
+        await revokeSession(session.id);
+        returnError('Session expired, please log in again', 401);
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('hex');
+    const rotated = {
+        ...session,
+        refreshHash: hashSecret(nextSecret),
+        lastRefreshedAt: new Date().toISOString(),
+    };
+
+    await saveSession(rotated);
+    return issueTokens(account, rotated, nextSecret);
+};
+
+/**
+ * @name revokeSession
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (sessionId) => {
+    if (!sessionId) return;
+
+    const session = await getSession(sessionId);
+    await redisConnection.del(sessionKey(sessionId));
+
+    if (session) {
+        await redisConnection.sRem(
+            accountSessionsKey(session.type, session.accountId),
+            sessionId
+        );
+    }
+};
+
+/**
+ * @name revokeAllSessions
+ * @description Log an account out of every device
+ * @param {'user' | 'admin'} type
+ * @param {string} accountId
+ * @returns {Promise<number>} the number of sessions revoked
+ */
+export const revokeAllSessions = async (type, accountId) => {
+    const accountKey = accountSessionsKey(type, accountId);
+    const sessionIds = await redisConnection.sMembers(accountKey);
+
+    if (sessionIds.length > 0) {
+        await redisConnection.del(sessionIds.map(sessionKey));
+    }
+    await redisConnection.del(accountKey);
+
+    return sessionIds.length;
+};
+
+/**
+ * @name revokeDeviceSessions
+ * @description End the sessions an account started on one device
+ * @param {'user' | 'admin'} type
+ * @param {string} accountId
+ * @param {string} deviceId - the `device` row id
+ * @returns {Promise<number>} the number of sessions revoked
+ */
+export const revokeDeviceSessions = async (type, accountId, deviceId) => {
+    const accountKey = accountSessionsKey(type, accountId);
+    const sessionIds = await redisConnection.sMembers(accountKey);
+
+    let revoked = 0;
+    for (const sessionId of sessionIds) {
+        const session = await getSession(sessionId);
+        if (!session) {
+            // expired on its own, just drop it from the index
+            await redisConnection.sRem(accountKey, sessionId);
+        } else if (session.deviceId === deviceId) {
+            await revokeSession(sessionId);
+            revoked++;
+        }
+    }
+
+    return revoked;
+};
+
+/**
+ * @name setSessionCookies
+ * @description Set the access and refresh cookies for a freshly issued token pair
+ * @param {import('express').Response} res
+ * @param {IssuedTokens} tokens
+ * @returns {import('express').Response}
+ */
+export const setSessionCookies = (res, tokens) => {
+    const options = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: tokens.refreshMaxAge,
+    };
+
+    return res
+        .cookie('token', tokens.accessToken, options)
+        .cookie('refreshToken', tokens.refreshToken, options);
+};
+
+/**
+ * @name clearSessionCookies
+ * @param {import('express').Response} res
+ * @returns {import('express').Response}
+ */
+export const clearSessionCookies = (res) => {
+    return res.clearCookie('token').clearCookie('refreshToken');
+};
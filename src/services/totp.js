@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import { env } from '@/env.mjs';
+import prisma from '@/utils/db.mjs';
+import { redisConnection } from '@/services/redisClient.js';
+
+// RFC 6238 defaults, the only parameters most authenticator apps support
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// accept the previous and next code too, to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (value) => {
+    let bits = '';
+    for (const char of value.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// secrets are encrypted at rest with a key derived from the token secret
+const encryptionKey = () =>
+    crypto.createHash('sha256').update(`totp:${env.SECRETVA}`).digest();
+
+/**
+ * @name encryptSecret
+ * @param {string} secret - base32 totp secret
+ * @returns {string} `<iv>.<tag>.<ciphertext>`, hex encoded
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted]
+        .map((part) => part.toString('hex'))
+        .join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored
+        .split('.')
+        .map((part) => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * @name generateCode
+ * @description HOTP value (RFC 4226) for a counter
+ * @param {string} secret - base32
+ * @param {number} counter
+ * @returns {string}
+ */
+const generateCode = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+        .createHmac('sha1', base32Decode(secret))
+        .update(message)
+        .digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * @name matchTotp
+ * @param {string} secret - base32
+ * @param {string} code
+ * @returns {number | null} the time step the code belongs to, or null when it doesn't match
+ */
+const matchTotp = (secret, code) => {
+    const normalized = String(code ?? '').replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const current = Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+const hashRecoveryCode = (code) =>
+    crypto
+        .createHash('sha256')
+        .update(String(code).replace(/[\s-]+/g, '').toLowerCase())
+        .digest('hex');
+
+/**
+ * @name createTotpSecret
+ * @description A new secret and the otpauth:// uri to render as a QR code for authenticator apps
+ * @param {{ email: string }} admin
+ * @returns {{ secret: string, encryptedSecret: string, otpauthUri: string }}
+ */
+export const createTotpSecret = (admin) => {
+    const secret = base32Encode(crypto.randomBytes(20));
+    const issuer = env.TOTP_ISSUER;
+    const label = encodeURIComponent(`${issuer}:${admin.email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS),
+    });
+
+    return {
+        secret,
+        encryptedSecret: encryptSecret(secret),
+        otpauthUri: `otpauth://totp/${label}?${params.toString()}`,
+    };
+};
+
+/**
+ * @name createRecoveryCodes
+ * @description One-time codes for when the authenticator is lost. Only the hashes are stored,
+ * the codes themselves are shown to the admin once.
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+export const createRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * @name verifyTotpCode
+ * @description Check a code against an encrypted secret. A code is only accepted once.
+ * @param {string} adminId
+ * @param {string} encryptedSecret - `admin.totpSecret`
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+export const verifyTotpCode = async (adminId, encryptedSecret, code) => {
+    if (!encryptedSecret || !code) return false;
+
+    const step = matchTotp(decryptSecret(encryptedSecret), code);
+    if (step === null) return false;
+
+    // replay protection, remember the last step used for longer than codes stay valid
+    const lastUsedKey = `totp:last:${adminId}`;
+    const lastUsed = Number(await redisConnection.get(lastUsedKey));
+    if (lastUsed && step <= lastUsed) return false;
+
+    await redisConnection.set(lastUsedKey, String(step), {
+        EX: PERIOD_SECONDS * (DRIFT_STEPS * 2 + 2),
+    });
+    return true;
+};
+
+/**
+ * @name verifySecondFactor
+ * @description Check an enrolled admin's authenticator code, or consume one of their recovery codes
+ * @param {{ id: string, totpSecret: string | null, totpRecoveryCodes: string[] }} admin
+ * @param {{ code?: string, recoveryCode?: string }} factor
+ * @returns {Promise<{ isValid: boolean, method: 'totp' | 'recovery' | null, recoveryCodesLeft?: number }>}
+ */
+export const verifySecondFactor = async (admin, { code, recoveryCode }) => {
+    if (code) {
+        const isValid = await verifyTotpCode(admin.id, admin.totpSecret, code);
+        return { isValid, method: isValid ? 'totp' : null };
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        if (!admin.totpRecoveryCodes?.includes(hash)) {
+            return { isValid: false, method: null };
+        }
+
+        const remaining = admin.totpRecoveryCodes.filter((stored) => stored !== hash);
+        await prisma.admin.update({
+            where: { id: admin.id },
+            data: { totpRecoveryCodes: remaining },
+        });
+        return { isValid: true, method: 'recovery', recoveryCodesLeft: remaining.length };
+    }
+
+    return { isValid: false, method: null };
+};
@@ -1,7 +1,7 @@
 import path from 'path';
 import Ffmpeg from 'fluent-ffmpeg';
 import { io } from '@/utils/sockets.js';
-import { uploadToBucket } from './s3.js';
+import { uploadToBucket, deleteFromBucket } from './s3.js';
 import ChunkService from './chunkService.js';
 import fs from 'fs';
 import { formatBitrate } from '@/utils/formatBitrate.js';
@@ -9,20 +9,11 @@ import prisma from '@/utils/db.mjs';
 import { returnError } from '@/utils/returnError.js';
 import { spawn } from 'child_process';
 import { hlsUploadQueue, masterPlaylistQueue } from './queueWorkers.js';
-
-let RESOLUTIONS = {
-    SD: 480,
-    HD: 720,
-    FHD: 1080,
-    UHD: 2160,
-};
-
-const resolutionsArray = [
-    { name: '480p', label: 'SD', width: 854, height: 480, bitrate: 1000 }, // 480p   SD
-    { name: '720p', label: 'HD', width: 1280, height: 720, bitrate: 2500 }, // 720p   HD
-    { name: '1080p', label: 'FHD', width: 1920, height: 1080, bitrate: 5000 }, // 1080p Full HD
-    { name: '4K', label: 'UHD', width: 3840, height: 2160, bitrate: 15000 }, // 4K UHD
-];
+import { buildLadder, buildAudioRenditions, applyEncodingAnalysis, renditionKey, RENDITION_PREFIX } from '@/utils/renditions.js';
+import { setVersionRenditions, recordVersionVideo, recordVersionSubtitle } from './masterVersions.js';
+import { probeMedia } from './mediaProbe.js';
+import { measureRendition, buildMasterPlaylist, findVariants } from './masterPlaylist.js';
+import { analyzeEncoding } from './encodingAnalysis.js';
 
 // HLS Configuration for optimal streaming
 const HLS_CONFIG = {
@@ -44,8 +35,8 @@ const HLS_CONFIG = {
 
 /**
     @typedef {Object} VideoDetails
-    * @property {"SD" | "HD" | "FHD" | "UHD"} resolution - Label of the resolution
-    * @property {"SD" | "HD" | "FHD" | "UHD" } label 
+    * @property {"ULD" | "LD" | "SD" | "HD" | "FHD" | "UHD"} resolution - Label of the resolution
+    * @property {"ULD" | "LD" | "SD" | "HD" | "FHD" | "UHD" } label 
     * @property {string} name - Width of the video in pixels
     * @property {string} format - Height of the video in pixels
     * @property {string} encoding - Output path of the transcoded video
@@ -85,16 +76,51 @@ function formatFileSize(size) {
     }
 }
 
+/**
+ * ffmpeg video options of a rung: scaled to its size with square pixels and capped at its bitrate
+ * @param {import('@/utils/renditions.js').Rendition} rendition
+ * @returns {string[]}
+ */
+const renditionVideoOptions = (rendition) => [
+    `-vf scale=${rendition.width}:${rendition.height},setsar=1`,
+    `-maxrate ${rendition.bitrate}k`,
+    `-bufsize ${rendition.bitrate * 2}k`,
+];
+
+// encoder and options of each video codec, the crf is the rendition's. HEVC and AV1 are 8 bit 4:2:0 so phones can
+// decode them in hardware
+const VIDEO_ENCODERS = {
+    h264: { encoder: 'libx264', options: [`-preset fast`] },
+    hevc: { encoder: 'libx265', options: [`-preset fast`, `-pix_fmt yuv420p`, `-tag:v hvc1`, `-x265-params log-level=error`] },
+    av1: { encoder: 'libsvtav1', options: [`-preset 8`, `-pix_fmt yuv420p`] },
+};
+
+/**
+ * HLS segment options of a rendition, H.264 keeps MPEG-TS and HEVC and AV1 need fMP4
+ * @param {import('@/utils/renditions.js').Rendition} rendition
+ * @param {string} name - the rendition's playlist name without its extension
+ * @returns {string[]}
+ */
+const renditionSegmentOptions = (rendition, name) =>
+    rendition.codec === 'h264'
+        ? [`-hls_segment_filename ${name}_%03d.ts`]
+        : [
+              `-hls_segment_type fmp4`,
+              `-hls_fmp4_init_filename ${name}_init.mp4`,
+              `-hls_segment_filename ${name}_%03d.m4s`,
+          ];
+
 /**
  * Generate HLS playlist and segments for a specific resolution with subtitle support
  * @param {string} inputPath - Path to the original video file
  * @param {string} outputDir - Output directory for HLS files
  * @param {string} filename - Base filename
- * @param {string} label - Resolution label (SD, HD, FHD, UHD)
+ * @param {import('@/utils/renditions.js').Rendition} rendition - a rung of the title's ladder, see buildLadder
  * @param {string} clientId - Client ID for progress updates
  * @returns {Promise<{playlistPath: string, subtitlePaths: string[]}>} - Path to the HLS playlist and subtitle files
  */
-const generateHLSPlaylist = async (inputPath, outputDir, filename, label, clientId) => {
+const generateHLSPlaylist = async (inputPath, outputDir, filename, rendition, clientId) => {
+    const { label } = rendition;
     console.log(`🎬 Generating HLS for ${label} with subtitle support...`);
     
     const hlsOutputDir = path.join(outputDir, `hls_${label}_${filename}`);
@@ -104,12 +130,6 @@ const generateHLSPlaylist = async (inputPath, outputDir, filename, label, client
     const subtitlePaths = [];
     
     return new Promise((resolve, reject) => {
-        const resolution = resolutionsArray.find(r => r.label === label);
-        if (!resolution) {
-            reject(new Error(`Resolution ${label} not found`));
-            return;
-        }
-
         // Change to the output directory to avoid path issues
         const originalCwd = process.cwd();
         process.chdir(hlsOutputDir);
@@ -165,7 +185,7 @@ const generateHLSPlaylist = async (inputPath, outputDir, filename, label, client
                 .outputOptions(`-c:v libx264`)
                 .outputOptions(`-preset fast`)
                 .outputOptions(`-crf 23`)
-                .outputOptions(`-vf scale=${resolution.width}:${resolution.height}`)
+                .outputOptions(renditionVideoOptions(rendition))
                 .outputOptions(`-c:a aac`)
                 .outputOptions(`-b:a 128k`)
                 .outputOptions(`-ar 48000`) // Set audio sample rate to 48kHz for better sync
@@ -210,7 +230,7 @@ const generateHLSPlaylist = async (inputPath, outputDir, filename, label, client
                     for (const subtitleFile of subtitleFiles) {
                         const fileName = path.basename(subtitleFile);
                         // Remove resolution prefix (e.g., FHD_, UHD_) for professional approach
-                        const cleanFileName = fileName.replace(/^(SD_|HD_|FHD_|UHD_)/, '');
+                        const cleanFileName = fileName.replace(RENDITION_PREFIX, '');
                         const professionalPath = path.join(hlsOutputDir, cleanFileName);
                         
                         try {
@@ -261,7 +281,7 @@ const generateHLSPlaylist = async (inputPath, outputDir, filename, label, client
                     .outputOptions(`-c:v libx264`)
                     .outputOptions(`-preset fast`)
                     .outputOptions(`-crf 23`)
-                    .outputOptions(`-vf scale=${resolution.width}:${resolution.height}`)
+                    .outputOptions(renditionVideoOptions(rendition))
                     .outputOptions(`-c:a aac`)
                     .outputOptions(`-b:a 128k`)
                     .outputOptions(`-ar 48000`) // Set audio sample rate to 48kHz for better sync
@@ -310,57 +330,58 @@ const generateHLSPlaylist = async (inputPath, outputDir, filename, label, client
  * @param {string} inputPath - Path to the original video file
  * @param {string} outputDir - Output directory for HLS files
  * @param {string} filename - Base filename
- * @param {string} label - Resolution label (SD, HD, FHD, UHD)
+ * @param {import('@/utils/renditions.js').Rendition} rendition - a rung of the title's ladder, see buildLadder
  * @param {string} clientId - Client ID for progress updates
+ * @param {boolean} [muxAudio] - mux the default audio in as stereo AAC, off when audio renditions are packaged on their own
  * @returns {Promise<{playlistPath: string}>} - Path to the HLS playlist
  */
-const generateHLSPlaylistWithoutSubtitles = async (inputPath, outputDir, filename, label, clientId) => {
-    console.log(`🎬 Generating HLS for ${label} without subtitle extraction...`);
+const generateHLSPlaylistWithoutSubtitles = async (inputPath, outputDir, filename, rendition, clientId, muxAudio = true) => {
+    const { label, key, codec } = rendition;
+    console.log(`🎬 Generating HLS for ${key} without subtitle extraction...`);
     
-    const hlsOutputDir = path.join(outputDir, `hls_${label}_${filename}`);
+    const hlsOutputDir = path.join(outputDir, `hls_${key}_${filename}`);
     fs.mkdirSync(hlsOutputDir, { recursive: true });
     
-    const playlistPath = path.join(hlsOutputDir, `${label}_${filename}.m3u8`);
+    const playlistPath = path.join(hlsOutputDir, `${key}_${filename}.m3u8`);
     
     return new Promise((resolve, reject) => {
-        const resolution = resolutionsArray.find(r => r.label === label);
-        if (!resolution) {
-            reject(new Error(`Resolution ${label} not found`));
-            return;
-        }
-
         // Change to the output directory to avoid path issues
         const originalCwd = process.cwd();
         process.chdir(hlsOutputDir);
 
         // Generate HLS without subtitle extraction
         const command = Ffmpeg(inputPath);
+        const audioOptions = muxAudio
+            ? [
+                  `-c:a aac`,
+                  `-b:a 128k`,
+                  `-ar 48000`, // Set audio sample rate to 48kHz for better sync
+                  `-ac 2`, // Stereo audio
+                  `-async 1`, // Audio sync correction
+              ]
+            : [`-an`]; // the audio renditions carry it
         
         command
-            .outputOptions(`-c:v libx264`)
-            .outputOptions(`-preset fast`)
-            .outputOptions(`-crf 23`)
-            .outputOptions(`-vf scale=${resolution.width}:${resolution.height}`)
-            .outputOptions(`-c:a aac`)
-            .outputOptions(`-b:a 128k`)
-            .outputOptions(`-ar 48000`) // Set audio sample rate to 48kHz for better sync
-            .outputOptions(`-ac 2`) // Stereo audio
-            .outputOptions(`-async 1`) // Audio sync correction
+            .outputOptions(`-c:v ${VIDEO_ENCODERS[codec].encoder}`)
+            .outputOptions(VIDEO_ENCODERS[codec].options)
+            .outputOptions(`-crf ${rendition.crf}`)
+            .outputOptions(renditionVideoOptions(rendition))
+            .outputOptions(audioOptions)
             .outputOptions(`-vsync 1`) // Video sync correction
             .outputOptions(`-f hls`)
             .outputOptions(`-hls_time 6`)
             .outputOptions(`-hls_list_size 0`)
-            .outputOptions(`-hls_segment_filename ${label}_${filename}_%03d.ts`)
+            .outputOptions(renditionSegmentOptions(rendition, `${key}_${filename}`))
             .outputOptions(`-hls_flags independent_segments`)
             .outputOptions(`-hls_playlist_type vod`)
             .outputOptions(`-sn`) // Skip subtitle streams to avoid generating subtitle files
-            .output(`${label}_${filename}.m3u8`)
+            .output(`${key}_${filename}.m3u8`)
             .on('start', (commandLine) => {
-                console.log(`🚀 FFmpeg HLS command for ${label}:`, commandLine);
+                console.log(`🚀 FFmpeg HLS command for ${key}:`, commandLine);
                 broadcastProgress({
                     progress: 0,
                     clientId,
-                    content: { type: 'hls_generation', resolution: label }
+                    content: { type: 'hls_generation', resolution: label, codec }
                 });
             })
             .on('progress', (progress) => {
@@ -368,19 +389,19 @@ const generateHLSPlaylistWithoutSubtitles = async (inputPath, outputDir, filenam
                     broadcastProgress({
                         progress: Math.round(progress.percent),
                         clientId,
-                        content: { type: 'hls_generation', resolution: label }
+                        content: { type: 'hls_generation', resolution: label, codec }
                     });
                 }
             })
             .on('end', () => {
-                console.log(`✅ HLS generation completed for ${label}`);
+                console.log(`✅ HLS generation completed for ${key}`);
                 
                 // Restore original working directory
                 process.chdir(originalCwd);
                 resolve({ playlistPath });
             })
             .on('error', (err) => {
-                console.error(`❌ HLS generation failed for ${label}:`, err);
+                console.error(`❌ HLS generation failed for ${key}:`, err);
                 // Restore original working directory
                 process.chdir(originalCwd);
                 reject(err);
@@ -390,49 +411,83 @@ const generateHLSPlaylistWithoutSubtitles = async (inputPath, outputDir, filenam
 };
 
 /**
- * Generate master HLS playlist that includes all resolutions and subtitle tracks
+ * Generate the HLS playlist and segments of one audio rendition, every rendition of a title shares hls_audio_<filename>/
+ * @param {string} inputPath - Path to the original video file
+ * @param {string} outputDir - Output directory for HLS files
+ * @param {string} filename - Base filename
+ * @param {import('@/utils/renditions.js').AudioRendition} audio - see buildAudioRenditions
+ * @param {string} clientId - Client ID for progress updates
+ * @returns {Promise<{playlistPath: string}>} - Path to the HLS playlist
+ */
+const generateAudioRendition = async (inputPath, outputDir, filename, audio, clientId) => {
+    const name = `audio_${audio.key}_${filename}`;
+    console.log(`🎧 Generating HLS audio ${audio.key} (${audio.name}, ${audio.channels} channels)...`);
+
+    const hlsOutputDir = path.join(outputDir, `hls_audio_${filename}`);
+    fs.mkdirSync(hlsOutputDir, { recursive: true });
+
+    const playlistPath = path.join(hlsOutputDir, `${name}.m3u8`);
+
+    return new Promise((resolve, reject) => {
+        Ffmpeg(inputPath)
+            .outputOptions(`-map 0:a:${audio.stream}`)
+            .outputOptions(`-vn`)
+            .outputOptions(`-sn`)
+            .outputOptions(`-c:a ${audio.codec}`)
+            .outputOptions(`-b:a ${audio.bitrate}k`)
+            .outputOptions(`-ar 48000`) // Set audio sample rate to 48kHz for better sync
+            .outputOptions(`-ac ${audio.channels}`)
+            .outputOptions(`-async 1`) // Audio sync correction
+            .outputOptions(`-f hls`)
+            .outputOptions(`-hls_time 6`) // the video renditions' segment length, players switch between them
+            .outputOptions(`-hls_list_size 0`)
+            .outputOptions(`-hls_segment_filename ${path.join(hlsOutputDir, `${name}_%03d.ts`)}`)
+            .outputOptions(`-hls_flags independent_segments`)
+            .outputOptions(`-hls_playlist_type vod`)
+            .output(playlistPath)
+            .on('start', (commandLine) => {
+                console.log(`🚀 FFmpeg HLS command for audio ${audio.key}:`, commandLine);
+                broadcastProgress({
+                    progress: 0,
+                    clientId,
+                    content: { type: 'hls_generation', resolution: 'AUDIO', track: audio.key }
+                });
+            })
+            .on('progress', (progress) => {
+                if (progress.percent) {
+                    broadcastProgress({
+                        progress: Math.round(progress.percent),
+                        clientId,
+                        content: { type: 'hls_generation', resolution: 'AUDIO', track: audio.key }
+                    });
+                }
+            })
+            .on('end', () => {
+                console.log(`✅ HLS generation completed for audio ${audio.key}`);
+                resolve({ playlistPath });
+            })
+            .on('error', (err) => {
+                console.error(`❌ HLS generation failed for audio ${audio.key}:`, err);
+                reject(err);
+            })
+            .run();
+    });
+};
+
+/**
+ * Generate master HLS playlist that includes all resolutions, audio and subtitle tracks
  * @param {string} outputDir - Output directory
  * @param {string} filename - Base filename
- * @param {string} bucketName - S3 bucket name
- * @param {Array} subtitleLanguages - Array of available subtitle languages
+ * @param {import('./masterPlaylist.js').Variant[]} variants - the renditions as measured, see measureRendition
+ * @param {import('./masterPlaylist.js').SubtitleTrack[]} subtitles - the extracted subtitle files
+ * @param {import('./masterPlaylist.js').AudioVariant[]} audio - the audio renditions, none when it is muxed into the video
  * @returns {Promise<string>} - Path to the master playlist
  */
-const generateMasterPlaylist = async (outputDir, filename, bucketName, subtitleLanguages = []) => {
+const generateMasterPlaylist = async (outputDir, filename, variants, subtitles = [], audio = []) => {
     const masterPlaylistPath = path.join(outputDir, `master_${filename}.m3u8`);
     
-    let masterPlaylist = '#EXTM3U\n#EXT-X-VERSION:3\n\n';
-    
-    // Shared approach: Add subtitle group definition once for all resolutions
-    if (subtitleLanguages.length > 0) {
-        console.log(`📝 Adding subtitle group for ${subtitleLanguages.length} languages to master playlist`);
-        
-        subtitleLanguages.forEach(lang => {
-            // Shared approach: Use shared subtitle directory for all resolutions
-            const subtitleUrl = `subtitles/${filename}/${filename}_${lang}.vtt`;
-            masterPlaylist += `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",LANGUAGE="${lang}",NAME="${lang.toUpperCase()}",DEFAULT=${lang === 'en' ? 'YES' : 'NO'},URI="${subtitleUrl}"\n`;
-        });
-        masterPlaylist += '\n';
-    }
-    
-    // Add video streams with subtitle references
-    const resolutions = ['SD', 'HD', 'FHD', 'UHD'];
-    const bandwidths = [500000, 1000000, 2000000, 4000000]; // 500k, 1M, 2M, 4M
-    const videoResolutions = ['854x480', '1280x720', '1920x1080', '3840x2160'];
-    
-    resolutions.forEach((resolution, index) => {
-        const bandwidth = bandwidths[index];
-        const videoResolution = videoResolutions[index];
-        const playlistUrl = `${resolution}_${filename}.m3u8`;
-        
-        // Shared approach: All resolutions reference the same subtitle group
-        const subtitleReference = subtitleLanguages.length > 0 ? `,SUBTITLES="subs"` : '';
-        
-        masterPlaylist += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${videoResolution}${subtitleReference}\n`;
-        masterPlaylist += `${playlistUrl}\n`;
-    });
-    
-    fs.writeFileSync(masterPlaylistPath, masterPlaylist);
-    console.log(`✅ Master playlist generated with shared subtitle approach: ${masterPlaylistPath}`);
+    fs.writeFileSync(masterPlaylistPath, buildMasterPlaylist({ variants, audio, subtitles }));
+    console.log(`✅ Master playlist generated with ${variants.length} renditions, ${audio.length} audio tracks and ${subtitles.length} subtitles: ${masterPlaylistPath}`);
     
     return masterPlaylistPath;
 };
@@ -597,41 +652,79 @@ const mergeSegments = async (segmentFolder, finalOutputPath, clientId, label, fi
     });
 };
 
-const onPreTranscode2 = async (resolutions, type, resourceId) => {
+/**
+ * @name onPreTranscode2
+ * @description Build the title's ladder and audio renditions from its source and its `encodingLadder` config,
+ * an episode without one uses its film's
+ * @param {import('./mediaProbe.js').MediaInfo} source
+ * @param {"film" | "episode"} type
+ * @param {string} resourceId
+ * @returns {Promise<{
+ *     ladder: import('@/utils/renditions.js').Rendition[],
+ *     pending: import('@/utils/renditions.js').Rendition[],
+ *     audio: import('@/utils/renditions.js').AudioRendition[],
+ *     current: { hasRenditions: boolean, audio: import('./masterPlaylist.js').AudioVariant[] | null },
+ *     perTitle: boolean,
+ * }>}
+ * `pending` are the rungs of the ladder that have not been transcoded yet, `current` is how the title is packaged
+ * now: `audio` is null when its renditions have the audio muxed in. `perTitle` asks for the encoding analysis
+ */
+const onPreTranscode2 = async (source, type, resourceId) => {
     try {
         let videos = [];
+        let config = null;
+        let audioLanguages = [];
 
         console.log('resolutions', 'checking jobs');
 
         if (type === 'film') {
             videos = await prisma.video.findMany({
                 where: { filmId: resourceId, isTrailer: false },
-                select: { id: true, resolution: true },
+                select: { id: true, resolution: true, codec: true, variant: true },
             });
-            
+            const film = await prisma.film.findUnique({
+                where: { id: resourceId },
+                select: { encodingLadder: true, audioLanguages: true },
+            });
+            config = film?.encodingLadder;
+            audioLanguages = film?.audioLanguages ?? [];
         }
 
         if (type === 'episode') {
             videos = await prisma.video.findMany({
                 where: { episodeId: resourceId, isTrailer: false },
-                select: { id: true, resolution: true },
+                select: { id: true, resolution: true, codec: true, variant: true },
             });
+            const episode = await prisma.episode.findUnique({
+                where: { id: resourceId },
+                select: {
+                    encodingLadder: true,
+                    audioLanguages: true,
+                    season: { select: { film: { select: { encodingLadder: true, audioLanguages: true } } } },
+                },
+            });
+            config = episode?.encodingLadder ?? episode?.season?.film?.encodingLadder;
+            audioLanguages = episode?.audioLanguages?.length ? episode.audioLanguages : episode?.season?.film?.audioLanguages ?? [];
         }
         console.log('resolutions', videos);
 
-        // if no videos are found, use the default resolutions
-        if (!videos.length > 0) return resolutions;
+        const ladder = buildLadder(source?.video, config ?? {});
+        const pending = ladder.filter(
+            ({ key }) => !videos.some((vid) => renditionKey(vid.resolution, vid.codec) === key)
+        );
+        const audio = buildAudioRenditions(source?.audioTracks, { audioLanguages, surround: config?.surround });
+        const master = videos.find(({ resolution }) => resolution === 'MASTER');
 
-        const notInVideos = {};
-        for (const [resolution, ht] of Object.entries(resolutions)) {
-            const exists = videos.some(
-                (vid) => vid.resolution === resolution
-            );
-            if (!exists) {
-                notInVideos[resolution] = ht;
-            }
-        }
-        return notInVideos;
+        return {
+            ladder,
+            pending,
+            audio,
+            current: {
+                hasRenditions: videos.some(({ resolution }) => resolution !== 'MASTER'),
+                audio: master?.variant?.audio ?? null,
+            },
+            perTitle: Boolean(config?.perTitle),
+        };
     } catch (error) {
         throw error;
     }
@@ -652,6 +745,37 @@ const onUploadComplete2 = async (data, resourceId, type) => {
     });
 };
 
+/**
+ * @name onMasterUploadComplete
+ * @description A title has one master playlist, adding renditions replaces the row and file it had
+ */
+const onMasterUploadComplete = async (data, resourceId, type, bucketName) => {
+    const master = await prisma.video.findFirst({
+        where: {
+            [type === 'film' ? 'filmId' : 'episodeId']: resourceId,
+            isTrailer: false,
+            resolution: 'MASTER',
+        },
+    });
+    if (!master) {
+        return onUploadComplete2(data, resourceId, type);
+    }
+
+    // the new file is at the bucket root even if the old one was under a replacement's prefix
+    await prisma.video.update({
+        where: { id: master.id },
+        data: { ...data, masterVersionId: null },
+    });
+
+    if (master.name !== data.name && !master.masterVersionId) {
+        try {
+            await deleteFromBucket({ bucketName, key: master.name });
+        } catch (error) {
+            console.warn(`⚠️ Could not delete the previous master playlist ${master.name}:`, error.message);
+        }
+    }
+};
+
 // Helper function to check if job is cancelled
 const checkJobCancellation = async (jobId) => {
     try {
@@ -673,10 +797,11 @@ const checkJobCancellation = async (jobId) => {
  * @param {string} inputPath - Path to the original trailer file
  * @param {string} outputDir - Output directory for HLS files
  * @param {string} filename - Base filename
+ * @param {import('@/utils/renditions.js').Rendition} rendition - the HD rung fitted to the trailer
  * @param {string} clientId - Client ID for progress updates
  * @returns {Promise<{playlistPath: string, hlsUrl: string}>} - Path to the HLS playlist and URL
  */
-const generateTrailerHLS = async (inputPath, outputDir, filename, clientId) => {
+const generateTrailerHLS = async (inputPath, outputDir, filename, rendition, clientId) => {
     console.log(`🎬 Generating HLS for trailer: ${filename}`);
     
     const hlsOutputDir = path.join(outputDir, `hls_trailer_${filename}`);
@@ -685,9 +810,6 @@ const generateTrailerHLS = async (inputPath, outputDir, filename, clientId) => {
     const playlistPath = path.join(hlsOutputDir, `trailer_${filename}.m3u8`);
     
     return new Promise((resolve, reject) => {
-        // Use 720p HD resolution for trailers - good balance of quality and file size
-        const trailerResolution = { width: 1280, height: 720, bitrate: 2500 };
-
         // Change to the output directory to avoid path issues
         const originalCwd = process.cwd();
         process.chdir(hlsOutputDir);
@@ -699,7 +821,7 @@ const generateTrailerHLS = async (inputPath, outputDir, filename, clientId) => {
             .outputOptions(`-c:v libx264`)
             .outputOptions(`-preset fast`)
             .outputOptions(`-crf 23`)
-            .outputOptions(`-vf scale=${trailerResolution.width}:${trailerResolution.height}`)
+            .outputOptions(renditionVideoOptions(rendition))
             .outputOptions(`-c:a aac`)
             .outputOptions(`-b:a 128k`)
             .outputOptions(`-ar 48000`) // Set audio sample rate to 48kHz for better sync
@@ -821,18 +943,16 @@ export const processTrailerToHLS = async ({ filePath, outputDir, filename, bucke
         console.log(`🎬 Starting trailer HLS processing for: ${filename}`);
         
         // Get video metadata
-        const metadata = await new Promise((resolve, reject) => {
-            Ffmpeg(filePath).ffprobe((err, data) => {
-                if (err) reject(err);
-                else resolve(data.format);
-            });
-        });
+        const metadata = await probeMedia(filePath);
         
         console.log(`📊 Trailer metadata:`, {
             duration: metadata.duration,
             size: metadata.size,
-            bitrate: metadata.bit_rate
+            bitrate: metadata.bitrate
         });
+
+        // Use 720p HD resolution for trailers - good balance of quality and file size, a smaller trailer keeps its own
+        const [rendition] = buildLadder(metadata.video, { labels: ['HD'] });
         
         // Generate HLS files
         broadcastProgress({
@@ -841,7 +961,7 @@ export const processTrailerToHLS = async ({ filePath, outputDir, filename, bucke
             content: { type: 'trailer_processing', stage: 'hls_generation' }
         });
         
-        const { playlistPath } = await generateTrailerHLS(filePath, outputDir, filename, clientId);
+        const { playlistPath } = await generateTrailerHLS(filePath, outputDir, filename, rendition, clientId);
         
         // Upload HLS files to bucket
         broadcastProgress({
@@ -883,6 +1003,31 @@ export const processTrailerToHLS = async ({ filePath, outputDir, filename, bucke
 };
 
 
+/**
+ * @name analyzeTitle
+ * @description Run the per-title encoding analysis over the H.264 rungs being transcoded and keep it on the
+ * processing job. An analysis that fails leaves the title on the default crf and bitrates.
+ * @returns {Promise<import('./encodingAnalysis.js').EncodingAnalysis | null>}
+ */
+const analyzeTitle = async ({ filePath, outputDir, filename, jobId, source, ladder, renditions }) => {
+    const rungs = ladder.filter(
+        ({ codec, label }) => codec === 'h264' && renditions.some((rendition) => rendition.label === label)
+    );
+    try {
+        const analysis = await analyzeEncoding(filePath, path.join(outputDir, `analysis_${filename}`), rungs, source.duration);
+        console.log(`🔬 Per-title encoding:`, analysis.rungs.map(({ label, crf, bitrate, score, selected }) => `${label} crf ${crf} ${bitrate}k ${analysis.metric} ${score}${selected ? '' : ' (left out)'}`));
+
+        await prisma.videoProcessingJob.updateMany({
+            where: { jobId },
+            data: { encodingAnalysis: analysis },
+        });
+        return analysis;
+    } catch (error) {
+        console.warn(`⚠️ Per-title encoding analysis failed, using the default ladder:`, error.message);
+        return null;
+    }
+};
+
 export async function transcodeVideo2({
     type,
     filePath,
@@ -894,11 +1039,34 @@ export async function transcodeVideo2({
     clientId,
     bucketName,
     jobId,
+    masterVersionId,
+    keyPrefix = '', // "v2/"… when replacing the live master, see services/masterVersions.js
+    sourceMetadata,
 }) {
     
-    if (onPreTranscode2) {
-        RESOLUTIONS = await onPreTranscode2(RESOLUTIONS, type, resourceId);
+    // jobs queued before sources were probed on upload don't carry it
+    const source = sourceMetadata?.video ? sourceMetadata : await probeMedia(filePath);
+    const { ladder, pending, audio, current, perTitle } = await onPreTranscode2(source, type, resourceId);
+
+    // a replacement is a whole new ladder, not the renditions the live version is missing
+    let renditions = masterVersionId ? ladder : pending;
+
+    // per-title encoding picks each rung's crf and bitrate from trial encodes, without it every title gets the defaults
+    if (perTitle && renditions.length) {
+        const analysis = await analyzeTitle({ filePath, outputDir, filename, jobId, source, ladder, renditions });
+        renditions = applyEncodingAnalysis(renditions, analysis);
+    }
+
+    // a replacement or a first transcode packages every audio stream on its own, renditions added to a title
+    // are packaged like the ones it has: with its audio renditions, or with the audio muxed in
+    const packagesAudio = Boolean(masterVersionId) || !current.hasRenditions;
+    const audioRenditions = packagesAudio ? audio : [];
+    const audioVariants = packagesAudio ? [] : current.audio ?? [];
+    const muxAudio = !audioRenditions.length && !audioVariants.length;
+    if (masterVersionId) {
+        await setVersionRenditions(masterVersionId, renditions.map(({ key }) => key));
     }
+    console.log(`📐 Ladder for ${type} ${resourceId}:`, renditions.map(({ key, width, height }) => `${key} ${width}x${height}`));
 
     // Check for cancellation before starting
     if (await checkJobCancellation(jobId)) {
@@ -1037,7 +1205,7 @@ export async function transcodeVideo2({
                 const fileName = path.basename(vttFile);
                 
                 // Create a clean filename for the subtitle
-                const cleanFileName = fileName.replace(/^(SD_|HD_|FHD_|UHD_)/, ''); // Remove resolution prefix
+                const cleanFileName = fileName.replace(RENDITION_PREFIX, ''); // Remove resolution prefix
                 const newSubtitlePath = path.join(subtitleDir, cleanFileName);
                 
                 try {
@@ -1093,9 +1261,11 @@ export async function transcodeVideo2({
         
         // STEP 4: Generate HLS playlists for each resolution (without subtitle extraction)
         const hlsPlaylists = [];
+        const variants = [];
         
-        for (const [label, height] of Object.entries(RESOLUTIONS)) {
-            console.log(`🎬 Processing ${label} resolution...`);
+        for (const rendition of renditions) {
+            const { label, key, codec } = rendition;
+            console.log(`🎬 Processing ${key} resolution...`);
 
             // Check for cancellation before each resolution
             if (await checkJobCancellation(jobId)) {
@@ -1114,13 +1284,17 @@ export async function transcodeVideo2({
                 if (fs.existsSync(filePath)) {
                     fs.unlinkSync(filePath);
                 }
-                throw new Error(`Job was cancelled during ${label} processing`);
+                throw new Error(`Job was cancelled during ${key} processing`);
             }
 
             try {
                 // Generate HLS without subtitle extraction (since we already extracted them)
-                const result = await generateHLSPlaylistWithoutSubtitles(filePath, outputDir, filename, label, clientId);
+                const result = await generateHLSPlaylistWithoutSubtitles(filePath, outputDir, filename, rendition, clientId, muxAudio);
                 hlsPlaylists.push(result);
+
+                // what the master playlist advertises is measured, not the rung's nominal size and bitrate
+                const variant = await measureRendition(result.playlistPath);
+                variants.push({ ...variant, uri: path.basename(result.playlistPath) });
                 
                 // Check for cancellation before upload
                 if (await checkJobCancellation(jobId)) {
@@ -1139,14 +1313,16 @@ export async function transcodeVideo2({
                     if (fs.existsSync(filePath)) {
                         fs.unlinkSync(filePath);
                     }
-                    throw new Error(`Job was cancelled before uploading ${label}`);
+                    throw new Error(`Job was cancelled before uploading ${key}`);
                 }
 
                 // Step 5: Upload HLS files to DigitalOcean Spaces
-                console.log(`📤 Adding HLS upload job for ${label}...`);
+                console.log(`📤 Adding HLS upload job for ${key}...`);
                 await hlsUploadQueue.add("upload-hls-to-s3", {
                     hlsDir: path.dirname(result.playlistPath),
                     label,
+                    codec,
+                    quality: rendition.quality ?? null,
                     filename,
                     resourceId,
                     bucketName,
@@ -1154,12 +1330,15 @@ export async function transcodeVideo2({
                     type,
                     initialMetadata,
                     subtitlePaths: [], // No resolution-specific subtitles
+                    variant,
+                    masterVersionId,
+                    keyPrefix,
                 });
-                console.log(`✅ HLS upload job added for ${label}`);
+                console.log(`✅ HLS upload job added for ${key}`);
 
-                console.log(`✅ Finished processing ${label}`);
+                console.log(`✅ Finished processing ${key}`);
             } catch (error) {
-                console.error(`❌ Error processing ${label}:`, error);
+                console.error(`❌ Error processing ${key}:`, error);
                 throw error;
             }
         }
@@ -1253,8 +1432,9 @@ export async function transcodeVideo2({
                         clientId,
                         type,
                         // Shared approach: Upload to shared subtitle directory
-                        uploadPath: `subtitles/${filename}/`,
-                        subtitleMetadata // Pass metadata for database creation
+                        uploadPath: `${keyPrefix}subtitles/${filename}/`,
+                        subtitleMetadata, // Pass metadata for database creation
+                        masterVersionId,
                     });
                     console.log(`✅ Queued subtitle upload: ${subtitleInfo.language} (${subtitleInfo.type}) - Label: ${subtitleLabel}`);
                 } catch (error) {
@@ -1285,11 +1465,39 @@ export async function transcodeVideo2({
             throw new Error('Job was cancelled before generating master playlist');
         }
 
+        // STEP 6b: Package each audio stream as its own rendition, uploaded with the master playlist
+        for (const rendition of audioRenditions) {
+            if (await checkJobCancellation(jobId)) {
+                throw new Error(`Job was cancelled during audio ${rendition.key} processing`);
+            }
+
+            const { playlistPath } = await generateAudioRendition(filePath, outputDir, filename, rendition, clientId);
+            const measured = await measureRendition(playlistPath);
+            audioVariants.push({
+                ...rendition,
+                uri: path.basename(playlistPath),
+                dir: `${keyPrefix}hls_audio_${filename}`,
+                bandwidth: measured.bandwidth,
+                averageBandwidth: measured.averageBandwidth,
+                codecs: measured.codecs,
+            });
+        }
+
+        // renditions from an earlier transcode that this one didn't redo stay in the master, a replacement has only its own
+        if (!masterVersionId) {
+            variants.push(...(await findVariants(type, resourceId, renditions.map(({ key }) => key))));
+        }
+
         const masterPlaylistPath = await generateMasterPlaylist(
             outputDir, 
             filename, 
-            bucketName, 
-            subtitleInfo.subtitleLanguages
+            variants,
+            extractedSubtitlePaths.map((subtitle) => ({
+                language: subtitle.language,
+                name: subtitle.language.toUpperCase(),
+                uri: `subtitles/${filename}/${path.basename(subtitle.path)}`,
+            })),
+            audioVariants
         );
         
         // Upload master playlist
@@ -1302,6 +1510,10 @@ export async function transcodeVideo2({
             clientId,
             type,
             subtitleLanguages: subtitleInfo.subtitleLanguages,
+            audioDir: audioRenditions.length ? path.join(outputDir, `hls_audio_${filename}`) : null,
+            audio: audioVariants,
+            masterVersionId,
+            keyPrefix,
         });
         console.log(`✅ Master playlist upload job added`);
 
@@ -1319,8 +1531,8 @@ export async function transcodeVideo2({
         // Clean up on any error
         try {
             // Clean up any created HLS directories
-            for (const resolution of Object.keys(RESOLUTIONS)) {
-                const hlsDir = path.join(outputDir, `hls_${resolution}_${filename}`);
+            for (const { key } of renditions) {
+                const hlsDir = path.join(outputDir, `hls_${key}_${filename}`);
                 if (fs.existsSync(hlsDir)) {
                     fs.rmSync(hlsDir, { recursive: true, force: true });
                 }
@@ -1331,6 +1543,12 @@ export async function transcodeVideo2({
             if (fs.existsSync(subtitleDir)) {
                 fs.rmSync(subtitleDir, { recursive: true, force: true });
             }
+
+            // Clean up audio renditions
+            const audioDir = path.join(outputDir, `hls_audio_${filename}`);
+            if (fs.existsSync(audioDir)) {
+                fs.rmSync(audioDir, { recursive: true, force: true });
+            }
             
             // Clean up master playlist
             const masterPlaylistPath = path.join(outputDir, `master_${filename}.m3u8`);
@@ -1355,16 +1573,22 @@ export async function transcodeVideo2({
 export async function uploadHLSToDO({
     hlsDir,
     label,
+    codec = 'h264', // renditions queued before codecs were chosen are H.264
+    quality = null, // the crf and score per-title encoding chose, see services/encodingAnalysis.js
     filename,
     resourceId,
     bucketName,
     clientId,
     type,
     initialMetadata,
-    subtitlePaths = [] // Not used in new approach, kept for backward compatibility
+    subtitlePaths = [], // Not used in new approach, kept for backward compatibility
+    variant = null, // measured output for the master playlist, see services/masterPlaylist.js
+    masterVersionId = null, // Replacement of the live master, see services/masterVersions.js
+    keyPrefix = '',
 }) {
+    const folder = `hls_${renditionKey(label, codec)}_${filename}`;
     try {
-        console.log(`📤 Uploading HLS files for ${label}...`);
+        console.log(`📤 Uploading HLS files for ${folder}...`);
         
         // List all files in the HLS directory
         const files = fs.readdirSync(hlsDir);
@@ -1386,7 +1610,7 @@ export async function uploadHLSToDO({
         // Upload playlist with public-read permissions
         const playlistParams = {
             bucketName,
-            key: `hls_${label}_${filename}/${playlistFile}`,
+            key: `${keyPrefix}${folder}/${playlistFile}`,
             buffer: playlistStream,
             contentType: 'application/vnd.apple.mpegurl',
             isPublic: true, // Set to public-read
@@ -1398,6 +1622,7 @@ export async function uploadHLSToDO({
                 content: {
                     type,
                     resolution: label,
+                    codec,
                     fileType: 'playlist'
                 },
                 clientId,
@@ -1406,8 +1631,8 @@ export async function uploadHLSToDO({
 
         console.log(`✅ Playlist uploaded: ${playlistData.url}`);
         
-        // Upload all segment files (.ts) with public-read permissions
-        const segmentFiles = files.filter(file => file.endsWith('.ts'));
+        // Upload all segment files (.ts, or the fMP4 .m4s and their init .mp4) with public-read permissions
+        const segmentFiles = files.filter(file => /\.(ts|m4s|mp4)$/.test(file));
         console.log(`📤 Uploading ${segmentFiles.length} segments...`);
         
         for (let i = 0; i < segmentFiles.length; i++) {
@@ -1417,9 +1642,9 @@ export async function uploadHLSToDO({
             
             const segmentParams = {
                 bucketName,
-                key: `hls_${label}_${filename}/${segmentFile}`,
+                key: `${keyPrefix}${folder}/${segmentFile}`,
                 buffer: segmentStream,
-                contentType: 'video/mp2t',
+                contentType: segmentFile.endsWith('.ts') ? 'video/mp2t' : 'video/mp4',
                 isPublic: true, // Set to public-read
             };
 
@@ -1429,6 +1654,7 @@ export async function uploadHLSToDO({
                     content: {
                         type,
                         resolution: label,
+                        codec,
                         fileType: 'segment',
                         segment: segmentFile
                     },
@@ -1450,16 +1676,22 @@ export async function uploadHLSToDO({
             format: 'application/vnd.apple.mpegurl',
             url: playlistData.url, // HLS streaming URL
             hlsUrl: playlistData.url, // HLS streaming URL
-            encoding: 'libx264',
+            codec,
+            encoding: VIDEO_ENCODERS[codec]?.encoder ?? 'libx264',
             size: metadata.size?.toString() || '0',
             duration: metadata.duration || 0,
             bitrate: formatBitrate(metadata.bit_rate ?? 0),
+            fps: variant?.frameRate ? String(variant.frameRate) : undefined,
+            variant,
+            quality: quality ?? undefined,
         };
 
         console.log('HLS videoData:', videoData);
         
-        // Save to database
-        if (onUploadComplete2) {
+        // Save to database, a replacement's rows wait for the switch
+        if (masterVersionId) {
+            await recordVersionVideo(masterVersionId, videoData);
+        } else if (onUploadComplete2) {
             await onUploadComplete2(videoData, resourceId, type);
         }
 
@@ -1471,7 +1703,7 @@ export async function uploadHLSToDO({
             console.warn(`⚠️ Could not clean up HLS directory ${hlsDir}:`, cleanupError.message);
         }
 
-        console.log(`✅ HLS upload completed for ${label}`);
+        console.log(`✅ HLS upload completed for ${folder}`);
         
     } catch (error) {
         console.error('HLS upload error:', error);
@@ -1492,6 +1724,7 @@ export async function uploadSubtitleToDO({
     uploadPath = null, // Allow custom upload path for shared approach
     subtitleId = null, // For existing subtitle records
     subtitleMetadata = null, // For creating new subtitle records
+    masterVersionId = null, // Extracted from a replacement master, parked until it is live
 }) {
     try {
         console.log(`📤 Uploading subtitle file: ${path.basename(subtitlePath)}`);
@@ -1548,18 +1781,19 @@ export async function uploadSubtitleToDO({
             // Create new subtitle record
             try {
                 const { default: prisma } = await import('@/utils/db.mjs');
-                const newSubtitle = await prisma.subtitle.create({
-                    data: {
-                        filename: subtitleMetadata.filename,
-                        language: subtitleMetadata.language,
-                        label: subtitleMetadata.label, // Add label field
-                        resourceId: resourceId,
-                        resourceType: type,
-                        filePath: null, // No file path for memory storage
-                        fileSize: subtitleMetadata.fileSize,
-                        s3Url: subtitleData.url
-                    }
-                });
+                const subtitleRecord = {
+                    filename: subtitleMetadata.filename,
+                    language: subtitleMetadata.language,
+                    label: subtitleMetadata.label, // Add label field
+                    resourceId: resourceId,
+                    resourceType: type,
+                    filePath: null, // No file path for memory storage
+                    fileSize: subtitleMetadata.fileSize,
+                    s3Url: subtitleData.url
+                };
+                const newSubtitle = masterVersionId
+                    ? await recordVersionSubtitle(masterVersionId, subtitleRecord)
+                    : await prisma.subtitle.create({ data: subtitleRecord });
                 finalSubtitleId = newSubtitle.id;
                 console.log(`💾 Created new subtitle record in database: ${finalSubtitleId}`);
             } catch (dbError) {
@@ -1641,15 +1875,36 @@ export async function uploadMasterPlaylist({
     clientId,
     type,
     subtitleLanguages = [],
+    audioDir = null, // the audio renditions transcoded with it, see generateAudioRendition
+    audio = [], // every audio rendition the master lists, none when the audio is muxed into the video
+    masterVersionId = null,
+    keyPrefix = '',
 }) {
     try {
+        // the audio goes first, the master playlist must not be live before the renditions it lists
+        if (audioDir) {
+            const audioFiles = fs.readdirSync(audioDir).filter(file => file.endsWith('.m3u8') || file.endsWith('.ts'));
+            console.log(`📤 Uploading ${audioFiles.length} audio rendition files...`);
+
+            for (const file of audioFiles) {
+                await uploadToBucket({
+                    bucketName,
+                    key: `${keyPrefix}hls_audio_${filename}/${file}`,
+                    buffer: fs.createReadStream(path.join(audioDir, file)),
+                    contentType: file.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t',
+                    isPublic: true,
+                });
+            }
+            console.log(`✅ Audio renditions uploaded: ${audio.map(({ key }) => key).join(', ')}`);
+        }
+
         console.log('📤 Uploading master playlist with shared subtitle approach...');
         
         const playlistStream = fs.createReadStream(masterPlaylistPath);
         
         const playlistParams = {
             bucketName,
-            key: `master_${filename}.m3u8`,
+            key: `${keyPrefix}master_${filename}.m3u8`,
             buffer: playlistStream,
             contentType: 'application/vnd.apple.mpegurl',
             isPublic: true, // Set to public-read
@@ -1680,10 +1935,13 @@ export async function uploadMasterPlaylist({
             size: '0',
             duration: 0,
             bitrate: '0',
+            variant: audio.length ? { audio } : undefined,
         };
 
-        if (onUploadComplete2) {
-            await onUploadComplete2(masterPlaylistData, resourceId, type);
+        if (masterVersionId) {
+            await recordVersionVideo(masterVersionId, masterPlaylistData);
+        } else {
+            await onMasterUploadComplete(masterPlaylistData, resourceId, type, bucketName);
         }
 
         // Clean up local master playlist file after successful upload
@@ -1693,6 +1951,9 @@ export async function uploadMasterPlaylist({
         } catch (cleanupError) {
             console.warn(`⚠️ Could not clean up master playlist ${masterPlaylistPath}:`, cleanupError.message);
         }
+        if (audioDir) {
+            fs.rmSync(audioDir, { recursive: true, force: true });
+        }
 
         console.log(`✅ Master playlist upload completed with ${subtitleLanguages.length} subtitle languages (shared approach)`);
         
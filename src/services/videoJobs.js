@@ -0,0 +1,116 @@
+import fs from 'fs';
+import prisma from '@/utils/db.mjs';
+import { returnError } from '@/utils/returnError.js';
+import ChunkService from '@/services/chunkService.js';
+import { UPLOAD_DIR } from '@/services/multer.js';
+import { videoQueue } from '@/services/queueWorkers.js';
+import { inspectSource } from '@/services/mediaProbe.js';
+import { assertTranscodeFits } from '@/services/diskGuard.js';
+
+/**
+ * @name queueVideoTranscode
+ * @description Hand a fully received film or episode file to the `transcode-video` queue and record the job.
+ * The file is probed first, and removed when it isn't usable video, could never be transcoded on this disk or the
+ * film or episode doesn't exist.
+ * @param {Object} params
+ * @param {'film' | 'episode'} params.type
+ * @param {string} params.resourceId - filmId or episodeId
+ * @param {string} params.fileName - original filename, names the renditions
+ * @param {string} params.filePath - the file on disk
+ * @param {string} [params.clientId] - socket.io client for progress updates
+ * @param {string} [params.ownerId] - the admin queueing it, counts against their upload quota
+ * @param {import('@prisma/client').masterVersion} [params.masterVersion] - set when it replaces the live master,
+ * see services/masterVersions.js
+ * @returns {Promise<{ jobId: string, processingJob: import('@prisma/client').VideoProcessingJob }>}
+ */
+export const queueVideoTranscode = async ({
+    type,
+    resourceId,
+    fileName,
+    filePath,
+    clientId,
+    ownerId,
+    masterVersion,
+}) => {
+    let resource = null;
+
+    if (type === 'film') {
+        resource = await prisma.film.findUnique({
+            where: { id: resourceId },
+        });
+    }
+
+    if (type === 'episode') {
+        resource = await prisma.episode.findUnique({
+            where: { id: resourceId },
+            include: { season: { select: { id: true, filmId: true } } },
+        });
+    }
+
+    if (!resource) {
+        // if resource is not found clear the file from the temp folder
+        await fs.promises.rm(filePath, { force: true });
+        returnError("The resource you were looking for doesn't exist", 404);
+    }
+
+    const bucketName =
+        type === 'film'
+            ? resourceId
+            : `${resource.season?.filmId}-${resource.seasonId}`;
+
+    // fails with a 422 before anything is queued
+    const sourceMetadata = await inspectSource(filePath);
+    try {
+        await assertTranscodeFits(sourceMetadata, 'transcode-video');
+    } catch (error) {
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+    }
+
+    const { filename } = new ChunkService().formatFileName(fileName);
+
+    // Add job to queue
+    const job = await videoQueue.add('transcode-video', {
+        type,
+        filePath,
+        resourceId,
+        resource,
+        fileName,
+        filename,
+        clientId,
+        bucketName,
+        outputDir: UPLOAD_DIR,
+        sourceMetadata,
+        masterVersionId: masterVersion?.id,
+        keyPrefix: masterVersion?.keyPrefix ?? '',
+    });
+
+    // Save job details to database
+    const jobData = {
+        jobId: job.id.toString(),
+        queueName: 'video-transcoding',
+        status: 'waiting',
+
+        resourceId,
+        resourceType: type,
+        resourceName: resource.title,
+        fileName,
+        filePath,
+        clientId,
+        ownerId,
+        sourceMetadata,
+        canCancel: true,
+    };
+
+    if (type === 'film') {
+        jobData.filmId = resourceId;
+    } else {
+        jobData.episodeId = resourceId;
+    }
+
+    const processingJob = await prisma.videoProcessingJob.create({
+        data: jobData,
+    });
+
+    return { jobId: job.id.toString(), processingJob };
+};
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { returnError } from '@/utils/returnError.js';
+
+export const CHECKSUM_ALGORITHMS = Object.freeze(['sha256', 'md5']);
+
+const DIGEST_BYTES = { sha256: 32, md5: 16 };
+
+/**
+ * @typedef {object} Checksum
+ * @property {'sha256' | 'md5'} algorithm
+ * @property {string} value - hex digest
+ */
+
+/**
+ * @name parseChecksum
+ * @description Read a checksum sent by a client as hex or base64
+ * @param {string | undefined} value
+ * @param {string} [algorithm]
+ * @returns {Checksum | null} null when no checksum was sent
+ */
+export const parseChecksum = (value, algorithm = 'sha256') => {
+    if (!value) return null;
+
+    const name = String(algorithm).toLowerCase().replace('-', '');
+    if (!CHECKSUM_ALGORITHMS.includes(name)) {
+        returnError(
+            `Checksum algorithm should be one of: ${CHECKSUM_ALGORITHMS.join(', ')}`,
+            400
+        );
+    }
+
+    const trimmed = String(value).trim();
+    const isHex =
+        /^[a-f\d]+$/i.test(trimmed) && trimmed.length === DIGEST_BYTES[name] * 2;
+    const bytes = Buffer.from(trimmed, isHex ? 'hex' : 'base64');
+
+    if (bytes.length !== DIGEST_BYTES[name]) {
+        returnError(`Invalid ${name} checksum`, 400);
+    }
+
+    return { algorithm: name, value: bytes.toString('hex') };
+};
+
+/**
+ * @name parseChecksumHeader
+ * @description Read a `<algorithm> <value>` header, the format tus uses for Upload-Checksum
+ * @param {string | undefined} header
+ * @returns {Checksum | null}
+ */
+export const parseChecksumHeader = (header) => {
+    if (!header) return null;
+    const [algorithm, value] = header.trim().split(/\s+/);
+    if (!value) returnError('Checksum header should be "<algorithm> <value>"', 400);
+    return parseChecksum(value, algorithm);
+};
+
+/**
+ * @name hashFile
+ * @param {string} filePath
+ * @param {'sha256' | 'md5'} algorithm
+ * @returns {Promise<string>} hex digest
+ */
+export const hashFile = (filePath, algorithm) => {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        fs.createReadStream(filePath)
+            .on('data', (data) => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+};
+
+/**
+ * @name verifyFileChecksum
+ * @description Throws a 422 when the file doesn't hash to the expected checksum
+ * @param {string} filePath
+ * @param {Checksum | null} expected - nothing is checked without one
+ * @param {string} [label] - what the file is, for the error message
+ * @returns {Promise<void>}
+ */
+export const verifyFileChecksum = async (filePath, expected, label = 'File') => {
+    if (!expected) return;
+
+    const actual = await hashFile(filePath, expected.algorithm);
+    if (actual !== expected.value) {
+        returnError(
+            `${label} ${expected.algorithm} checksum mismatch, please upload it again`,
+            422
+        );
+    }
+};
@@ -17,7 +17,20 @@ export const CORS_OPTIONS = {
         'https://studio.nyatimotionpictures.com',
         'https://stream.nyatimotionpictures.com',
     ],
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    // tus clients read the upload url and offsets from these, see routes/tusRoutes.js
+    exposedHeaders: [
+        'Location',
+        'Upload-Offset',
+        'Upload-Length',
+        'Tus-Resumable',
+        'Tus-Version',
+        'Tus-Extension',
+        'Tus-Max-Size',
+        'Tus-Checksum-Algorithm',
+        // the transcoding job started by the last PATCH of a tus upload
+        'X-Processing-Job-Id',
+    ],
     preflightContinue: false,
     credentials: true,
 };
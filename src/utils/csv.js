@@ -0,0 +1,59 @@
+/**
+ * @name parseCsv
+ * @description Parse RFC 4180 CSV, quoted fields may hold commas, quotes ("") and line breaks
+ * @param {string} text
+ * @returns {Record<string, string>[]} one object per row keyed by the header row, blank rows are skipped
+ * @example
+ * parseCsv('file,film.title\na.mp4,"Hello, world"'); // [{ file: 'a.mp4', 'film.title': 'Hello, world' }]
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter((cells) =>
+        cells.some((cell) => cell.trim() !== '')
+    );
+    const keys = header.map((key) => key.trim());
+
+    return records.map((cells) =>
+        Object.fromEntries(keys.map((key, index) => [key, cells[index]?.trim() ?? '']))
+    );
+};
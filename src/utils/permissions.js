@@ -0,0 +1,46 @@
+/**
+ * Permissions an admin can hold. Assigned per admin through
+ * `PUT /admin/auth/permissions/:id` and checked by `requirePermission`.
+ */
+export const PERMISSIONS = Object.freeze({
+    CONTENT_WRITE: 'content:write', // create/update films, seasons, episodes, uploads, posters, subtitles
+    CONTENT_PUBLISH: 'content:publish', // change visibility, feature titles, set pricing
+    CONTENT_DELETE: 'content:delete', // delete films, seasons, episodes, videos, posters, categories
+    FINANCE_READ: 'finance:read', // purchase history and donations
+    JOBS_MANAGE: 'jobs:manage', // cancel, retry and clean up processing/upload jobs
+    USERS_MANAGE: 'users:manage', // list users and assign admin permissions
+    AUDIT_READ: 'audit:read', // browse the audit log
+});
+
+export const ALL_PERMISSIONS = Object.freeze(Object.values(PERMISSIONS));
+
+/**
+ * Permissions granted by the admin's role on top of the ones assigned to them.
+ * "admin" keeps full access so existing accounts behave as before.
+ */
+export const ROLE_PERMISSIONS = Object.freeze({
+    admin: ALL_PERMISSIONS,
+    editor: [PERMISSIONS.CONTENT_WRITE],
+    finance: [PERMISSIONS.FINANCE_READ],
+    staff: [], // studio sign-in only, permissions are assigned one by one
+});
+
+// the role new admin accounts get unless a different one is picked when they are registered
+export const DEFAULT_ADMIN_ROLE = 'staff';
+
+/**
+ * @name resolvePermissions
+ * @description Effective permissions of an admin, its role defaults plus the assigned ones
+ * @param {{ role?: string | null, permissions?: string[] | null }} admin
+ * @returns {string[]}
+ */
+export const resolvePermissions = (admin) => {
+    if (!admin) return [];
+
+    const fromRole = ROLE_PERMISSIONS[admin.role] ?? [];
+    const assigned = (admin.permissions ?? []).filter((permission) =>
+        ALL_PERMISSIONS.includes(permission)
+    );
+
+    return [...new Set([...fromRole, ...assigned])];
+};
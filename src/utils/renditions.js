@@ -0,0 +1,316 @@
+// the HLS ladder every film and episode is transcoded to, bitrates in kbps.
+// widths and heights are the box a rung fits into, see buildLadder
+export const RENDITIONS = Object.freeze([
+    { name: '240p', label: 'ULD', width: 426, height: 240, bitrate: 400 }, // 240p   3G
+    { name: '360p', label: 'LD', width: 640, height: 360, bitrate: 800 }, // 360p   3G
+    { name: '480p', label: 'SD', width: 854, height: 480, bitrate: 1000 }, // 480p   SD
+    { name: '720p', label: 'HD', width: 1280, height: 720, bitrate: 2500 }, // 720p   HD
+    { name: '1080p', label: 'FHD', width: 1920, height: 1080, bitrate: 5000 }, // 1080p Full HD
+    { name: '4K', label: 'UHD', width: 3840, height: 2160, bitrate: 15000 }, // 4K UHD
+]);
+
+export const RENDITION_LABELS = Object.freeze(RENDITIONS.map(({ label }) => label));
+
+// rungs below SD, every purchase includes them so a viewer on a slow network can still play
+export const LOW_BANDWIDTH_LABELS = Object.freeze(['ULD', 'LD']);
+
+// matches the `${label}_` prefix of a rendition's files, e.g. "FHD_my-film.m3u8"
+export const RENDITION_PREFIX = new RegExp(`^(${RENDITION_LABELS.join('|')})_`);
+
+// video codecs a ladder is encoded in, bitrateScale is the share of the H.264 bitrate a codec needs for about the
+// same quality at its crf. Every title gets H.264, the others are added per title, see buildLadder
+export const VIDEO_CODECS = Object.freeze({
+    h264: { bitrateScale: 1, crf: 23 },
+    hevc: { bitrateScale: 0.6, crf: 28 },
+    av1: { bitrateScale: 0.5, crf: 35 },
+});
+export const VIDEO_CODEC_NAMES = Object.freeze(Object.keys(VIDEO_CODECS));
+export const EFFICIENT_VIDEO_CODECS = Object.freeze(['hevc', 'av1']);
+
+// audio renditions, bitrates in kbps. Every title gets stereo AAC, a surround codec is added per title, see buildAudioRenditions
+export const AUDIO_CODECS = Object.freeze({
+    aac: { channels: 2, bitrate: 128 },
+    ac3: { channels: 6, bitrate: 448 },
+    eac3: { channels: 6, bitrate: 384 },
+});
+export const SURROUND_CODECS = Object.freeze(['ac3', 'eac3']);
+
+/**
+ * @typedef {object} Rendition
+ * @property {string} name - e.g. "720p"
+ * @property {string} label - e.g. "HD"
+ * @property {number} width - output width, even
+ * @property {number} height - output height, even
+ * @property {number} bitrate - peak video bitrate in kbps
+ * @property {'h264' | 'hevc' | 'av1'} codec
+ * @property {string} key - names its files, the label for H.264 and e.g. "FHD_hevc" for the others, see renditionKey
+ * @property {number} crf - the quality it is encoded at, the bitrate caps its peaks
+ * @property {RenditionQuality} [quality] - set when per-title encoding chose its crf and bitrate
+ */
+
+/**
+ * @typedef {object} RenditionQuality
+ * @property {'vmaf' | 'ssim'} metric
+ * @property {number | null} score - of the H.264 trial encodes at its crf, null for the codecs derived from them
+ * @property {number} crf
+ */
+
+/**
+ * @typedef {object} LadderConfig
+ * @property {string[]} [labels] - only these rungs
+ * @property {number} [minHeight] - drop rungs below this height
+ * @property {number} [maxHeight] - drop rungs above this height
+ * @property {'ac3' | 'eac3'} [surround] - also package 5.1 sources in this codec beside the stereo AAC
+ * @property {('hevc' | 'av1')[]} [codecs] - also encode the ladder in these codecs beside H.264
+ * @property {boolean} [perTitle] - trial encode samples of the source to pick each rung's crf and bitrate,
+ * see services/encodingAnalysis.js
+ */
+
+/**
+ * @typedef {object} AudioRendition
+ * @property {string} key - names its files, e.g. "aac_eng" is audio_aac_eng_my-film.m3u8
+ * @property {number} stream - the source audio stream it is encoded from, as in `-map 0:a:N`
+ * @property {'aac' | 'ac3' | 'eac3'} codec
+ * @property {number} channels
+ * @property {number} bitrate - kbps
+ * @property {string} groupId - its EXT-X-MEDIA group, one per codec
+ * @property {string | null} language
+ * @property {string} name
+ * @property {boolean} default - of its group
+ */
+
+/**
+ * @name renditionKey
+ * @description What a rendition's files and its version's renditions are named by, e.g. "FHD" or "FHD_hevc"
+ * @param {string} label
+ * @param {string | null} [codec] - a video row's codec, rows from before codecs were chosen have none
+ * @returns {string}
+ */
+export const renditionKey = (label, codec) =>
+    !codec || codec === 'h264' ? label : `${label}_${codec}`;
+
+// x264 with yuv420p needs even dimensions
+const even = (value) => Math.max(2, 2 * Math.round(value / 2));
+
+/**
+ * @name fitRendition
+ * @description Scale the source into a rung's box keeping its aspect ratio, a portrait source uses the box on its side
+ * @param {Rendition} rung
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @returns {Rendition}
+ */
+const fitRendition = (rung, sourceWidth, sourceHeight) => {
+    const portrait = sourceHeight > sourceWidth;
+    const boxWidth = portrait ? rung.height : rung.width;
+    const boxHeight = portrait ? rung.width : rung.height;
+
+    const scale = Math.min(
+        boxWidth / sourceWidth,
+        boxHeight / sourceHeight,
+        1
+    );
+    const width = even(sourceWidth * scale);
+    const height = even(sourceHeight * scale);
+
+    return {
+        ...rung,
+        width,
+        height,
+        // fewer pixels than the box, e.g. a scope film, need fewer bits
+        bitrate: Math.round(
+            (rung.bitrate * width * height) / (boxWidth * boxHeight)
+        ),
+    };
+};
+
+/**
+ * @name withCodecs
+ * @description The ladder in H.264 followed by the ladder in each codec asked for, at that codec's bitrate
+ * @param {Omit<Rendition, 'codec' | 'key' | 'crf'>[]} rungs
+ * @param {LadderConfig['codecs']} [codecs]
+ * @returns {Rendition[]}
+ */
+const withCodecs = (rungs, codecs = []) =>
+    [
+        'h264',
+        ...EFFICIENT_VIDEO_CODECS.filter((codec) => codecs?.includes(codec)),
+    ].flatMap((codec) =>
+        rungs.map((rung) => ({
+            ...rung,
+            codec,
+            key: renditionKey(rung.label, codec),
+            crf: VIDEO_CODECS[codec].crf,
+            bitrate: Math.round(
+                rung.bitrate * VIDEO_CODECS[codec].bitrateScale
+            ),
+        }))
+    );
+
+/**
+ * @name buildLadder
+ * @description The renditions a source is transcoded to, in H.264 and then in each of the config's other
+ * codecs. A rung the source fills in neither direction would be an upscale and is left out, every other
+ * rung keeps the source's display aspect ratio. When the config leaves no rung the source fills, the best
+ * one it does fill is used, and a source smaller than every rung gets the lowest one at its own size.
+ * @param {import('@/services/mediaProbe.js').MediaInfo['video']} source
+ * @param {LadderConfig} [config] - per title, see film.encodingLadder
+ * @returns {Rendition[]}
+ */
+export const buildLadder = (source, config = {}) => {
+    const sourceWidth = source?.displayWidth ?? source?.width;
+    const sourceHeight = source?.displayHeight ?? source?.height;
+
+    const rungs = RENDITIONS.filter(
+        ({ label, height }) =>
+            (!config?.labels?.length || config.labels.includes(label)) &&
+            (!config?.minHeight || height >= config.minHeight) &&
+            (!config?.maxHeight || height <= config.maxHeight)
+    );
+
+    if (!sourceWidth || !sourceHeight) {
+        return withCodecs(rungs.length ? rungs : RENDITIONS, config?.codecs);
+    }
+
+    const longSide = Math.max(sourceWidth, sourceHeight);
+    const shortSide = Math.min(sourceWidth, sourceHeight);
+    const fills = ({ width, height }) =>
+        longSide >= width || shortSide >= height;
+
+    const ladder = rungs.filter(fills);
+    if (!ladder.length) {
+        ladder.push(RENDITIONS.filter(fills).at(-1) ?? RENDITIONS[0]);
+    }
+
+    return withCodecs(
+        ladder.map((rung) => fitRendition(rung, sourceWidth, sourceHeight)),
+        config?.codecs
+    );
+};
+
+/**
+ * @name applyEncodingAnalysis
+ * @description Encode a ladder at the crf and bitrate per-title encoding chose for each rung, the other
+ * codecs keep their offset from H.264. Rungs the analysis left out are dropped, rungs it didn't look at are
+ * kept as they are.
+ * @param {Rendition[]} ladder
+ * @param {import('@/services/encodingAnalysis.js').EncodingAnalysis | null} [analysis]
+ * @returns {Rendition[]}
+ */
+export const applyEncodingAnalysis = (ladder, analysis) => {
+    if (!analysis?.rungs?.length) return ladder;
+
+    return ladder.flatMap((rendition) => {
+        const rung = analysis.rungs.find(
+            ({ label }) => label === rendition.label
+        );
+        if (!rung) return [rendition];
+        if (!rung.selected) return [];
+
+        const { crf, bitrateScale } = VIDEO_CODECS[rendition.codec];
+        const renditionCrf = crf + rung.crf - VIDEO_CODECS.h264.crf;
+        return [
+            {
+                ...rendition,
+                crf: renditionCrf,
+                bitrate: Math.round(rung.bitrate * bitrateScale),
+                quality: {
+                    metric: analysis.metric,
+                    score: rendition.codec === 'h264' ? rung.score : null,
+                    crf: renditionCrf,
+                },
+            },
+        ];
+    });
+};
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// "eng", "lg"… from a stream tag or film.audioLanguages, "und" and free text aren't languages
+const languageOf = (value) =>
+    typeof value === 'string' &&
+    /^[a-z]{2,3}$/i.test(value) &&
+    value.toLowerCase() !== 'und'
+        ? value.toLowerCase()
+        : null;
+
+const languageNameOf = (language) => {
+    const name = language ? languageNames.of(language) : null;
+    return name && name !== language ? name : null;
+};
+
+/**
+ * @name buildAudioRenditions
+ * @description The audio renditions a source is packaged with: every audio stream as stereo AAC, and the
+ * surround ones again in the title's surround codec when it has one. A stream without a language tag takes
+ * the title's `audioLanguages` entry at its position.
+ * @param {import('@/services/mediaProbe.js').MediaInfo['audioTracks']} audioTracks
+ * @param {Object} [options]
+ * @param {string[]} [options.audioLanguages] - film.audioLanguages, in stream order
+ * @param {LadderConfig['surround']} [options.surround]
+ * @returns {AudioRendition[]}
+ */
+export const buildAudioRenditions = (
+    audioTracks = [],
+    { audioLanguages = [], surround } = {}
+) => {
+    const tracks = audioTracks.map((track, stream) => {
+        const listed = audioLanguages[stream];
+        const language = languageOf(track.language) ?? languageOf(listed);
+        // an editor may have typed the language's name rather than its code
+        const name =
+            track.title ||
+            languageNameOf(language) ||
+            (!language && listed) ||
+            `Audio ${stream + 1}`;
+        return {
+            stream,
+            language,
+            name,
+            channels: track.channels ?? 2,
+            default: track.default,
+        };
+    });
+    const defaultStream = tracks.find((track) => track.default)?.stream ?? 0;
+
+    const renditionsOf = (codec, candidates) => {
+        const keys = new Set();
+        const renditions = candidates.map((track) => {
+            // two streams in one language, e.g. a commentary, are told apart by their stream
+            let key = `${codec}_${track.language ?? track.stream}`;
+            if (keys.has(key)) key = `${key}_${track.stream}`;
+            keys.add(key);
+
+            return {
+                key,
+                stream: track.stream,
+                codec,
+                channels: Math.min(
+                    track.channels,
+                    AUDIO_CODECS[codec].channels
+                ),
+                bitrate: AUDIO_CODECS[codec].bitrate,
+                groupId: `audio-${codec}`,
+                language: track.language,
+                name: track.name,
+                default: false,
+            };
+        });
+
+        const preferred =
+            renditions.find(({ stream }) => stream === defaultStream) ??
+            renditions[0];
+        if (preferred) preferred.default = true;
+        return renditions;
+    };
+
+    return [
+        ...renditionsOf('aac', tracks),
+        ...(SURROUND_CODECS.includes(surround)
+            ? renditionsOf(
+                  surround,
+                  tracks.filter(({ channels }) => channels >= 6)
+              )
+            : []),
+    ];
+};
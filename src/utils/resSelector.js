@@ -1,16 +1,18 @@
-const resolutions = ['SD', 'HD', 'FHD', 'UHD'];
+import { RENDITION_LABELS } from '@/utils/renditions.js';
+
+const resolutions = RENDITION_LABELS;
 
 /**
  * @name resSelector
- * @description Function to determine allowed resolutions based on purchased resolution
+ * @description Function to determine allowed resolutions based on purchased resolution, the 240p and 360p rungs come with every one
  * @param {"SD" | "HD" | "FHD" | "UHD"} resolution
- * @returns {Array<"SD" | "HD" | "FHD" | "UHD">}
+ * @returns {Array<"ULD" | "LD" | "SD" | "HD" | "FHD" | "UHD">}
  * @example
     ```javascript
     import {resSelector} from "@/utils/resSelector.js"
 
     const selectedRes = resSelector("FHD")
-    console.log(selectedRes) // ["SD", "HD", "FHD"]
+    console.log(selectedRes) // ["ULD", "LD", "SD", "HD", "FHD"]
     ```
  */
 export function resSelector(resolution) {
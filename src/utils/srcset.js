@@ -0,0 +1,61 @@
+/**
+ * @typedef {object} PosterSrcset
+ * @property {string} src - the original, for clients without WebP or AVIF
+ * @property {number | null} width - of the original
+ * @property {number | null} height
+ * @property {string | null} webp - e.g. "https://…/thumbnail.webp 342w, https://…/card.webp 780w"
+ * @property {string | null} avif
+ */
+
+const srcsetOf = (variants, format) => {
+    // posters stored before uploadPosterVariants skipped repeated widths have one copy per size even when a
+    // narrow original made them the same width, a srcset may list each width only once
+    const byWidth = new Map();
+    for (const variant of Object.values(variants?.sizes ?? {})) {
+        if (variant[format] && !byWidth.has(variant.width)) {
+            byWidth.set(variant.width, `${variant[format].url} ${variant.width}w`);
+        }
+    }
+    return [...byWidth.values()].join(', ') || null;
+};
+
+/**
+ * @name posterSrcset
+ * @description `srcset` strings for a poster's WebP and AVIF variants, see services/posterVariants.js
+ * @param {import('@prisma/client').poster} poster
+ * @returns {PosterSrcset}
+ */
+export const posterSrcset = (poster) => ({
+    src: poster.url,
+    width: poster.variants?.original?.width ?? null,
+    height: poster.variants?.original?.height ?? null,
+    webp: srcsetOf(poster.variants, 'webp'),
+    avif: srcsetOf(poster.variants, 'avif'),
+});
+
+/**
+ * @name withSrcsets
+ * @description Add a `srcset` to the posters of a film, season or episode and of the seasons and episodes it includes
+ * @template T
+ * @param {T} resource
+ * @returns {T}
+ */
+export const withSrcsets = (resource) => {
+    if (!resource) return resource;
+
+    return {
+        ...resource,
+        ...(Array.isArray(resource.posters) && {
+            posters: resource.posters.map((poster) => ({
+                ...poster,
+                srcset: posterSrcset(poster),
+            })),
+        }),
+        ...(Array.isArray(resource.season) && {
+            season: resource.season.map(withSrcsets),
+        }),
+        ...(Array.isArray(resource.episodes) && {
+            episodes: resource.episodes.map(withSrcsets),
+        }),
+    };
+};